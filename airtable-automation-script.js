@@ -1,5 +1,6 @@
 // Airtable Automation Script for Video Generation
 // Make sure you've added 'recordId' and 'aspectRatio' in Script input section first!
+// Also add the API key as a secret named "soraStitcherApiKey" (npm run api-key creates one)
 
 // Get the input values from the automation
 let inputConfig = input.config();
@@ -18,12 +19,19 @@ console.log('Aspect Ratio:', aspectRatio);
 // API endpoint
 const API_URL = 'https://sora-api-ad-gen-airtable-production.up.railway.app/api/process-record';
 
+// API key from the automation's secrets (never paste it into the script)
+const API_KEY = input.secret('soraStitcherApiKey');
+if (!API_KEY) {
+    throw new Error('Missing API key. Add a secret named "soraStitcherApiKey" to this automation.');
+}
+
 try {
     // Make the API request
     let response = await fetch(API_URL, {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json',
+            'X-API-Key': API_KEY,
         },
         body: JSON.stringify({
             recordId: recordId,
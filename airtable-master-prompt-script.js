@@ -7,6 +7,7 @@
 // 1. recordId (from trigger)
 // 2. masterPrompt (from trigger - field: "Master Prompt")
 // 3. aspectRatio (from trigger - field: "Aspect Ratio")
+// And add the API key as a secret named "soraStitcherApiKey" (npm run api-key creates one)
 
 // Get the input values from the automation
 let inputConfig = input.config();
@@ -31,6 +32,12 @@ console.log('Aspect Ratio:', aspectRatio);
 // API endpoint for master prompt processing
 const API_URL = 'https://sora-api-ad-gen-airtable-production.up.railway.app/api/process-master-prompt';
 
+// API key from the automation's secrets (never paste it into the script)
+const API_KEY = input.secret('soraStitcherApiKey');
+if (!API_KEY) {
+    throw new Error('Missing API key. Add a secret named "soraStitcherApiKey" to this automation.');
+}
+
 try {
     // Make the API request
     console.log('Calling API to generate prompts and create videos...');
@@ -39,6 +46,7 @@ try {
         method: 'POST',
         headers: {
             'Content-Type': 'application/json',
+            'X-API-Key': API_KEY,
         },
         body: JSON.stringify({
             recordId: recordId,
@@ -0,0 +1,30 @@
+/**
+ * Create a new API key
+ * Prints the key for the client and the entry to add to the API keys file
+ * (API_KEYS_CONFIG_PATH) or API_KEYS env var; only the hash is stored
+ *
+ * Usage: npm run api-key -- <keyId> [tenant] [scope,scope]
+ */
+
+const apiKeyService = require('./src/services/apiKeyService');
+
+const [keyId, tenant = 'default', scopes = 'generate,jobs:read'] = process.argv.slice(2);
+
+if (!keyId) {
+  console.error('Usage: npm run api-key -- <keyId> [tenant] [scope,scope]');
+  console.error(`Scopes: ${apiKeyService.SCOPES.join(', ')} (or *)`);
+  process.exit(1);
+}
+
+const { apiKey, hash } = apiKeyService.generateKey();
+
+console.log('🔑 API key (give this to the client; it is not stored anywhere):\n');
+console.log(`   ${apiKey}\n`);
+console.log('📄 Add this entry to your API keys file:\n');
+console.log(JSON.stringify({
+  [keyId]: {
+    hash,
+    tenants: tenant.split(','),
+    scopes: scopes.split(','),
+  },
+}, null, 2));
@@ -1,4 +1,5 @@
 require('dotenv').config();
+const path = require('path');
 
 module.exports = {
   // Server config
@@ -10,6 +11,21 @@ module.exports = {
   sora: {
     apiKey: process.env.SORA_API_KEY,
     baseUrl: process.env.SORA_API_BASE_URL || 'https://api.kie.ai/api/v1',
+    // Per-segment retries of failed generations
+    retry: {
+      maxAttempts: parseInt(process.env.SORA_RETRY_MAX_ATTEMPTS) || 3, // including the first attempt
+      // Delay before each retry in ms; the last value repeats
+      backoff: (process.env.SORA_RETRY_BACKOFF || '30000,120000')
+        .split(',')
+        .map((value) => parseInt(value.trim())),
+      // failCode values worth retrying (rate limits, capacity, transient generation/moderation errors)
+      retryableCodes: (process.env.SORA_RETRYABLE_FAIL_CODES || '429,455,500,501,503')
+        .split(',')
+        .map((value) => value.trim()),
+    },
+    // Accept callbacks without a valid token for tasks created before tokens existed
+    // (rollout only; the reconciler picks those tasks up anyway)
+    allowUnsignedCallbacks: process.env.SORA_ALLOW_UNSIGNED_CALLBACKS === 'true',
   },
 
   // Airtable config
@@ -17,6 +33,63 @@ module.exports = {
     apiKey: process.env.AIRTABLE_API_KEY,
     baseId: process.env.AIRTABLE_BASE_ID,
     tableName: process.env.AIRTABLE_TABLE_NAME,
+    apiUrl: 'https://api.airtable.com/v0',
+    contentUrl: 'https://content.airtable.com/v0',
+    fieldMapPath: process.env.AIRTABLE_FIELD_MAP_PATH || path.join(__dirname, 'airtableFieldMap.json'),
+    strictSchema: process.env.AIRTABLE_STRICT_SCHEMA === 'true', // exit on field map errors
+    // Airtable's uploadAttachment endpoint accepts files up to 5MB
+    directUploadMaxBytes: parseInt(process.env.AIRTABLE_DIRECT_UPLOAD_MAX_BYTES) || 5 * 1024 * 1024,
+  },
+
+  // Storage config for finished videos handed to Airtable
+  storage: {
+    backend: process.env.STORAGE_BACKEND || 'local', // 'local', 's3' or 'temphost' (opt-in)
+    urlTtl: parseInt(process.env.STORAGE_URL_TTL) || 86400, // 24 hours, in seconds
+    signingSecret: process.env.STORAGE_SIGNING_SECRET,
+    local: {
+      dir: process.env.STORAGE_LOCAL_DIR || './storage',
+    },
+    s3: {
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT, // e.g. http://localhost:9000 for MinIO
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true', // required by MinIO
+      prefix: process.env.S3_PREFIX || 'videos/',
+    },
+  },
+
+  // Multi-tenant config: JSON file mapping tenant IDs to Airtable/Sora settings
+  // The env-configured Airtable/Sora settings are always available as tenant "default"
+  tenants: {
+    configPath: process.env.TENANTS_CONFIG_PATH,
+  },
+
+  // API key authentication for the public endpoints
+  // Keys come from a JSON file or the API_KEYS env var (same format, see apiKeys.example.json)
+  auth: {
+    enabled: process.env.API_AUTH_ENABLED !== 'false',
+    keysPath: process.env.API_KEYS_CONFIG_PATH,
+    keys: process.env.API_KEYS,
+    // Defaults for keys without their own limits
+    rateLimit: {
+      windowMs: parseInt(process.env.API_RATE_LIMIT_WINDOW) || 60000, // 1 minute
+      max: parseInt(process.env.API_RATE_LIMIT_MAX) || 60, // requests per window
+    },
+    dailyGenerationQuota: parseInt(process.env.API_DAILY_GENERATION_QUOTA) || 100, // jobs started per UTC day
+  },
+
+  // Idempotency for generation requests (Idempotency-Key header, or recordId + body for Airtable)
+  idempotency: {
+    window: parseInt(process.env.IDEMPOTENCY_WINDOW) || 600, // seconds a response is replayed
+  },
+
+  // Readiness checks (GET /api/health/ready)
+  health: {
+    checkTimeout: parseInt(process.env.HEALTH_CHECK_TIMEOUT) || 5000, // ms per check
+    cacheTtl: parseInt(process.env.HEALTH_CACHE_TTL) || 10000, // ms a readiness result is reused
+    minFreeDiskMb: parseInt(process.env.HEALTH_MIN_FREE_DISK_MB) || 500, // free space needed in the temp dir
   },
 
   // Upstash Redis config
@@ -25,6 +98,16 @@ module.exports = {
     token: process.env.UPSTASH_REDIS_REST_TOKEN,
   },
 
+  // Job store config (upstash | memory | file)
+  // Defaults to Upstash when it is configured, otherwise to the in-memory store
+  store: {
+    backend: process.env.JOB_STORE ||
+      (process.env.UPSTASH_REDIS_REST_URL ? 'upstash' : 'memory'),
+    file: {
+      filePath: process.env.JOB_STORE_FILE || path.join(__dirname, '../../data/jobs.json'),
+    },
+  },
+
   // OpenAI config
   openaiApiKey: process.env.OPENAI_API_KEY,
 
@@ -32,6 +115,45 @@ module.exports = {
   video: {
     tempDir: './temp',
     defaultAspectRatio: 'landscape',
+    minSegments: 2,
+    maxSegments: parseInt(process.env.MAX_SEGMENTS) || 5,
+    normalizeFps: parseInt(process.env.NORMALIZE_FPS) || 30,
+    transition: {
+      type: process.env.TRANSITION_TYPE || 'none', // 'none', 'crossfade' or 'dip'
+      duration: parseFloat(process.env.TRANSITION_DURATION) || 0.5, // seconds
+      maxDuration: parseFloat(process.env.TRANSITION_MAX_DURATION) || 2, // seconds; longest a request may ask for
+    },
+    // Hosts segment videos may be downloaded from; subdomains are included
+    allowedHosts: (process.env.VIDEO_ALLOWED_HOSTS || 'aiquickdraw.com,kie.ai')
+      .split(',')
+      .map((host) => host.trim().toLowerCase())
+      .filter(Boolean),
+    // Segment downloads
+    download: {
+      connectTimeout: parseInt(process.env.VIDEO_DOWNLOAD_CONNECT_TIMEOUT) || 15000, // ms until response headers arrive
+      idleTimeout: parseInt(process.env.VIDEO_DOWNLOAD_IDLE_TIMEOUT) || 30000, // ms without receiving data
+      maxBytes: parseInt(process.env.VIDEO_DOWNLOAD_MAX_BYTES) || 200 * 1024 * 1024, // per segment
+      maxAttempts: parseInt(process.env.VIDEO_DOWNLOAD_MAX_ATTEMPTS) || 3, // including the first attempt
+      // Delay before each retry in ms; the last value repeats
+      backoff: (process.env.VIDEO_DOWNLOAD_BACKOFF || '1000,5000')
+        .split(',')
+        .map((value) => parseInt(value.trim())),
+      // Content-Type values accepted from the video host (CDNs often send octet-stream)
+      allowedTypes: (process.env.VIDEO_DOWNLOAD_ALLOWED_TYPES || 'video/mp4,video/quicktime,application/octet-stream')
+        .split(',')
+        .map((value) => value.trim().toLowerCase())
+        .filter(Boolean),
+    },
+  },
+
+  // Voiceover / text-to-speech config
+  tts: {
+    enabled: process.env.VOICEOVER_ENABLED === 'true', // opt-in: TTS is billed per request
+    provider: process.env.TTS_PROVIDER || 'openai', // 'openai' or 'stub' (offline)
+    model: process.env.TTS_MODEL || 'tts-1',
+    voice: process.env.TTS_VOICE || 'alloy',
+    audioMode: process.env.VOICEOVER_AUDIO_MODE || 'mix', // 'mix' or 'replace'
+    originalVolume: parseFloat(process.env.VOICEOVER_ORIGINAL_VOLUME) || 0.25,
   },
 
   // Job config
@@ -39,4 +161,36 @@ module.exports = {
     timeout: parseInt(process.env.JOB_TIMEOUT) || 600000, // 10 minutes
     ttl: 3600, // 1 hour TTL for job data in Redis
   },
+
+  // Stitch/upload worker config (durable work queue in the job store)
+  // Runs inside the API process unless WORKER_ENABLED=false; `npm run worker` starts it on its own
+  worker: {
+    enabled: process.env.WORKER_ENABLED !== 'false',
+    pollInterval: parseInt(process.env.WORKER_POLL_INTERVAL) || 2000, // ms between polls of an empty queue
+    leaseTtl: parseInt(process.env.WORKER_LEASE_TTL) || 60, // seconds; renewed every third of it while working
+    maxAttempts: parseInt(process.env.WORKER_MAX_ATTEMPTS) || 3, // attempts before an interrupted stitch fails the job
+    shutdownTimeout: parseInt(process.env.WORKER_SHUTDOWN_TIMEOUT) || 25000, // ms to finish in-flight work on shutdown
+  },
+
+  // Reconciler config (polling fallback for missed Sora callbacks)
+  reconciler: {
+    enabled: process.env.RECONCILER_ENABLED !== 'false',
+    interval: parseInt(process.env.RECONCILER_INTERVAL) || 60000, // 1 minute
+    stuckAfter: parseInt(process.env.RECONCILER_STUCK_AFTER) || 300000, // 5 minutes
+  },
+
+  // Airtable poller config (picks up queued records without automation scripts)
+  poller: {
+    enabled: process.env.AIRTABLE_POLLER_ENABLED === 'true',
+    interval: parseInt(process.env.AIRTABLE_POLLER_INTERVAL) || 30000, // 30 seconds
+    view: process.env.AIRTABLE_POLLER_VIEW, // optional view to read from
+    formula: process.env.AIRTABLE_POLLER_FORMULA, // defaults to {<status field>} = '<queuedStatus>'
+    queuedStatus: process.env.AIRTABLE_POLLER_QUEUED_STATUS || 'Queued',
+    claimedStatus: process.env.AIRTABLE_POLLER_CLAIMED_STATUS || 'Claimed',
+    batchSize: parseInt(process.env.AIRTABLE_POLLER_BATCH_SIZE) || 10, // records fetched per poll
+    concurrency: parseInt(process.env.AIRTABLE_POLLER_CONCURRENCY) || 2, // records started in parallel
+    maxActiveJobs: parseInt(process.env.AIRTABLE_POLLER_MAX_ACTIVE_JOBS) || 10, // stop claiming above this
+    maxBackoff: parseInt(process.env.AIRTABLE_POLLER_MAX_BACKOFF) || 600000, // 10 minutes
+    claimTtl: 600, // seconds a claim lock is held in Redis
+  },
 };
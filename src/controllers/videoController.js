@@ -1,16 +1,155 @@
 const { v4: uuidv4 } = require('crypto');
-const soraService = require('../services/soraService');
 const redisService = require('../services/redisService');
 const jobProcessor = require('../services/jobProcessor');
+const workflowService = require('../services/workflowService');
+const videoService = require('../services/videoService');
+const overlayService = require('../services/overlayService');
+const storageService = require('../services/storageService');
+const tenantService = require('../services/tenantService');
+const apiKeyService = require('../services/apiKeyService');
+const { InvalidTransitionError, JOB_STATUSES } = require('../services/jobStateMachine');
 const promptGenerationService = require('../services/promptGenerationService');
+const metricsService = require('../services/metricsService');
+const healthService = require('../services/healthService');
 const config = require('../config/config');
 const Logger = require('../utils/logger');
 
 /**
- * Generate a unique job ID
+ * Tenant for a request: body `tenant` or the X-Tenant-Id header, else the API key's
+ * only tenant, else the default tenant
  */
-function generateJobId() {
-  return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+function getTenantId(req) {
+  return tenantService.resolveTenantId(
+    req.body.tenant || req.get('X-Tenant-Id') || apiKeyService.getDefaultTenant(req.apiKey)
+  );
+}
+
+/**
+ * Respond 403 when the request's API key is not scoped to the tenant
+ * @returns {boolean} - True when the tenant is not allowed and a response was sent
+ */
+function rejectForbiddenTenant(req, res, tenantId) {
+  if (apiKeyService.allowsTenant(req.apiKey, tenantId)) {
+    return false;
+  }
+  res.status(403).json({
+    success: false,
+    error: `API key is not allowed to use tenant ${tenantId}`,
+  });
+  return true;
+}
+
+/**
+ * Respond 400 when the request names a tenant that is not configured
+ * @returns {boolean} - True when the tenant is unknown and a response was sent
+ */
+function rejectUnknownTenant(res, tenantId) {
+  if (tenantService.hasTenant(tenantId)) {
+    return false;
+  }
+  res.status(400).json({
+    success: false,
+    error: `Unknown tenant: ${tenantId}`,
+  });
+  return true;
+}
+
+/**
+ * Parse a created-at bound from a query string (epoch ms or ISO date)
+ * @returns {number|undefined|null} - Timestamp, undefined when absent, null when invalid
+ */
+function parseTimestamp(value) {
+  if (value === undefined || value === '') {
+    return undefined;
+  }
+
+  const timestamp = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isNaN(timestamp) ? null : timestamp;
+}
+
+/**
+ * Normalize the request body into an ordered list of segments
+ * Accepts segments[] (prompt strings or { prompt, voiceover, overlays } objects) or the legacy prompt1/prompt2 pair
+ */
+function normalizeSegments({ segments, prompt1, prompt2 }) {
+  if (Array.isArray(segments)) {
+    return segments.map((segment) =>
+      typeof segment === 'string' ? { prompt: segment } : { ...segment }
+    );
+  }
+
+  return [{ prompt: prompt1 }, { prompt: prompt2 }];
+}
+
+/**
+ * Validate normalized segments
+ * @returns {string|null} - Error message or null when valid
+ */
+function validateSegments(segments) {
+  const { minSegments, maxSegments } = config.video;
+
+  if (segments.length < minSegments || segments.length > maxSegments) {
+    return `Between ${minSegments} and ${maxSegments} segments are required`;
+  }
+
+  const missing = segments.findIndex(
+    (segment) => !segment || typeof segment.prompt !== 'string' || !segment.prompt.trim()
+  );
+  if (missing !== -1) {
+    return `Segment ${missing + 1} is missing a prompt`;
+  }
+
+  const badOverlays = segments.findIndex(
+    (segment) =>
+      segment.overlays !== undefined &&
+      (!Array.isArray(segment.overlays) ||
+        segment.overlays.some((overlay) => !overlay || typeof overlay.text !== 'string'))
+  );
+  if (badOverlays !== -1) {
+    return `Segment ${badOverlays + 1} overlays must be an array of { text } objects`;
+  }
+
+  for (const [index, segment] of segments.entries()) {
+    for (const [overlayIndex, overlay] of (segment.overlays || []).entries()) {
+      const overlayError = overlayService.validateOverlay(overlay);
+      if (overlayError) {
+        return `Segment ${index + 1} overlay ${overlayIndex + 1}: ${overlayError}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate an optional per-job transition
+ * @returns {string|null} - Error message or null when valid
+ */
+function validateTransition(transition) {
+  if (transition === undefined) {
+    return null;
+  }
+
+  if (!transition || typeof transition !== 'object') {
+    return 'transition must be an object like { type, duration }';
+  }
+
+  if (transition.duration !== undefined &&
+    (typeof transition.duration !== 'number' || transition.duration <= 0)) {
+    return 'transition.duration must be a positive number of seconds';
+  }
+
+  if (transition.duration > config.video.transition.maxDuration) {
+    return `transition.duration must be at most ${config.video.transition.maxDuration} seconds`;
+  }
+
+  try {
+    videoService.resolveTransition(transition);
+  } catch (error) {
+    return error.message;
+  }
+
+  return null;
 }
 
 /**
@@ -18,92 +157,58 @@ function generateJobId() {
  */
 class VideoController {
   /**
-   * Generate and stitch videos from two prompts (async with callbacks)
+   * Generate and stitch videos from an ordered list of segment prompts (async with callbacks)
    * POST /api/generate-video
-   * Body: { prompt1, prompt2, recordId, aspectRatio }
+   * Body: { segments: [prompt | { prompt, voiceover, overlays }], recordId, aspectRatio, captions, transition, tenant }
+   *   or legacy { prompt1, prompt2, recordId, aspectRatio }
    */
   async generateAndStitch(req, res) {
-    const { prompt1, prompt2, recordId, aspectRatio = 'landscape' } = req.body;
+    const { recordId, aspectRatio = 'landscape', captions, transition } = req.body;
+    const tenantId = getTenantId(req);
+    const segments = normalizeSegments(req.body);
+
+    if (rejectUnknownTenant(res, tenantId) || rejectForbiddenTenant(req, res, tenantId)) {
+      return res;
+    }
 
     // Validate inputs
-    if (!prompt1 || !prompt2) {
+    if (!Array.isArray(req.body.segments) && (!req.body.prompt1 || !req.body.prompt2)) {
       return res.status(400).json({
         success: false,
-        error: 'Both prompt1 and prompt2 are required',
+        error: 'Either segments[] or both prompt1 and prompt2 are required',
       });
     }
 
-    const jobId = generateJobId();
-
-    Logger.info('Starting async video generation workflow', {
-      jobId,
-      prompt1,
-      prompt2,
-      recordId,
-      aspectRatio,
-    });
+    const validationError = validateSegments(segments) || validateTransition(transition);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
 
     try {
-      // Create job in Redis
-      await redisService.createJob(jobId, {
-        prompt1,
-        prompt2,
+      const { jobId, taskIds, taskFields } = await workflowService.startJob({
+        tenantId,
+        segments,
         recordId,
         aspectRatio,
-        status: 'pending',
-      });
-
-      // Build callback URL
-      const callbackUrl = `${config.publicUrl}/api/callback/sora`;
-
-      // Create both Sora tasks with callback URLs
-      Logger.info('Creating Sora tasks with callbacks', { jobId });
-
-      const [taskId1, taskId2] = await Promise.all([
-        soraService.createTask(prompt1, aspectRatio, callbackUrl),
-        soraService.createTask(prompt2, aspectRatio, callbackUrl),
-      ]);
-
-      Logger.info('Both Sora tasks created', { jobId, taskId1, taskId2 });
-
-      // Map tasks to job in Redis
-      await Promise.all([
-        redisService.mapTaskToJob(taskId1, jobId, 1),
-        redisService.mapTaskToJob(taskId2, jobId, 2),
-      ]);
-
-      // Update job with task IDs
-      await redisService.updateJob(jobId, {
-        taskId1,
-        taskId2,
-        status: 'generating',
+        captions,
+        transition,
       });
 
-      // Update Airtable status to Generating
-      if (recordId) {
-        const airtableService = require('../services/airtableService');
-        await airtableService.updateRecordStatus(recordId, 'Generating');
-      }
-
       // Return immediately with job ID
       return res.status(202).json({
         success: true,
         message: 'Video generation started. Use the jobId to check status.',
         data: {
           jobId,
-          taskId1,
-          taskId2,
+          taskIds,
+          ...taskFields,
           statusUrl: `${config.publicUrl}/api/job/${jobId}`,
         },
       });
     } catch (error) {
-      Logger.error('Error starting video generation', error);
-
-      // Clean up job on error
-      if (jobId) {
-        await jobProcessor.handleJobFailure(jobId, { recordId }, error.message);
-      }
-
       return res.status(500).json({
         success: false,
         error: error.message,
@@ -113,7 +218,7 @@ class VideoController {
 
   /**
    * Receive Sora callback notifications
-   * POST /api/callback/sora
+   * POST /api/callback/sora/:token
    * Body: Sora callback payload (same as Query Task API response)
    */
   async handleSoraCallback(req, res) {
@@ -136,12 +241,20 @@ class VideoController {
 
       const taskData = callbackData.data;
 
-      // Process callback asynchronously (don't wait)
-      jobProcessor.processCallback(taskData.taskId, taskData).catch((error) => {
-        Logger.error('Error in async callback processing', error);
-      });
+      // Only the holder of the task's callback URL may report its result
+      if (!(await jobProcessor.verifyCallback(taskData.taskId, req.params.token))) {
+        Logger.warn('Rejected Sora callback with invalid token', { taskId: taskData.taskId });
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid callback token',
+        });
+      }
+
+      // Stitching is only queued here, so the result is stored before Sora gets its answer
+      await Logger.runWithContext({ taskId: taskData.taskId }, () =>
+        jobProcessor.processCallback(taskData.taskId, taskData)
+      );
 
-      // Respond immediately to Sora
       return res.status(200).json({
         success: true,
         message: 'Callback received',
@@ -149,7 +262,7 @@ class VideoController {
     } catch (error) {
       Logger.error('Error handling Sora callback', error);
 
-      // Still return 200 to Sora to prevent retries
+      // Still return 200 to Sora to prevent retries; the reconciler polls the task again
       return res.status(200).json({
         success: true,
         message: 'Callback received with errors',
@@ -167,7 +280,8 @@ class VideoController {
     try {
       const job = await redisService.getJob(jobId);
 
-      if (!job) {
+      // Jobs of other tenants are hidden from the key
+      if (!job || !apiKeyService.allowsTenant(req.apiKey, job.tenantId)) {
         return res.status(404).json({
           success: false,
           error: 'Job not found',
@@ -182,23 +296,44 @@ class VideoController {
           status: job.status,
           createdAt: job.createdAt,
           updatedAt: job.updatedAt,
+          // Timestamped status transitions, oldest first
+          history: job.history || [],
         },
       };
 
+      // Per-segment progress, in playback order
+      const segmentCount = redisService.getSegmentCount(job);
+      response.data.segmentCount = segmentCount;
+      response.data.segments = [];
+      for (let n = 1; n <= segmentCount; n++) {
+        response.data.segments.push({
+          segment: n,
+          taskId: job[`taskId${n}`] || null,
+          status: job[`video${n}Url`] ? 'ready' : job[`video${n}Status`] || 'pending',
+          videoUrl: job[`video${n}Url`] || null,
+          attempts: job[`attempts${n}`] || [],
+          retryAt: job[`retry${n}At`] || null,
+        });
+      }
+
       // Add additional fields based on status
       if (job.status === 'completed') {
         response.data.completedAt = job.completedAt;
-        response.data.video1Url = job.video1Url;
-        response.data.video2Url = job.video2Url;
+        response.data.segments.forEach(({ segment, videoUrl }) => {
+          response.data[`video${segment}Url`] = videoUrl;
+        });
         if (job.recordId) {
           response.data.recordId = job.recordId;
         }
       } else if (job.status === 'failed') {
         response.data.failedAt = job.failedAt;
         response.data.error = job.error;
+      } else if (job.status === 'cancelled') {
+        response.data.cancelledAt = job.cancelledAt;
       } else if (job.status === 'generating' || job.status === 'processing') {
-        response.data.video1Status = job.video1Status || 'pending';
-        response.data.video2Status = job.video2Status || 'pending';
+        response.data.segments.forEach(({ segment, status }) => {
+          response.data[`video${segment}Status`] = status;
+        });
       }
 
       return res.status(200).json(response);
@@ -211,13 +346,247 @@ class VideoController {
     }
   }
 
+  /**
+   * List jobs, newest first
+   * GET /api/jobs?status=generating,processing&recordId=&tenant=&createdFrom=&createdTo=&limit=20&offset=0
+   */
+  async listJobs(req, res) {
+    const { status, recordId } = req.query;
+    const tenant = req.query.tenant || apiKeyService.getDefaultTenant(req.apiKey);
+    const statuses = status ? String(status).split(',').map((value) => value.trim()) : [];
+    const from = parseTimestamp(req.query.createdFrom);
+    const to = parseTimestamp(req.query.createdTo);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const unknownStatus = statuses.find((value) => !JOB_STATUSES.includes(value));
+    if (unknownStatus) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown status "${unknownStatus}". Expected one of: ${JOB_STATUSES.join(', ')}`,
+      });
+    }
+
+    if (from === null || to === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'createdFrom and createdTo must be epoch milliseconds or ISO dates',
+      });
+    }
+
+    if (tenant && rejectForbiddenTenant(req, res, tenant)) {
+      return res;
+    }
+
+    // Keys scoped to several tenants list one tenant at a time
+    if (!tenant && req.apiKey && !req.apiKey.tenants.includes('*')) {
+      return res.status(400).json({
+        success: false,
+        error: 'tenant is required for this API key',
+      });
+    }
+
+    try {
+      const { jobs, total } = await redisService.listJobs({
+        statuses,
+        recordId,
+        tenantId: tenant,
+        from,
+        to,
+        limit,
+        offset,
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          jobs: jobs.map((job) => ({
+            jobId: job.jobId,
+            status: job.status,
+            tenantId: job.tenantId,
+            recordId: job.recordId || null,
+            segmentCount: redisService.getSegmentCount(job),
+            createdAt: job.createdAt,
+            updatedAt: job.updatedAt,
+            statusUrl: `${config.publicUrl}/api/job/${job.jobId}`,
+          })),
+          total,
+          limit,
+          offset,
+        },
+      });
+    } catch (error) {
+      Logger.error('Error listing jobs', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Cancel a job
+   * POST /api/job/:jobId/cancel
+   */
+  async cancelJob(req, res) {
+    const { jobId } = req.params;
+
+    try {
+      const existing = await redisService.getJob(jobId);
+      if (!existing || !apiKeyService.allowsTenant(req.apiKey, existing.tenantId)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found',
+        });
+      }
+
+      const { job, cancelledTasks } = await workflowService.cancelJob(jobId);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Job cancelled',
+        data: {
+          jobId,
+          status: job.status,
+          cancelledAt: job.cancelledAt,
+          // Sora tasks stopped upstream; others finish and their callbacks are ignored
+          cancelledTasks,
+        },
+      });
+    } catch (error) {
+      if (error instanceof InvalidTransitionError) {
+        return res.status(409).json({
+          success: false,
+          error: `Job already ${error.from}`,
+        });
+      }
+
+      Logger.error('Error cancelling job', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Stitch a finished job again from its stored segment videos
+   * POST /api/job/:jobId/restitch
+   */
+  async restitchJob(req, res) {
+    const { jobId } = req.params;
+
+    try {
+      const existing = await redisService.getJob(jobId);
+      if (!existing || !apiKeyService.allowsTenant(req.apiKey, existing.tenantId)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found',
+        });
+      }
+
+      const job = await workflowService.restitchJob(jobId);
+
+      return res.status(202).json({
+        success: true,
+        message: 'Restitching started',
+        data: {
+          jobId,
+          status: job.status,
+          statusUrl: `${config.publicUrl}/api/job/${jobId}`,
+        },
+      });
+    } catch (error) {
+      if (error instanceof InvalidTransitionError) {
+        return res.status(409).json({
+          success: false,
+          error: `Job is ${error.from}; only completed or failed jobs can be restitched`,
+        });
+      }
+
+      if (error.code === 'MISSING_SEGMENTS') {
+        return res.status(409).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      Logger.error('Error restitching job', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Generate one segment of a finished job again, then restitch it
+   * POST /api/job/:jobId/regenerate-segment/:n
+   */
+  async regenerateSegment(req, res) {
+    const { jobId } = req.params;
+    const videoNumber = Number(req.params.n);
+
+    if (!Number.isInteger(videoNumber) || videoNumber < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Segment number must be a positive integer',
+      });
+    }
+
+    try {
+      const existing = await redisService.getJob(jobId);
+      if (!existing || !apiKeyService.allowsTenant(req.apiKey, existing.tenantId)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found',
+        });
+      }
+
+      const { job, taskId } = await workflowService.regenerateSegment(jobId, videoNumber);
+
+      return res.status(202).json({
+        success: true,
+        message: `Regenerating segment ${videoNumber}`,
+        data: {
+          jobId,
+          status: job.status,
+          segment: videoNumber,
+          taskId,
+          statusUrl: `${config.publicUrl}/api/job/${jobId}`,
+        },
+      });
+    } catch (error) {
+      if (error instanceof InvalidTransitionError) {
+        return res.status(409).json({
+          success: false,
+          error: `Job is ${error.from}; only completed or failed jobs can regenerate a segment`,
+        });
+      }
+
+      if (error.code === 'INVALID_SEGMENT') {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      Logger.error('Error regenerating segment', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
   /**
    * Process an Airtable record by fetching prompts from it
    * POST /api/process-record
-   * Body: { recordId, aspectRatio }
+   * Body: { recordId, aspectRatio, tenant }
    */
   async processRecord(req, res) {
     const { recordId, aspectRatio = 'landscape' } = req.body;
+    const tenantId = getTenantId(req);
 
     if (!recordId) {
       return res.status(400).json({
@@ -226,35 +595,22 @@ class VideoController {
       });
     }
 
+    if (rejectUnknownTenant(res, tenantId) || rejectForbiddenTenant(req, res, tenantId)) {
+      return res;
+    }
+
     try {
-      // Fetch record from Airtable
-      Logger.info('Fetching record from Airtable', { recordId });
-      const airtableService = require('../services/airtableService');
-      const record = await airtableService.getRecord(recordId);
-
-      const prompt1 = record.fields['Prompt 1'] || record.fields['Prompt1'];
-      const prompt2 = record.fields['Prompt 2'] || record.fields['Prompt2'];
-
-      if (!prompt1 || !prompt2) {
-        throw new Error(
-          'Record must have "Prompt 1" and "Prompt 2" fields (or "Prompt1" and "Prompt2")'
-        );
-      }
+      // Fetch segments from the tenant's Airtable base, unless the idempotency check already did
+      const segments = req.recordSegments || await workflowService.getRecordSegments(tenantId, recordId);
 
       // Use the generateAndStitch workflow
-      req.body.prompt1 = prompt1;
-      req.body.prompt2 = prompt2;
+      req.body.segments = segments;
       return await this.generateAndStitch(req, res);
     } catch (error) {
       Logger.error('Error processing record', error);
 
       if (recordId) {
-        const airtableService = require('../services/airtableService');
-        await airtableService.updateRecordStatus(
-          recordId,
-          'Failed',
-          error.message
-        );
+        await workflowService.markRecordFailed(tenantId, recordId, error.message);
       }
 
       return res.status(500).json({
@@ -283,10 +639,14 @@ class VideoController {
       Logger.info('Generating prompts from master prompt', { masterPrompt, aspectRatio });
 
       // Generate prompts and voiceovers using the prompt generation service
-      const { prompt1, voiceover1, prompt2, voiceover2 } = await promptGenerationService.generatePrompts(
-        masterPrompt,
-        aspectRatio
-      );
+      const {
+        prompt1,
+        voiceover1,
+        overlays1,
+        prompt2,
+        voiceover2,
+        overlays2,
+      } = await promptGenerationService.generatePrompts(masterPrompt, aspectRatio);
 
       Logger.info('Prompts and voiceovers generated successfully', { prompt1, prompt2, voiceover1, voiceover2 });
 
@@ -296,8 +656,10 @@ class VideoController {
           masterPrompt,
           prompt1,
           voiceover1,
+          overlays1,
           prompt2,
           voiceover2,
+          overlays2,
           aspectRatio,
         },
       });
@@ -314,10 +676,11 @@ class VideoController {
    * Process Airtable record with Master Prompt
    * Generates Prompt 1 & 2 from Master Prompt, then creates video
    * POST /api/process-master-prompt
-   * Body: { recordId, masterPrompt, aspectRatio }
+   * Body: { recordId, masterPrompt, aspectRatio, tenant }
    */
   async processMasterPrompt(req, res) {
     const { recordId, masterPrompt, aspectRatio = 'landscape' } = req.body;
+    const tenantId = getTenantId(req);
 
     if (!masterPrompt) {
       return res.status(400).json({
@@ -326,41 +689,115 @@ class VideoController {
       });
     }
 
+    if (rejectUnknownTenant(res, tenantId) || rejectForbiddenTenant(req, res, tenantId)) {
+      return res;
+    }
+
     try {
       Logger.info('Processing master prompt', { recordId, masterPrompt, aspectRatio });
 
-      // Generate Prompt 1, Prompt 2, and Voiceovers from Master Prompt
-      const { prompt1, voiceover1, prompt2, voiceover2 } = await promptGenerationService.generatePrompts(
+      // Generate segments from the Master Prompt and write them back to the record
+      req.body.segments = await workflowService.generateSegmentsFromMaster(
+        tenantId,
+        recordId,
         masterPrompt,
         aspectRatio
       );
+      return await this.generateAndStitch(req, res);
+    } catch (error) {
+      Logger.error('Error processing master prompt', error);
 
-      Logger.info('Prompts and voiceovers generated from master', { prompt1, prompt2, voiceover1, voiceover2 });
-
-      // Update Airtable record with generated prompts and voiceovers if recordId provided
       if (recordId) {
-        const airtableService = require('../services/airtableService');
-        await airtableService.base(airtableService.tableName).update(recordId, {
-          'Prompt 1': prompt1,
-          'Prompt 2': prompt2,
-          'Voiceover 1': voiceover1,
-          'Voiceover 2': voiceover2,
+        await workflowService.markRecordFailed(tenantId, recordId, error.message);
+      }
+
+      return res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Serve a video stored on local disk
+   * GET /api/files/:key?expires=...&signature=...
+   */
+  async serveStoredFile(req, res) {
+    const { key } = req.params;
+    const { expires, signature } = req.query;
+
+    try {
+      const filePath = storageService.resolveSignedPath(key, expires, signature);
+      if (!filePath) {
+        return res.status(403).json({
+          success: false,
+          error: 'Invalid or expired file URL',
         });
-        Logger.info('Updated Airtable record with generated prompts and voiceovers', { recordId });
       }
 
-      // Now use the generated prompts to create videos
-      req.body.prompt1 = prompt1;
-      req.body.prompt2 = prompt2;
-      return await this.generateAndStitch(req, res);
+      return res.sendFile(filePath, { headers: { 'Content-Type': 'video/mp4' } }, (error) => {
+        if (error && !res.headersSent) {
+          res.status(error.statusCode === 404 ? 404 : 500).json({
+            success: false,
+            error: error.statusCode === 404 ? 'File not found' : error.message,
+          });
+        }
+      });
     } catch (error) {
-      Logger.error('Error processing master prompt', error);
+      Logger.error('Error serving stored file', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
 
-      if (recordId) {
-        const airtableService = require('../services/airtableService');
-        await airtableService.updateRecordStatus(recordId, 'Failed', error.message);
-      }
+  /**
+   * Current minimum log level
+   * GET /api/log-level
+   */
+  async getLogLevel(req, res) {
+    return res.status(200).json({
+      success: true,
+      data: { level: Logger.getLevel() },
+    });
+  }
 
+  /**
+   * Change the minimum log level at runtime, e.g. to debug a live job
+   * PUT /api/log-level
+   * Body: { level: 'debug' | 'info' | 'warn' | 'error' }
+   */
+  async setLogLevel(req, res) {
+    const previous = Logger.getLevel();
+
+    try {
+      Logger.setLevel(req.body.level);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    Logger.warn('Log level changed', { from: previous, to: req.body.level, keyId: req.apiKey?.id || null });
+    return res.status(200).json({
+      success: true,
+      data: { level: Logger.getLevel() },
+    });
+  }
+
+  /**
+   * Pipeline metrics in Prometheus text format
+   * GET /metrics
+   */
+  async getMetrics(req, res) {
+    try {
+      const metrics = await metricsService.getMetrics();
+      res.set('Content-Type', metricsService.contentType);
+      return res.status(200).send(metrics);
+    } catch (error) {
+      Logger.error('Error collecting metrics', error);
       return res.status(500).json({
         success: false,
         error: error.message,
@@ -380,6 +817,48 @@ class VideoController {
       timestamp: new Date().toISOString(),
     });
   }
+
+  /**
+   * Liveness probe: the process is up and serving requests
+   * GET /api/health/live
+   */
+  async liveness(req, res) {
+    return res.status(200).json({
+      success: true,
+      ...healthService.getLiveness(),
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Readiness probe: ffmpeg, job store, temp disk and the default tenant's Airtable and Sora key all work
+   * GET /api/health/ready
+   * Responds 503 when one of those fails, so load balancers stop routing here;
+   * other tenants' failures answer 200 with status 'degraded'
+   */
+  async readiness(req, res) {
+    try {
+      const { ready, degraded, checkedAt, checks } = await healthService.getReadiness();
+      let status = ready ? 'ready' : 'not_ready';
+      if (ready && degraded.length > 0) {
+        status = 'degraded';
+      }
+      return res.status(ready ? 200 : 503).json({
+        success: ready,
+        status,
+        degraded,
+        checks,
+        timestamp: checkedAt,
+      });
+    } catch (error) {
+      Logger.error('Error running readiness checks', error);
+      return res.status(503).json({
+        success: false,
+        status: 'not_ready',
+        error: error.message,
+      });
+    }
+  }
 }
 
 module.exports = new VideoController();
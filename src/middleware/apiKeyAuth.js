@@ -0,0 +1,122 @@
+const apiKeyService = require('../services/apiKeyService');
+const config = require('../config/config');
+const Logger = require('../utils/logger');
+
+/**
+ * API key from the X-API-Key header or an "Authorization: Bearer" header
+ * @param {Object} req - Express request
+ */
+function getApiKey(req) {
+  const header = req.get('X-API-Key');
+  if (header) {
+    return header;
+  }
+
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Require an API key allowed to call routes of a scope, and apply its rate limit
+ * Sets req.apiKey to the key definition; does nothing when API_AUTH_ENABLED=false
+ * @param {string} scope - Scope from apiKeyService.SCOPES
+ * @returns {Function} - Express middleware
+ */
+function requireApiKey(scope) {
+  return async (req, res, next) => {
+    if (!config.auth.enabled) {
+      return next();
+    }
+
+    const key = apiKeyService.authenticate(getApiKey(req));
+    if (!key) {
+      return res.status(401).json({
+        success: false,
+        error: 'Missing or invalid API key',
+      });
+    }
+
+    if (!apiKeyService.allowsScope(key, scope)) {
+      Logger.warn('API key used outside its scopes', { keyId: key.id, scope, path: req.path });
+      return res.status(403).json({
+        success: false,
+        error: `API key is not allowed to call ${scope} endpoints`,
+      });
+    }
+
+    try {
+      const { allowed, limit, remaining, retryAfter } = await apiKeyService.checkRateLimit(key);
+      res.set('X-RateLimit-Limit', String(limit));
+      res.set('X-RateLimit-Remaining', String(remaining));
+
+      if (!allowed) {
+        Logger.warn('API key rate limited', { keyId: key.id, limit });
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          error: 'Rate limit exceeded',
+        });
+      }
+    } catch (error) {
+      // The job store is down too, so the request fails on its own; don't add a second error
+      Logger.error('Could not check API rate limit', { keyId: key.id, error: error.message });
+    }
+
+    req.apiKey = key;
+    return next();
+  };
+}
+
+/**
+ * Give back a reserved generation, logging instead of throwing
+ * @param {Object} key - Key definition
+ * @param {string} day - Day the generation was reserved on
+ */
+function refundGeneration(key, day) {
+  return apiKeyService.refundGeneration(key, day).catch((error) => {
+    Logger.error('Could not refund generation', { keyId: key.id, error: error.message });
+  });
+}
+
+/**
+ * Enforce the key's daily generation quota on routes that start Sora generations
+ * A generation is reserved before the request runs and refunded unless it succeeds
+ * Must run after requireApiKey
+ */
+async function generationQuota(req, res, next) {
+  const key = req.apiKey;
+  if (!key || !key.dailyGenerationQuota) {
+    return next();
+  }
+
+  let reservation;
+  try {
+    reservation = await apiKeyService.reserveGeneration(key);
+  } catch (error) {
+    Logger.error('Could not check generation quota', { keyId: key.id, error: error.message });
+    return next();
+  }
+
+  const { used, day } = reservation;
+  if (used > key.dailyGenerationQuota) {
+    await refundGeneration(key, day);
+    Logger.warn('API key daily generation quota reached', { keyId: key.id, quota: key.dailyGenerationQuota });
+    return res.status(429).json({
+      success: false,
+      error: `Daily generation quota of ${key.dailyGenerationQuota} reached`,
+    });
+  }
+
+  res.on('finish', () => {
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      refundGeneration(key, day);
+    }
+  });
+
+  return next();
+}
+
+module.exports = {
+  requireApiKey,
+  generationQuota,
+};
@@ -0,0 +1,119 @@
+const idempotencyService = require('../services/idempotencyService');
+const workflowService = require('../services/workflowService');
+const tenantService = require('../services/tenantService');
+const apiKeyService = require('../services/apiKeyService');
+const Logger = require('../utils/logger');
+
+/**
+ * Segments a process-record request will generate, read from its record
+ * The body names only the record, so the fingerprint needs the record's content:
+ * editing the prompts and sending the record again must start a new job, not replay
+ * @returns {Promise<Array<Object>|null>} - Null when the handler will reject the tenant
+ */
+async function readRecordSegments(req) {
+  // Same resolution as the controller, which reuses the segments read here
+  const tenantId = tenantService.resolveTenantId(
+    req.body.tenant || req.get('X-Tenant-Id') || apiKeyService.getDefaultTenant(req.apiKey)
+  );
+  if (!tenantService.hasTenant(tenantId) || !apiKeyService.allowsTenant(req.apiKey, tenantId)) {
+    return null;
+  }
+  return workflowService.getRecordSegments(tenantId, req.body.recordId);
+}
+
+/**
+ * Make a generation route idempotent
+ * The key is the Idempotency-Key header, or for requests naming an Airtable
+ * record, derived from the record and the request body (Airtable retries and
+ * double-clicked buttons send neither a header nor anything unique), plus the
+ * record's segments for process-record
+ * Successful responses are replayed for config.idempotency.window seconds;
+ * failed requests free the key. Must run after requireApiKey and before
+ * generationQuota, so replays don't count against the quota
+ */
+async function idempotent(req, res, next) {
+  const headerKey = req.get('Idempotency-Key');
+
+  if (!headerKey && !req.body.recordId) {
+    return next();
+  }
+
+  let segments = null;
+  if (!headerKey && req.path === '/process-record') {
+    try {
+      segments = await readRecordSegments(req);
+    } catch (error) {
+      // The handler reads the record again and reports the failure
+      Logger.warn('Could not read record for idempotency key', { recordId: req.body.recordId, error: error.message });
+      return next();
+    }
+    if (!segments) {
+      return next();
+    }
+    req.recordSegments = segments;
+  }
+
+  const fingerprint = idempotencyService.fingerprint({
+    route: req.path,
+    tenant: req.get('X-Tenant-Id') || null,
+    body: req.body,
+    ...(segments && { segments }),
+  });
+
+  // Keys are per API key, like the jobs they protect
+  const key = [
+    req.apiKey?.id || 'anonymous',
+    req.path,
+    headerKey ? `key:${idempotencyService.fingerprint(headerKey)}` : `record:${fingerprint}`,
+  ].join(':');
+
+  let result;
+  try {
+    result = await idempotencyService.begin(key, fingerprint);
+  } catch (error) {
+    // Without the store the request would fail anyway; let the handler report it
+    Logger.error('Could not check idempotency key', { error: error.message });
+    return next();
+  }
+
+  if (result.status === 'replay') {
+    Logger.info('Replaying response for duplicate request', { path: req.path, jobId: result.record.jobId });
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(result.record.statusCode).json(result.record.body);
+  }
+
+  if (result.status === 'in-progress') {
+    return res.status(409).json({
+      success: false,
+      error: 'An identical request is still being processed',
+    });
+  }
+
+  if (result.status === 'mismatch') {
+    return res.status(422).json({
+      success: false,
+      error: 'Idempotency-Key was already used for a different request',
+    });
+  }
+
+  // Record the outcome before the response goes out, so a retry right after sees it
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const saved = res.statusCode >= 200 && res.statusCode < 300
+      ? idempotencyService.complete(key, fingerprint, res.statusCode, body)
+      : idempotencyService.release(key);
+
+    saved
+      .catch((error) => {
+        Logger.error('Could not save idempotency record', { error: error.message });
+      })
+      .finally(() => json(body));
+    return res;
+  };
+
+  return next();
+}
+
+module.exports = {
+  idempotent,
+};
@@ -0,0 +1,16 @@
+const express = require('express');
+const videoController = require('../controllers/videoController');
+const { requireApiKey } = require('../middleware/apiKeyAuth');
+
+const router = express.Router();
+
+/**
+ * @route   GET /metrics
+ * @desc    Pipeline metrics in Prometheus text format
+ * @access  API key (metrics)
+ */
+router.get('/', requireApiKey('metrics'), (req, res) =>
+  videoController.getMetrics(req, res)
+);
+
+module.exports = router;
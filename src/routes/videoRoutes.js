@@ -1,62 +1,127 @@
 const express = require('express');
 const videoController = require('../controllers/videoController');
+const { requireApiKey, generationQuota } = require('../middleware/apiKeyAuth');
+const { idempotent } = require('../middleware/idempotency');
 
 const router = express.Router();
 
 /**
  * @route   POST /api/generate-video
- * @desc    Generate and stitch videos from two prompts (async with callbacks)
- * @access  Public
+ * @desc    Generate and stitch videos from ordered segment prompts (async with callbacks)
+ * @access  API key (generate)
  */
-router.post('/generate-video', (req, res) =>
+router.post('/generate-video', requireApiKey('generate'), idempotent, generationQuota, (req, res) =>
   videoController.generateAndStitch(req, res)
 );
 
 /**
  * @route   POST /api/process-record
  * @desc    Process an Airtable record
- * @access  Public
+ * @access  API key (generate)
  */
-router.post('/process-record', (req, res) =>
+router.post('/process-record', requireApiKey('generate'), idempotent, generationQuota, (req, res) =>
   videoController.processRecord(req, res)
 );
 
 /**
  * @route   POST /api/generate-prompts
  * @desc    Generate Prompt 1 and Prompt 2 from a Master Prompt
- * @access  Public
+ * @access  API key (prompts)
  */
-router.post('/generate-prompts', (req, res) =>
+router.post('/generate-prompts', requireApiKey('prompts'), (req, res) =>
   videoController.generatePromptsFromMaster(req, res)
 );
 
 /**
  * @route   POST /api/process-master-prompt
  * @desc    Process Airtable record with Master Prompt (auto-generates Prompt 1 & 2)
- * @access  Public
+ * @access  API key (generate)
  */
-router.post('/process-master-prompt', (req, res) =>
+router.post('/process-master-prompt', requireApiKey('generate'), idempotent, generationQuota, (req, res) =>
   videoController.processMasterPrompt(req, res)
 );
 
 /**
- * @route   POST /api/callback/sora
+ * @route   POST /api/callback/sora/:token
  * @desc    Receive Sora API callbacks
- * @access  Public (called by Sora API)
+ * @access  Public (called by Sora API; the per-task token is verified)
  */
-router.post('/callback/sora', (req, res) =>
+router.post('/callback/sora/:token?', (req, res) =>
   videoController.handleSoraCallback(req, res)
 );
 
+/**
+ * @route   GET /api/jobs
+ * @desc    List jobs with filters (status, recordId, tenant, created-at range) and pagination
+ * @access  API key (jobs:read)
+ */
+router.get('/jobs', requireApiKey('jobs:read'), (req, res) =>
+  videoController.listJobs(req, res)
+);
+
 /**
  * @route   GET /api/job/:jobId
  * @desc    Get job status
- * @access  Public
+ * @access  API key (jobs:read)
  */
-router.get('/job/:jobId', (req, res) =>
+router.get('/job/:jobId', requireApiKey('jobs:read'), (req, res) =>
   videoController.getJobStatus(req, res)
 );
 
+/**
+ * @route   POST /api/job/:jobId/cancel
+ * @desc    Cancel a job; its Airtable record is set to Cancelled
+ * @access  API key (jobs:write)
+ */
+router.post('/job/:jobId/cancel', requireApiKey('jobs:write'), (req, res) =>
+  videoController.cancelJob(req, res)
+);
+
+/**
+ * @route   POST /api/job/:jobId/restitch
+ * @desc    Stitch and upload a completed or failed job again from its stored segment videos
+ * @access  API key (jobs:write)
+ */
+router.post('/job/:jobId/restitch', requireApiKey('jobs:write'), (req, res) =>
+  videoController.restitchJob(req, res)
+);
+
+/**
+ * @route   POST /api/job/:jobId/regenerate-segment/:n
+ * @desc    Generate one segment of a completed or failed job again, then restitch it
+ * @access  API key (jobs:write)
+ */
+router.post('/job/:jobId/regenerate-segment/:n', requireApiKey('jobs:write'), generationQuota, (req, res) =>
+  videoController.regenerateSegment(req, res)
+);
+
+/**
+ * @route   GET /api/files/:key
+ * @desc    Download a stored video via a signed, expiring URL (local storage backend)
+ * @access  Public (requires a valid signature)
+ */
+router.get('/files/:key', (req, res) =>
+  videoController.serveStoredFile(req, res)
+);
+
+/**
+ * @route   GET /api/log-level
+ * @desc    Current minimum log level
+ * @access  API key (admin)
+ */
+router.get('/log-level', requireApiKey('admin'), (req, res) =>
+  videoController.getLogLevel(req, res)
+);
+
+/**
+ * @route   PUT /api/log-level
+ * @desc    Change the minimum log level until the next restart
+ * @access  API key (admin)
+ */
+router.put('/log-level', requireApiKey('admin'), (req, res) =>
+  videoController.setLogLevel(req, res)
+);
+
 /**
  * @route   GET /api/health
  * @desc    Health check endpoint
@@ -64,4 +129,18 @@ router.get('/job/:jobId', (req, res) =>
  */
 router.get('/health', (req, res) => videoController.healthCheck(req, res));
 
+/**
+ * @route   GET /api/health/live
+ * @desc    Liveness probe (process is up)
+ * @access  Public
+ */
+router.get('/health/live', (req, res) => videoController.liveness(req, res));
+
+/**
+ * @route   GET /api/health/ready
+ * @desc    Readiness probe: checks ffmpeg, job store, Airtable auth, Sora key and temp disk space
+ * @access  Public
+ */
+router.get('/health/ready', (req, res) => videoController.readiness(req, res));
+
 module.exports = router;
@@ -1,8 +1,17 @@
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const config = require('./config/config');
 const videoRoutes = require('./routes/videoRoutes');
+const metricsRoutes = require('./routes/metricsRoutes');
 const videoService = require('./services/videoService');
+const jobReconciler = require('./services/jobReconciler');
+const airtablePoller = require('./services/airtablePoller');
+const stitchWorker = require('./services/stitchWorker');
+const redisService = require('./services/redisService');
+const storageService = require('./services/storageService');
+const tenantService = require('./services/tenantService');
+const apiKeyService = require('./services/apiKeyService');
 const Logger = require('./utils/logger');
 
 // Initialize Express app
@@ -13,17 +22,29 @@ app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Request logging middleware
+// Request ID for every log line the request causes, including its background work
+// Bodies are not logged: they hold prompts
 app.use((req, res, next) => {
-  Logger.info(`${req.method} ${req.path}`, {
-    body: req.body,
-    query: req.query,
+  const requestId = req.get('X-Request-Id') || crypto.randomUUID();
+  const startedAt = Date.now();
+  res.set('X-Request-Id', requestId);
+
+  Logger.runWithContext({ requestId }, () => {
+    res.on('finish', () => {
+      Logger.info('Request completed', {
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        durationMs: Date.now() - startedAt,
+      });
+    });
+    next();
   });
-  next();
 });
 
 // Routes
 app.use('/api', videoRoutes);
+app.use('/metrics', metricsRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -57,7 +78,15 @@ app.use((err, req, res, next) => {
 
 // Start server
 const PORT = config.port;
-app.listen(PORT, () => {
+// Fail at startup rather than on the first upload
+try {
+  storageService.getBackend();
+} catch (error) {
+  Logger.error('Storage backend is misconfigured, exiting', { error: error.message });
+  process.exit(1);
+}
+
+const server = app.listen(PORT, () => {
   Logger.info(`Server running on port ${PORT}`);
   Logger.info(`Environment: ${config.nodeEnv}`);
   Logger.info(`API endpoints available at http://localhost:${PORT}/api`);
@@ -68,6 +97,7 @@ app.listen(PORT, () => {
     Logger.info('Running periodic temp file cleanup');
     try {
       await videoService.cleanupOldFiles(2); // Delete files older than 2 hours
+      await storageService.cleanupExpired(); // Delete stored videos whose URLs expired
       Logger.info('Periodic cleanup completed');
     } catch (error) {
       Logger.error('Error during periodic cleanup', error);
@@ -80,8 +110,71 @@ app.listen(PORT, () => {
   });
 
   Logger.info('Periodic cleanup scheduler started (runs every hour)');
+
+  // Protected routes answer 401 until keys are configured
+  if (config.auth.enabled && apiKeyService.loadKeys().size === 0) {
+    Logger.warn('API key auth is enabled but no keys are configured (API_KEYS_CONFIG_PATH or API_KEYS)');
+  }
+
+  // Check each tenant's Airtable field map against its table schema
+  for (const tenantId of tenantService.getTenantIds()) {
+    const { airtable } = tenantService.getTenant(tenantId);
+    if (!airtable.apiKey || !airtable.baseId) {
+      continue;
+    }
+
+    Promise.resolve()
+      .then(() => tenantService.getAirtableService(tenantId).validateFieldMap())
+      .then(({ errors }) => {
+        // Only the default tenant can stop the server; other tenants fail on their own jobs
+        if (errors.length > 0 && config.airtable.strictSchema && tenantId === tenantService.DEFAULT_TENANT) {
+          Logger.error('Airtable field map is invalid, exiting (AIRTABLE_STRICT_SCHEMA=true)');
+          process.exit(1);
+        }
+      })
+      .catch((error) => {
+        Logger.warn('Could not validate Airtable field map', { tenantId, error: error.message });
+      });
+  }
+
+  // Poll Sora for jobs whose callbacks never arrived and fail timed-out jobs
+  if (config.reconciler.enabled) {
+    jobReconciler.start();
+  }
+
+  // Start jobs for queued Airtable records without automation scripts
+  if (config.poller.enabled) {
+    airtablePoller.start();
+  }
+
+  // Run queued stitch/upload work here unless separate workers do (npm run worker)
+  if (config.worker.enabled) {
+    stitchWorker.start();
+  }
 });
 
+/**
+ * Stop taking requests and new work, finish or release in-flight work, then exit
+ * @param {string} signal - Signal received
+ */
+async function shutdown(signal) {
+  Logger.info('Shutting down', { signal });
+  server.close();
+  jobReconciler.stop();
+  airtablePoller.stop();
+
+  try {
+    await stitchWorker.stop();
+  } catch (error) {
+    Logger.error('Error stopping stitch worker', error);
+  }
+  await redisService.flush();
+  process.exit(0);
+}
+
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
+
 // Handle unhandled rejections
 process.on('unhandledRejection', (reason, promise) => {
   Logger.error('Unhandled Rejection at:', { promise, reason });
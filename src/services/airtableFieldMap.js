@@ -0,0 +1,154 @@
+const fs = require('fs-extra');
+
+/**
+ * Declarative mapping from logical fields (prompt, status, video, ...) to the
+ * Airtable field names used by a particular base/table
+ */
+class AirtableFieldMap {
+  /**
+   * @param {Object} fields - Field definitions keyed by logical name
+   *   ({ names: string[], types: string[], perSegment?: boolean, required?: boolean })
+   */
+  constructor(fields) {
+    this.fields = fields;
+    // Names confirmed against the table schema, keyed by `${key}:${n}`
+    this.resolved = {};
+    // Optional fields the table schema doesn't have
+    this.missing = new Set();
+  }
+
+  /**
+   * Load the field map for a base/table from a JSON file
+   * Per-table overrides replace only the names of the fields they list
+   * @param {string} filePath - Path to the field map JSON
+   * @param {string} baseId - Airtable base ID
+   * @param {string} tableName - Airtable table name
+   * @returns {AirtableFieldMap}
+   */
+  static load(filePath, baseId, tableName) {
+    const definition = fs.readJsonSync(filePath);
+    const overrides = definition.overrides?.[`${baseId}/${tableName}`] || {};
+    const fields = {};
+
+    for (const [key, field] of Object.entries(definition.fields)) {
+      const override = overrides[key];
+      fields[key] = {
+        ...field,
+        names: override ? [].concat(override) : [].concat(field.names),
+      };
+    }
+
+    for (const key of Object.keys(overrides)) {
+      if (!fields[key]) {
+        throw new Error(`Field map override for unknown field "${key}" (${baseId}/${tableName})`);
+      }
+    }
+
+    return new AirtableFieldMap(fields);
+  }
+
+  /**
+   * Get the definition of a logical field
+   * @param {string} key - Logical field name
+   */
+  getField(key) {
+    const field = this.fields[key];
+    if (!field) {
+      throw new Error(`Unknown Airtable field "${key}" in field map`);
+    }
+    return field;
+  }
+
+  /**
+   * All candidate Airtable names for a logical field
+   * @param {string} key - Logical field name
+   * @param {number} n - Segment number for per-segment fields
+   * @returns {string[]}
+   */
+  candidates(key, n) {
+    return this.getField(key).names.map((name) => name.replace('{n}', n));
+  }
+
+  /**
+   * The Airtable field name to write to
+   * Uses the name confirmed by schema validation, or the first candidate
+   * @param {string} key - Logical field name
+   * @param {number} n - Segment number for per-segment fields
+   * @returns {string}
+   */
+  name(key, n) {
+    return this.resolved[`${key}:${n}`] || this.candidates(key, n)[0];
+  }
+
+  /**
+   * Whether schema validation found an optional field missing from the table
+   * Unvalidated fields are assumed to exist
+   * @param {string} key - Logical field name
+   */
+  isMissing(key) {
+    return this.missing.has(key);
+  }
+
+  /**
+   * Read a logical field from a record, trying every candidate name
+   * @param {Object} record - Airtable record
+   * @param {string} key - Logical field name
+   * @param {number} n - Segment number for per-segment fields
+   */
+  read(record, key, n) {
+    for (const name of this.candidates(key, n)) {
+      const value = record.fields[name];
+      if (value !== undefined && value !== null && value !== '') {
+        return value;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Check the map against a table schema and remember the names that exist
+   * @param {Object} table - Table from the Airtable metadata API ({ name, fields: [{ name, type }] })
+   * @param {number} minSegments - Segments that must have per-segment fields
+   * @param {number} maxSegments - Highest segment number to resolve
+   * @returns {{errors: string[], warnings: string[]}}
+   */
+  validate(table, minSegments, maxSegments) {
+    const errors = [];
+    const warnings = [];
+    const schemaFields = new Map(table.fields.map((field) => [field.name, field]));
+
+    for (const [key, field] of Object.entries(this.fields)) {
+      const numbers = field.perSegment
+        ? Array.from({ length: maxSegments }, (value, index) => index + 1)
+        : [undefined];
+
+      for (const n of numbers) {
+        const candidates = this.candidates(key, n);
+        const match = candidates.find((name) => schemaFields.has(name));
+        const label = n ? `${key} (segment ${n})` : key;
+
+        if (!match) {
+          const needed = field.required && (!field.perSegment || n <= minSegments);
+          if (needed) {
+            errors.push(`Missing field for ${label}: expected one of ${candidates.map((name) => `"${name}"`).join(', ')}`);
+          } else if (!field.perSegment) {
+            this.missing.add(key);
+            warnings.push(`Optional field for ${label} not found: ${candidates.map((name) => `"${name}"`).join(', ')}`);
+          }
+          continue;
+        }
+
+        this.resolved[`${key}:${n}`] = match;
+        this.missing.delete(key);
+        const { type } = schemaFields.get(match);
+        if (field.types && !field.types.includes(type)) {
+          errors.push(`Field "${match}" for ${label} has type "${type}", expected ${field.types.join(' or ')}`);
+        }
+      }
+    }
+
+    return { errors, warnings };
+  }
+}
+
+module.exports = AirtableFieldMap;
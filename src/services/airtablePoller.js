@@ -0,0 +1,245 @@
+const redisService = require('./redisService');
+const tenantService = require('./tenantService');
+const workflowService = require('./workflowService');
+const config = require('../config/config');
+const Logger = require('../utils/logger');
+
+/**
+ * Whether an error is Airtable's rate limit response
+ * @param {Error} error - Error from the Airtable SDK or axios
+ */
+function isRateLimited(error) {
+  return error?.statusCode === 429 ||
+    error?.error === 'RATE_LIMIT_REACHED' ||
+    error?.response?.status === 429;
+}
+
+/**
+ * Background poller that starts jobs for queued Airtable records
+ * Replaces the Airtable automation scripts: each pass queries every tenant's
+ * table, claims records by flipping their status and starts the same workflow
+ * as /api/process-record or /api/process-master-prompt
+ */
+class AirtablePoller {
+  constructor() {
+    this.options = config.poller;
+
+    this.timer = null;
+    this.isRunning = false;
+    // Per-tenant rate-limit backoff: tenantId -> { delay, until }
+    this.backoff = new Map();
+  }
+
+  /**
+   * Start polling
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.runOnce().catch((error) => {
+        Logger.error('Error during Airtable polling', error);
+      });
+    }, this.options.interval);
+
+    Logger.info('Airtable poller started', {
+      interval: this.options.interval,
+      concurrency: this.options.concurrency,
+      maxActiveJobs: this.options.maxActiveJobs,
+    });
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      Logger.info('Airtable poller stopped');
+    }
+  }
+
+  /**
+   * Run a single pass over every tenant with Airtable credentials
+   * Skips the pass if the previous one is still running
+   */
+  async runOnce() {
+    if (this.isRunning) {
+      Logger.warn('Previous Airtable poll still running, skipping');
+      return;
+    }
+
+    this.isRunning = true;
+    try {
+      for (const tenantId of tenantService.getTenantIds()) {
+        const { airtable } = tenantService.getTenant(tenantId);
+        if (!airtable.apiKey || !airtable.baseId || this.isBackingOff(tenantId)) {
+          continue;
+        }
+
+        try {
+          await this.pollTenant(tenantId);
+          this.backoff.delete(tenantId);
+        } catch (error) {
+          // One tenant's failure must not stop the others
+          if (isRateLimited(error)) {
+            this.recordRateLimit(tenantId);
+          } else {
+            Logger.error('Error polling Airtable', { tenantId, error: error.message });
+          }
+        }
+      }
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Query a tenant's queued records and start jobs for them
+   * @param {string} tenantId - Tenant ID
+   */
+  async pollTenant(tenantId) {
+    const capacity = this.options.maxActiveJobs - (await redisService.getActiveJobIds()).length;
+    if (capacity <= 0) {
+      Logger.debug('Active job limit reached, not claiming records', { tenantId });
+      return;
+    }
+
+    const airtableService = tenantService.getAirtableService(tenantId);
+    const filterByFormula = this.options.formula ||
+      `{${airtableService.fieldMap.name('status')}} = '${this.options.queuedStatus}'`;
+
+    const records = await airtableService.listRecords({
+      view: this.options.view,
+      filterByFormula,
+      maxRecords: Math.min(this.options.batchSize, capacity),
+    });
+
+    if (records.length === 0) {
+      return;
+    }
+
+    Logger.info('Found queued Airtable records', { tenantId, count: records.length });
+
+    // Work through the records with a fixed number of workers
+    // A failed record is logged and skipped; only a rate limit stops the batch,
+    // so every worker has finished before the pass ends
+    const queue = [...records];
+    let rateLimitError = null;
+    const worker = async () => {
+      while (queue.length > 0 && !rateLimitError) {
+        const record = queue.shift();
+        try {
+          await Logger.runWithContext({ tenantId, recordId: record.id }, () => this.processRecord(tenantId, record));
+        } catch (error) {
+          if (isRateLimited(error)) {
+            rateLimitError = error;
+          } else {
+            Logger.error('Error processing Airtable record', { tenantId, recordId: record.id, error: error.message });
+          }
+        }
+      }
+    };
+
+    const workers = Array.from({ length: Math.min(this.options.concurrency, records.length) }, worker);
+    await Promise.all(workers);
+
+    if (rateLimitError) {
+      throw rateLimitError;
+    }
+  }
+
+  /**
+   * Claim a record and start its job
+   * Records with prompts go through the process-record flow, records with
+   * only a master prompt through the master-prompt flow
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} record - Airtable record as listed
+   */
+  async processRecord(tenantId, record) {
+    const airtableService = tenantService.getAirtableService(tenantId);
+    const lockKey = `airtable-claim:${tenantId}:${record.id}`;
+
+    // The Redis lock makes the claim atomic across instances,
+    // the status flip makes it visible in Airtable
+    if (!(await redisService.acquireLock(lockKey, this.options.claimTtl))) {
+      return;
+    }
+
+    let claimed;
+    try {
+      claimed = await airtableService.claimRecord(
+        record.id,
+        airtableService.getStatus(record),
+        this.options.claimedStatus
+      );
+    } catch (error) {
+      await redisService.releaseLock(lockKey);
+      throw error;
+    }
+
+    if (!claimed) {
+      // Free the record at once, so it can be claimed if it is queued again
+      await redisService.releaseLock(lockKey);
+      Logger.info('Airtable record changed before it could be claimed', { tenantId, recordId: record.id });
+      return;
+    }
+
+    Logger.info('Claimed Airtable record', { tenantId, recordId: record.id });
+
+    const aspectRatio = config.video.defaultAspectRatio;
+    let segments;
+    try {
+      segments = airtableService.getSegments(claimed);
+      if (segments.length < config.video.minSegments) {
+        const masterPrompt = airtableService.getMasterPrompt(claimed);
+        if (!masterPrompt) {
+          throw new Error(
+            `Record must have prompts for at least ${config.video.minSegments} segments or a master prompt`
+          );
+        }
+        segments = await workflowService.generateSegmentsFromMaster(tenantId, record.id, masterPrompt, aspectRatio);
+      }
+    } catch (error) {
+      Logger.error('Error preparing claimed Airtable record', { tenantId, recordId: record.id, error: error.message });
+      await workflowService.markRecordFailed(tenantId, record.id, error.message);
+      return;
+    }
+
+    try {
+      await workflowService.startJob({ tenantId, segments, recordId: record.id, aspectRatio });
+    } catch (error) {
+      // startJob has already failed the job and the record
+      Logger.error('Error starting job for Airtable record', { tenantId, recordId: record.id, error: error.message });
+    }
+  }
+
+  /**
+   * Whether a tenant is still waiting out a rate-limit backoff
+   * @param {string} tenantId - Tenant ID
+   */
+  isBackingOff(tenantId) {
+    const state = this.backoff.get(tenantId);
+    return Boolean(state && Date.now() < state.until);
+  }
+
+  /**
+   * Double a tenant's backoff after Airtable rate-limits it
+   * @param {string} tenantId - Tenant ID
+   */
+  recordRateLimit(tenantId) {
+    const previous = this.backoff.get(tenantId);
+    const delay = Math.min(
+      previous ? previous.delay * 2 : this.options.interval * 2,
+      this.options.maxBackoff
+    );
+
+    this.backoff.set(tenantId, { delay, until: Date.now() + delay });
+    Logger.warn('Airtable rate limit reached, backing off', { tenantId, delay });
+  }
+}
+
+module.exports = new AirtablePoller();
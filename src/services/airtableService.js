@@ -1,25 +1,142 @@
 const Airtable = require('airtable');
-const fs = require('fs-extra');
-const FormData = require('form-data');
 const axios = require('axios');
+const fs = require('fs-extra');
+const { Readable } = require('stream');
 const config = require('../config/config');
+const storageService = require('./storageService');
+const AirtableFieldMap = require('./airtableFieldMap');
+const metricsService = require('./metricsService');
 const Logger = require('../utils/logger');
 
+/**
+ * Read a file as base64 text in chunks, without holding the whole file in memory
+ * Bytes are carried over so every chunk except the last encodes a multiple of 3
+ * @param {string} filePath - Path to file
+ */
+async function* base64Chunks(filePath) {
+  let remainder = Buffer.alloc(0);
+  for await (const chunk of fs.createReadStream(filePath)) {
+    const data = Buffer.concat([remainder, chunk]);
+    const usable = data.length - (data.length % 3);
+    remainder = data.subarray(usable);
+    yield data.subarray(0, usable).toString('base64');
+  }
+  yield remainder.toString('base64');
+}
+
 /**
  * Service for Airtable operations
  */
 class AirtableService {
-  constructor() {
-    this.apiKey = config.airtable.apiKey;
-    this.baseId = config.airtable.baseId;
-    this.tableName = config.airtable.tableName;
+  /**
+   * @param {Object} options - Airtable settings (defaults to the env config)
+   * @param {string} options.apiKey - Airtable API token
+   * @param {string} options.baseId - Base ID
+   * @param {string} options.tableName - Table name or ID
+   * @param {string} options.fieldMapPath - Path to the field map JSON
+   */
+  constructor(options = config.airtable) {
+    this.apiKey = options.apiKey;
+    this.baseId = options.baseId;
+    this.tableName = options.tableName;
+    this.fieldMap = AirtableFieldMap.load(
+      options.fieldMapPath || config.airtable.fieldMapPath,
+      this.baseId,
+      this.tableName
+    );
 
     if (this.apiKey && this.baseId) {
-      Airtable.configure({
-        apiKey: this.apiKey,
-      });
-      this.base = Airtable.base(this.baseId);
+      // Per-instance client so several bases/tokens can be used side by side
+      this.base = new Airtable({ apiKey: this.apiKey }).base(this.baseId);
+    }
+  }
+
+  /**
+   * Fetch the configured table's schema from the Airtable metadata API
+   * Requires a token with the schema.bases:read scope
+   * @returns {Promise<Object>} - Table definition ({ id, name, fields })
+   */
+  async getTableSchema() {
+    const response = await axios.get(`${config.airtable.apiUrl}/meta/bases/${this.baseId}/tables`, {
+      headers: { 'Authorization': `Bearer ${this.apiKey}` },
+    });
+
+    const table = response.data.tables.find(
+      (candidate) => candidate.name === this.tableName || candidate.id === this.tableName
+    );
+    if (!table) {
+      throw new Error(`Table "${this.tableName}" not found in base ${this.baseId}`);
     }
+    return table;
+  }
+
+  /**
+   * Check that the token is accepted (works with any token scope)
+   * @returns {Promise<Object>} - Token owner ({ id, scopes })
+   */
+  async checkAuth() {
+    const response = await axios.get(`${config.airtable.apiUrl}/meta/whoami`, {
+      headers: { 'Authorization': `Bearer ${this.apiKey}` },
+    });
+    return response.data;
+  }
+
+  /**
+   * Validate the field map against the table schema
+   * @returns {Promise<{errors: string[], warnings: string[]}>}
+   */
+  async validateFieldMap() {
+    const table = await this.getTableSchema();
+    const result = this.fieldMap.validate(table, config.video.minSegments, config.video.maxSegments);
+
+    for (const warning of result.warnings) {
+      Logger.warn(`Airtable field map: ${warning}`, { baseId: this.baseId, table: this.tableName });
+    }
+    for (const error of result.errors) {
+      Logger.error(`Airtable field map: ${error}`, { baseId: this.baseId, table: this.tableName });
+    }
+    if (result.errors.length === 0) {
+      Logger.info('Airtable field map validated', { baseId: this.baseId, table: this.tableName });
+    }
+
+    return result;
+  }
+
+  /**
+   * Read the ordered segments (prompt and optional voiceover) from a record
+   * Stops at the first segment without a prompt
+   * @param {Object} record - Airtable record
+   * @returns {Array<{prompt: string, voiceover?: string}>}
+   */
+  getSegments(record) {
+    const segments = [];
+    for (let n = 1; n <= config.video.maxSegments; n++) {
+      const prompt = this.fieldMap.read(record, 'prompt', n);
+      if (!prompt) {
+        break;
+      }
+      const voiceover = this.fieldMap.read(record, 'voiceover', n);
+      segments.push(voiceover ? { prompt, voiceover } : { prompt });
+    }
+    return segments;
+  }
+
+  /**
+   * Write segment prompts and voiceovers back to a record
+   * @param {string} recordId - Record ID
+   * @param {Array<{prompt: string, voiceover?: string}>} segments - Ordered segments
+   * @returns {Promise<Object>} - Updated record
+   */
+  async updateSegments(recordId, segments) {
+    const fields = {};
+    segments.forEach((segment, index) => {
+      fields[this.fieldMap.name('prompt', index + 1)] = segment.prompt;
+      if (segment.voiceover) {
+        fields[this.fieldMap.name('voiceover', index + 1)] = segment.voiceover;
+      }
+    });
+
+    return await this.base(this.tableName).update(recordId, fields);
   }
 
   /**
@@ -41,149 +158,208 @@ class AirtableService {
       return record;
     } catch (error) {
       Logger.error('Error fetching Airtable record', error);
+      metricsService.recordUpstreamError('airtable', 'getRecord');
       throw new Error(`Failed to fetch Airtable record: ${error.message}`);
     }
   }
 
+  /**
+   * List records matching a view and/or formula (first page only)
+   * @param {Object} options
+   * @param {string} options.view - View name or ID (optional)
+   * @param {string} options.filterByFormula - Airtable formula (optional)
+   * @param {number} options.maxRecords - Maximum records to return
+   * @returns {Promise<Array<Object>>} - Records
+   */
+  async listRecords({ view, filterByFormula, maxRecords }) {
+    const params = { maxRecords };
+    if (view) {
+      params.view = view;
+    }
+    if (filterByFormula) {
+      params.filterByFormula = filterByFormula;
+    }
+
+    return await this.base(this.tableName).select(params).firstPage();
+  }
+
+  /**
+   * Read a record's status through the field map
+   * @param {Object} record - Airtable record
+   * @returns {string|undefined}
+   */
+  getStatus(record) {
+    const status = this.fieldMap.read(record, 'status');
+    // Single selects come back as plain strings, but tolerate { name } objects
+    return typeof status === 'object' && status !== null ? status.name : status;
+  }
+
+  /**
+   * Read the master prompt from a record through the field map
+   * @param {Object} record - Airtable record
+   * @returns {string|undefined}
+   */
+  getMasterPrompt(record) {
+    return this.fieldMap.read(record, 'masterPrompt');
+  }
+
+  /**
+   * Claim a record by moving its status from an expected value to a new one
+   * Re-reads the record first so a record changed since it was listed is left alone
+   * @param {string} recordId - Record ID
+   * @param {string} expectedStatus - Status the record must still have
+   * @param {string} claimedStatus - Status to write
+   * @returns {Promise<Object|null>} - Claimed record, or null if the status changed
+   */
+  async claimRecord(recordId, expectedStatus, claimedStatus) {
+    const record = await this.base(this.tableName).find(recordId);
+    if (this.getStatus(record) !== expectedStatus) {
+      return null;
+    }
+
+    return await this.base(this.tableName).update(recordId, {
+      [this.fieldMap.name('status')]: claimedStatus,
+    });
+  }
+
   /**
    * Upload video to Airtable as attachment
+   * Files within the direct-upload limit are streamed straight into the field,
+   * larger files go through the storage backend and are attached by URL
    * @param {string} recordId - The record ID to update
    * @param {string} videoPath - Path to the video file
    * @param {string} fieldName - Name of the attachment field
-   * @returns {Promise<Object>} - Updated record
+   * @returns {Promise<Object>} - Updated record (URL flow) or upload response (direct flow)
    */
-  async uploadVideoAttachment(recordId, videoPath, fieldName = 'Video') {
+  async uploadVideoAttachment(recordId, videoPath, fieldName = this.fieldMap.name('video')) {
     try {
+      const filename = `stitched_${Date.now()}.mp4`;
+      const { size } = await fs.stat(videoPath);
+
       Logger.info('Uploading video to Airtable', {
         recordId,
         videoPath,
         fieldName,
+        size,
       });
 
-      // Read the file
-      const fileBuffer = await fs.readFile(videoPath);
-      const filename = `stitched_${Date.now()}.mp4`;
-
-      // Upload to a temporary public URL - try multiple services for reliability
-      const uploadUrl = await this.uploadToTempHost(fileBuffer, filename);
-
-      // Update Airtable record with the attachment URL
-      const updatedRecord = await this.base(this.tableName).update(recordId, {
-        [fieldName]: [
-          {
-            url: uploadUrl,
-          },
-        ],
-      });
+      if (size <= config.airtable.directUploadMaxBytes) {
+        return await this.uploadAttachmentDirect(recordId, videoPath, fieldName, filename, size);
+      }
 
-      Logger.info('Video uploaded to Airtable successfully', {
-        recordId,
-        attachmentUrl: uploadUrl,
+      Logger.info('Video exceeds direct upload limit, attaching by URL', {
+        size,
+        limit: config.airtable.directUploadMaxBytes,
       });
-
-      return updatedRecord;
+      return await this.uploadAttachmentByUrl(recordId, videoPath, fieldName, filename);
     } catch (error) {
       Logger.error('Error uploading video to Airtable', error);
+      metricsService.recordUpstreamError('airtable', 'uploadVideoAttachment');
       throw new Error(`Failed to upload video to Airtable: ${error.message}`);
     }
   }
 
   /**
-   * Upload file to temporary public host with fallback options
-   * @param {Buffer} fileBuffer - File buffer
-   * @param {string} filename - Filename
-   * @returns {Promise<string>} - Public URL
+   * Stream a file into an attachment field with Airtable's uploadAttachment endpoint,
+   * replacing earlier attachments (e.g. from a restitch)
+   * The JSON body is assembled on the fly so the video is never fully buffered
+   * @param {string} recordId - The record ID to update
+   * @param {string} videoPath - Path to the video file
+   * @param {string} fieldName - Name of the attachment field
+   * @param {string} filename - Attachment filename
+   * @param {number} size - File size in bytes
+   * @returns {Promise<Object>} - Airtable upload response
    */
-  async uploadToTempHost(fileBuffer, filename) {
-    // Try multiple services in order of reliability
-    const services = [
-      {
-        name: '0x0.st',
-        upload: async () => {
-          const formData = new FormData();
-          formData.append('file', fileBuffer, { filename, contentType: 'video/mp4' });
-          const response = await axios.post('https://0x0.st', formData, {
-            headers: formData.getHeaders(),
-            maxContentLength: Infinity,
-            maxBodyLength: Infinity,
-          });
-          return response.data.trim(); // URL is in plain text
-        },
-      },
-      {
-        name: 'tmpfiles.org',
-        upload: async () => {
-          const formData = new FormData();
-          formData.append('file', fileBuffer, { filename, contentType: 'video/mp4' });
-          const response = await axios.post('https://tmpfiles.org/api/v1/upload', formData, {
-            headers: formData.getHeaders(),
-            maxContentLength: Infinity,
-            maxBodyLength: Infinity,
-          });
-          if (response.data.status === 'success') {
-            // tmpfiles returns URL in format: {"data":{"url":"https://tmpfiles.org/123/file.mp4"}}
-            return response.data.data.url.replace('tmpfiles.org/', 'tmpfiles.org/dl/');
-          }
-          throw new Error('tmpfiles.org upload failed');
-        },
-      },
-      {
-        name: 'file.io',
-        upload: async () => {
-          const formData = new FormData();
-          formData.append('file', fileBuffer, { filename, contentType: 'video/mp4' });
-          const response = await axios.post('https://file.io', formData, {
-            headers: formData.getHeaders(),
-            maxContentLength: Infinity,
-            maxBodyLength: Infinity,
-          });
-          if (response.data.success) {
-            return response.data.link;
-          }
-          throw new Error('file.io upload failed');
-        },
+  async uploadAttachmentDirect(recordId, videoPath, fieldName, filename, size) {
+    const url = `${config.airtable.contentUrl}/${this.baseId}/${recordId}/` +
+      `${encodeURIComponent(fieldName)}/uploadAttachment`;
+    const prefix = `{"contentType":"video/mp4","filename":${JSON.stringify(filename)},"file":"`;
+    const suffix = '"}';
+    const contentLength = Buffer.byteLength(prefix) + Math.ceil(size / 3) * 4 + Buffer.byteLength(suffix);
+
+    async function* body() {
+      yield prefix;
+      yield* base64Chunks(videoPath);
+      yield suffix;
+    }
+
+    const response = await axios.post(url, Readable.from(body()), {
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json',
+        'Content-Length': contentLength,
       },
-    ];
-
-    // Try each service until one succeeds
-    for (const service of services) {
-      try {
-        Logger.info(`Attempting upload to ${service.name}`, { filename });
-        const url = await service.upload();
-        Logger.info(`Successfully uploaded to ${service.name}`, { url });
-        return url;
-      } catch (error) {
-        Logger.warn(`Failed to upload to ${service.name}`, {
-          error: error.message,
-        });
-        // Continue to next service
-      }
+      maxBodyLength: Infinity,
+    });
+
+    // uploadAttachment appends to the field; keep only the new video, as the URL flow does
+    // The response lists the field's attachments (keyed by field ID), the new one last
+    const attachments = Object.values(response.data.fields || {})[0] || [];
+    if (attachments.length > 1) {
+      await this.base(this.tableName).update(recordId, {
+        [fieldName]: [{ id: attachments[attachments.length - 1].id }],
+      });
     }
 
-    // If all services fail
-    throw new Error('All temporary hosting services failed');
+    Logger.info('Video uploaded to Airtable directly', { recordId, fieldName, size });
+    return response.data;
+  }
+
+  /**
+   * Store a file with the storage backend and attach it to the record by URL
+   * @param {string} recordId - The record ID to update
+   * @param {string} videoPath - Path to the video file
+   * @param {string} fieldName - Name of the attachment field
+   * @param {string} filename - Attachment filename
+   * @returns {Promise<Object>} - Updated record
+   */
+  async uploadAttachmentByUrl(recordId, videoPath, fieldName, filename) {
+    // Store the file with the configured backend to get a URL Airtable can fetch
+    const { key, url: uploadUrl } = await storageService.save(videoPath, filename);
+
+    // Update Airtable record with the attachment URL
+    const updatedRecord = await this.base(this.tableName).update(recordId, {
+      [fieldName]: [
+        {
+          url: uploadUrl,
+        },
+      ],
+    });
+
+    Logger.info('Video attached to Airtable by URL', {
+      recordId,
+      key,
+    });
+
+    return updatedRecord;
   }
 
   /**
    * Update record with status and error message
+   * Statuses other than Failed clear the error of an earlier run
    * @param {string} recordId - Record ID
    * @param {string} status - Status ('Processing', 'Completed', 'Failed')
    * @param {string} error - Error message (optional)
    */
   async updateRecordStatus(recordId, status, error = null) {
     try {
-      const fields = { Status: status };
+      const fields = { [this.fieldMap.name('status')]: status };
       if (error) {
-        fields['Error'] = error;
+        fields[this.fieldMap.name('error')] = error;
+      } else if (status !== 'Failed' && !this.fieldMap.isMissing('error')) {
+        // A record queued again after a failure shouldn't keep showing the old error
+        fields[this.fieldMap.name('error')] = '';
       }
 
       await this.base(this.tableName).update(recordId, fields);
       Logger.info('Record status updated', { recordId, status, error });
     } catch (error) {
       Logger.error('Error updating record status', error);
+      metricsService.recordUpstreamError('airtable', 'updateRecordStatus');
       // Don't throw, just log
     }
   }
 }
 
 module.exports = new AirtableService();
+module.exports.AirtableService = AirtableService;
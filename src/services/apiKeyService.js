@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const redisService = require('./redisService');
+const config = require('../config/config');
+const Logger = require('../utils/logger');
+
+/**
+ * Route groups a key can be allowed to call
+ * generate: generate-video, process-record, process-master-prompt
+ * prompts: generate-prompts
+ * jobs:read: GET /jobs, GET /job/:jobId
+ * jobs:write: cancel, restitch, regenerate-segment
+ */
+const SCOPES = ['generate', 'prompts', 'jobs:read', 'jobs:write', 'admin', 'metrics'];
+
+// Daily quota counters outlive their UTC day so late reads still see them
+const QUOTA_TTL = 2 * 24 * 60 * 60;
+
+/**
+ * Hash of an API key; only hashes are stored in the keys file
+ * @param {string} apiKey - Raw API key
+ */
+function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+}
+
+/**
+ * Service for API keys: lookup by hash, tenant and scope checks,
+ * per-key rate limits and daily generation quotas
+ * Counters live in the job store, so limits hold across instances
+ */
+class ApiKeyService {
+  constructor() {
+    this.keys = null;
+  }
+
+  /**
+   * Load key definitions from the keys file and/or the API_KEYS env var
+   * A file maps key IDs to { hash, tenants, scopes, rateLimit, dailyGenerationQuota }
+   * @returns {Map<string, Object>} - Keys by hash
+   */
+  loadKeys() {
+    if (this.keys) {
+      return this.keys;
+    }
+
+    const definitions = {};
+    const sources = [
+      ['file', () => config.auth.keysPath && fs.readJsonSync(config.auth.keysPath)],
+      ['env', () => config.auth.keys && JSON.parse(config.auth.keys)],
+    ];
+    for (const [source, read] of sources) {
+      try {
+        Object.assign(definitions, read() || {});
+      } catch (error) {
+        // Without keys every protected request is rejected, never let through
+        Logger.error('Could not load API keys', { source, error: error.message });
+      }
+    }
+
+    const keys = new Map();
+    for (const [id, definition] of Object.entries(definitions)) {
+      if (!definition?.hash) {
+        Logger.warn('Skipping API key without a hash', { id });
+        continue;
+      }
+
+      const unknownScopes = (definition.scopes || []).filter((scope) => scope !== '*' && !SCOPES.includes(scope));
+      if (unknownScopes.length > 0) {
+        Logger.warn('API key has unknown scopes', { id, unknownScopes });
+      }
+
+      keys.set(definition.hash.toLowerCase(), {
+        id,
+        tenants: definition.tenants || ['default'],
+        scopes: definition.scopes || [],
+        rateLimit: { ...config.auth.rateLimit, ...definition.rateLimit },
+        dailyGenerationQuota: definition.dailyGenerationQuota !== undefined
+          ? definition.dailyGenerationQuota
+          : config.auth.dailyGenerationQuota,
+      });
+    }
+
+    Logger.info('API keys loaded', { keys: [...keys.values()].map((key) => key.id) });
+    this.keys = keys;
+    return keys;
+  }
+
+  /**
+   * Find the key definition for a raw API key
+   * @param {string} apiKey - Raw API key from the request
+   * @returns {Object|null} - Key definition, or null when unknown
+   */
+  authenticate(apiKey) {
+    if (!apiKey) {
+      return null;
+    }
+    return this.loadKeys().get(hashApiKey(apiKey)) || null;
+  }
+
+  /**
+   * Whether a key may call routes of a scope
+   * @param {Object} key - Key definition
+   * @param {string} scope - Scope from SCOPES
+   */
+  allowsScope(key, scope) {
+    return key.scopes.includes('*') || key.scopes.includes(scope);
+  }
+
+  /**
+   * Whether a key may act for a tenant (no key means auth is disabled)
+   * @param {Object} key - Key definition (optional)
+   * @param {string} tenantId - Tenant ID
+   */
+  allowsTenant(key, tenantId) {
+    return !key || key.tenants.includes('*') || key.tenants.includes(tenantId);
+  }
+
+  /**
+   * Tenant a key acts for when the request names none
+   * @param {Object} key - Key definition (optional)
+   * @returns {string|undefined} - The key's tenant when it has exactly one
+   */
+  getDefaultTenant(key) {
+    return key && key.tenants.length === 1 && key.tenants[0] !== '*' ? key.tenants[0] : undefined;
+  }
+
+  /**
+   * Count a request against the key's rate limit (fixed window)
+   * @param {Object} key - Key definition
+   * @returns {Promise<{allowed: boolean, limit: number, remaining: number, retryAfter: number}>}
+   */
+  async checkRateLimit(key) {
+    const { windowMs, max } = key.rateLimit;
+    const window = Math.floor(Date.now() / windowMs);
+    const count = await redisService.incrementCounter(
+      `ratelimit:${key.id}:${window}`,
+      Math.ceil(windowMs / 1000)
+    );
+
+    return {
+      allowed: count <= max,
+      limit: max,
+      remaining: Math.max(max - count, 0),
+      retryAfter: Math.ceil(((window + 1) * windowMs - Date.now()) / 1000),
+    };
+  }
+
+  /**
+   * Reserve a generation against the key's daily quota (UTC days)
+   * Counting before the job starts keeps concurrent requests from all
+   * passing the check; refund the reservation if the job doesn't start
+   * @param {Object} key - Key definition
+   * @returns {Promise<{used: number, day: string}>} - Generations today including this one, and the day counted
+   */
+  async reserveGeneration(key) {
+    const day = new Date().toISOString().slice(0, 10);
+    const used = await redisService.incrementCounter(`quota:${key.id}:${day}`, QUOTA_TTL);
+    return { used, day };
+  }
+
+  /**
+   * Give back a generation reserved with reserveGeneration
+   * @param {Object} key - Key definition
+   * @param {string} day - Day returned by reserveGeneration
+   */
+  async refundGeneration(key, day) {
+    await redisService.decrementCounter(`quota:${key.id}:${day}`);
+  }
+
+  /**
+   * Create a new random API key
+   * @returns {{apiKey: string, hash: string}} - Give apiKey to the client, store only hash
+   */
+  generateKey() {
+    const apiKey = `sk_${crypto.randomBytes(24).toString('hex')}`;
+    return { apiKey, hash: hashApiKey(apiKey) };
+  }
+}
+
+module.exports = new ApiKeyService();
+module.exports.SCOPES = SCOPES;
+module.exports.hashApiKey = hashApiKey;
@@ -0,0 +1,145 @@
+const redisService = require('./redisService');
+const videoService = require('./videoService');
+const tenantService = require('./tenantService');
+const config = require('../config/config');
+const Logger = require('../utils/logger');
+
+/**
+ * Reject if a check takes longer than the configured timeout
+ * @param {Promise} promise - Running check
+ * @param {number} ms - Timeout in ms
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Service answering liveness and readiness probes
+ * Liveness only says the process is serving requests; readiness checks
+ * what every job needs, so a broken instance gets no traffic
+ */
+class HealthService {
+  constructor() {
+    this.startedAt = Date.now();
+    this.lastReadiness = null;
+  }
+
+  /**
+   * Liveness: the event loop is running and answering
+   */
+  getLiveness() {
+    return {
+      status: 'alive',
+      uptime: Math.round((Date.now() - this.startedAt) / 1000),
+    };
+  }
+
+  /**
+   * Run one check, timing it and turning errors into a failed result
+   * A check may return { status: 'skipped', reason } when it doesn't apply
+   * @param {Function} check - Async function returning details for the result
+   * @returns {Promise<{status: string, latencyMs: number}>}
+   */
+  async runCheck(check) {
+    const start = Date.now();
+    try {
+      const details = await withTimeout(check(), config.health.checkTimeout);
+      return { status: 'ok', ...details, latencyMs: Date.now() - start };
+    } catch (error) {
+      return { status: 'fail', error: error.message, latencyMs: Date.now() - start };
+    }
+  }
+
+  /**
+   * Checks run for readiness, keyed by the name reported
+   * Airtable and Sora are checked for every tenant ("airtable:acme")
+   * @returns {Object<string, Function>}
+   */
+  getChecks() {
+    const checks = {
+      ffmpeg: () => videoService.checkBinaries(),
+      jobStore: async () => {
+        await redisService.ping();
+        return { backend: config.store.backend };
+      },
+      tempDisk: async () => {
+        const freeMb = Math.floor(await videoService.getFreeDiskSpace() / (1024 * 1024));
+        if (freeMb < config.health.minFreeDiskMb) {
+          throw new Error(`Only ${freeMb}MB free in ${videoService.tempDir} (need ${config.health.minFreeDiskMb}MB)`);
+        }
+        return { freeMb };
+      },
+    };
+
+    for (const tenantId of tenantService.getTenantIds()) {
+      const suffix = tenantId === tenantService.DEFAULT_TENANT ? '' : `:${tenantId}`;
+      const { airtable, sora } = tenantService.getTenant(tenantId);
+
+      checks[`airtable${suffix}`] = async () => {
+        // Direct API use works without Airtable
+        if (!airtable.apiKey || !airtable.baseId) {
+          return { status: 'skipped', reason: 'Airtable not configured' };
+        }
+        await tenantService.getAirtableService(tenantId).checkAuth();
+        return {};
+      };
+
+      checks[`sora${suffix}`] = async () => {
+        if (!sora.apiKey) {
+          throw new Error('Sora API key is not set');
+        }
+        return {};
+      };
+    }
+
+    return checks;
+  }
+
+  /**
+   * Whether a failed check takes the instance out of rotation
+   * Only shared dependencies and the default tenant count: another tenant's
+   * bad credentials break that tenant's jobs on every instance alike, so
+   * failing readiness for them would take healthy instances down for everyone
+   * @param {string} name - Check name
+   */
+  isCritical(name) {
+    return !name.includes(':');
+  }
+
+  /**
+   * Readiness: run every check in parallel
+   * Failed tenant checks only mark the instance degraded
+   * Results are reused for config.health.cacheTtl so frequent probes don't
+   * hit Airtable and the job store each time
+   * @returns {Promise<{ready: boolean, degraded: string[], checkedAt: string, checks: Object}>}
+   */
+  async getReadiness() {
+    if (this.lastReadiness && Date.now() - this.lastReadiness.at < config.health.cacheTtl) {
+      return this.lastReadiness.result;
+    }
+
+    const entries = Object.entries(this.getChecks());
+    const results = await Promise.all(entries.map(([, check]) => this.runCheck(check)));
+    const checks = Object.fromEntries(entries.map(([name], index) => [name, results[index]]));
+
+    const failed = Object.keys(checks).filter((name) => checks[name].status === 'fail');
+    if (failed.length > 0) {
+      Logger.warn('Readiness checks failed', { failed });
+    }
+
+    const result = {
+      ready: !failed.some((name) => this.isCritical(name)),
+      degraded: failed.filter((name) => !this.isCritical(name)),
+      checkedAt: new Date().toISOString(),
+      checks,
+    };
+    this.lastReadiness = { at: Date.now(), result };
+    return result;
+  }
+}
+
+module.exports = new HealthService();
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const redisService = require('./redisService');
+const config = require('../config/config');
+const Logger = require('../utils/logger');
+
+// Seconds a request may hold its key before finishing; a crashed request frees it after this
+const PENDING_TTL = 120;
+
+/**
+ * JSON with object keys sorted, so equal bodies always hash the same
+ * @param {*} value - Value to serialize
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Service remembering the response to each idempotency key for a window,
+ * so a repeated request gets the original job instead of new Sora tasks
+ * Records: { state: 'pending' | 'done', fingerprint, statusCode, body, jobId }
+ */
+class IdempotencyService {
+  /**
+   * Hash identifying a request's content
+   * @param {*} request - Anything that describes the request (route, tenant, body)
+   */
+  fingerprint(request) {
+    return crypto.createHash('sha256').update(stableStringify(request)).digest('hex');
+  }
+
+  /**
+   * Claim a key for a new request, or find the request that already used it
+   * @param {string} key - Namespaced idempotency key
+   * @param {string} fingerprint - Fingerprint of this request
+   * @returns {Promise<{status: string, record: Object}>} - status is 'new', 'replay',
+   *   'in-progress' or 'mismatch' (same key, different request)
+   */
+  async begin(key, fingerprint) {
+    const pending = { state: 'pending', fingerprint, at: Date.now() };
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      if (await redisService.setIdempotencyRecord(key, pending, PENDING_TTL, { nx: true })) {
+        return { status: 'new' };
+      }
+
+      const record = await redisService.getIdempotencyRecord(key);
+      if (!record) {
+        // Expired between the two calls
+        continue;
+      }
+
+      if (record.fingerprint !== fingerprint) {
+        return { status: 'mismatch', record };
+      }
+
+      if (record.state === 'pending') {
+        return { status: 'in-progress', record };
+      }
+
+      // A job that has already failed or been cancelled may be started again
+      if (!(await this.isRetryable(record))) {
+        return { status: 'replay', record };
+      }
+
+      Logger.info('Original request failed, allowing retry', { key, jobId: record.jobId });
+      await this.release(key);
+    }
+
+    return { status: 'in-progress' };
+  }
+
+  /**
+   * Store the response of a successful request for the idempotency window
+   * @param {string} key - Namespaced idempotency key
+   * @param {string} fingerprint - Fingerprint of the request
+   * @param {number} statusCode - Response status
+   * @param {Object} body - Response body
+   */
+  async complete(key, fingerprint, statusCode, body) {
+    await redisService.setIdempotencyRecord(key, {
+      state: 'done',
+      fingerprint,
+      statusCode,
+      body,
+      jobId: body?.data?.jobId || null,
+      at: Date.now(),
+    }, config.idempotency.window);
+  }
+
+  /**
+   * Forget a key, e.g. after the request failed, so it can be retried
+   * @param {string} key - Namespaced idempotency key
+   */
+  async release(key) {
+    await redisService.deleteIdempotencyRecord(key);
+  }
+
+  /**
+   * Whether the job behind a stored response failed or was cancelled
+   * @param {Object} record - Stored record
+   */
+  async isRetryable(record) {
+    if (!record.jobId) {
+      return false;
+    }
+    const job = await redisService.getJob(record.jobId);
+    return Boolean(job) && ['failed', 'cancelled'].includes(job.status);
+  }
+}
+
+module.exports = new IdempotencyService();
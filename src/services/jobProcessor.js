@@ -1,12 +1,46 @@
 const redisService = require('./redisService');
 const videoService = require('./videoService');
-const airtableService = require('./airtableService');
+const tenantService = require('./tenantService');
+const jobStateMachine = require('./jobStateMachine');
+const segmentRetryService = require('./segmentRetryService');
+const metricsService = require('./metricsService');
+const { InvalidTransitionError } = jobStateMachine;
+const config = require('../config/config');
 const Logger = require('../utils/logger');
 
+/**
+ * Work queue ID of a job's stitch/upload
+ * @param {string} jobId - Job ID
+ */
+function stitchWorkId(jobId) {
+  return `stitch:${jobId}`;
+}
+
 /**
  * Service for processing video generation jobs asynchronously
  */
 class JobProcessor {
+  /**
+   * Check that a callback carries the token issued with its task's callback URL
+   * @param {string} taskId - Sora task ID from the payload
+   * @param {string} token - Token from the callback URL
+   * @returns {Promise<boolean>} - False for unknown tasks and wrong or missing tokens
+   */
+  async verifyCallback(taskId, token) {
+    const taskMapping = await redisService.getJobFromTask(taskId);
+    if (!taskMapping) {
+      return false;
+    }
+
+    if (!taskMapping.callbackTokenHash) {
+      // Task created before callback tokens existed
+      return config.sora.allowUnsignedCallbacks;
+    }
+
+    // Tokens are checked the same way for every tenant
+    return tenantService.getSoraService().verifyCallbackToken(token, taskMapping.callbackTokenHash);
+  }
+
   /**
    * Process a completed Sora task callback
    * @param {string} taskId - Sora task ID
@@ -24,6 +58,7 @@ class JobProcessor {
       }
 
       const { jobId, videoNumber } = taskMapping;
+      Logger.addContext({ jobId, taskId });
       Logger.info('Found job mapping', { taskId, jobId, videoNumber });
 
       // Get job data
@@ -33,12 +68,46 @@ class JobProcessor {
         return;
       }
 
+      // Late or duplicate callbacks for finished jobs change nothing
+      if (jobStateMachine.isTerminal(job.status)) {
+        Logger.warn('Ignoring callback for finished job', { taskId, jobId, status: job.status });
+        return;
+      }
+
+      // Callbacks from an earlier attempt of a retried segment are stale
+      const currentTaskId = job[`taskId${videoNumber}`];
+      if (currentTaskId && currentTaskId !== taskId) {
+        Logger.warn('Ignoring callback for superseded Sora task', { taskId, jobId, videoNumber, currentTaskId });
+        return;
+      }
+
+      // Each attempt's outcome is only processed once
+      const attempt = segmentRetryService.getAttempts(job, videoNumber).find((entry) => entry.taskId === taskId);
+      if (attempt?.state) {
+        Logger.warn('Ignoring duplicate callback for Sora task', { taskId, jobId, state: attempt.state });
+        return;
+      }
+
       // Check if task failed
-      const soraService = require('./soraService');
+      const soraService = tenantService.getSoraService(job.tenantId);
       const error = soraService.getTaskError(taskData);
       if (error) {
         Logger.error('Sora task failed', { taskId, jobId, error });
-        await this.handleJobFailure(jobId, job, `Video ${videoNumber} generation failed: ${error.message}`);
+        const attempts = await segmentRetryService.recordOutcome(jobId, job, videoNumber, taskId, {
+          state: 'fail',
+          failCode: error.code,
+          failMsg: error.message,
+        });
+
+        // Retry only this segment; ready sibling segments are kept
+        const retrying = await segmentRetryService.scheduleRetry(jobId, job, videoNumber, error, attempts.length);
+        if (!retrying) {
+          await this.handleJobFailure(
+            jobId,
+            job,
+            `Video ${videoNumber} generation failed after ${attempts.length} attempt(s): ${error.message}`
+          );
+        }
         return;
       }
 
@@ -50,27 +119,38 @@ class JobProcessor {
         return;
       }
 
+      // Never store a URL the downloader would refuse
+      if (!videoService.isAllowedUrl(videoUrl)) {
+        Logger.error('Video URL host not allowed', { taskId, jobId, videoUrl });
+        await this.handleJobFailure(jobId, job, `Video ${videoNumber} URL host not allowed`);
+        return;
+      }
+
       Logger.info('Video generated successfully', { taskId, jobId, videoNumber, videoUrl });
+      await segmentRetryService.recordOutcome(jobId, job, videoNumber, taskId, { state: 'success' });
 
       // Store video URL in Redis
       await redisService.storeVideoUrl(jobId, videoNumber, videoUrl);
 
-      // Check if both videos are ready
-      const bothReady = await redisService.areBothVideosReady(jobId);
-      if (bothReady) {
-        Logger.info('Both videos ready, starting stitching', { jobId });
+      // Check if every segment video is ready
+      const allReady = await redisService.areAllVideosReady(jobId);
+      if (allReady) {
+        // Concurrent callbacks can all see every video ready; only one may stitch
+        if (!(await redisService.claimStitching(jobId))) {
+          Logger.info('Stitching already claimed by another callback', { jobId, videoNumber });
+          return;
+        }
+
+        Logger.info('All videos ready, queuing stitching', { jobId });
 
         // Update status to Processing before stitching
-        await redisService.updateJob(jobId, { status: 'processing' });
-        if (job.recordId) {
-          await airtableService.updateRecordStatus(job.recordId, 'Processing');
-        }
+        await jobStateMachine.transition(jobId, 'processing');
 
-        await this.processStitching(jobId);
+        await this.enqueueStitching(jobId);
       } else {
-        Logger.info('Waiting for other video', { jobId, videoNumber });
+        Logger.info('Waiting for remaining videos', { jobId, videoNumber });
+        // Leave status alone: a concurrent callback may already be stitching
         await redisService.updateJob(jobId, {
-          status: 'generating',
           [`video${videoNumber}Status`]: 'ready'
         });
       }
@@ -80,12 +160,35 @@ class JobProcessor {
     }
   }
 
+  /**
+   * Queue a job's stitch and upload in the job store, for whichever worker
+   * claims it first (see stitchWorker); survives restarts of this process
+   * @param {string} jobId - Job ID (status processing)
+   */
+  async enqueueStitching(jobId) {
+    const queued = await redisService.enqueueWork(stitchWorkId(jobId), { type: 'stitch', jobId });
+    Logger.info(queued ? 'Stitching queued' : 'Stitching already queued', { jobId });
+  }
+
+  /**
+   * Whether a job's stitch/upload is queued or running
+   * @param {string} jobId - Job ID
+   */
+  async isStitchingQueued(jobId) {
+    return await redisService.hasWork(stitchWorkId(jobId));
+  }
+
   /**
    * Stitch videos and upload to Airtable
+   * Runs in a stitch worker; use enqueueStitching to start it
    * @param {string} jobId - Job ID
+   * @param {Object} options
+   * @param {AbortSignal} options.signal - Aborted when the worker lost its lease or is shutting down;
+   *   stops ffmpeg and refuses the upload and later transitions
    */
-  async processStitching(jobId) {
+  async processStitching(jobId, { signal } = {}) {
     let stitchedVideoPath = null;
+    Logger.addContext({ jobId });
 
     try {
       // Get job data
@@ -94,39 +197,45 @@ class JobProcessor {
         throw new Error('Job not found');
       }
 
-      const { video1Url, video2Url, recordId } = job;
+      const { recordId } = job;
+      // Airtable client for the tenant's base, table, field map and token
+      const airtableService = recordId ? tenantService.getAirtableService(job.tenantId) : null;
+      const videoUrls = redisService.getVideoUrls(job);
 
-      Logger.info('Starting video stitching', { jobId, video1Url, video2Url });
+      Logger.info('Starting video stitching', { jobId, videoUrls });
 
       // Update status
-      await redisService.updateJob(jobId, { status: 'stitching' });
-      if (recordId) {
-        await airtableService.updateRecordStatus(recordId, 'Stitching');
-      }
+      await jobStateMachine.transition(jobId, 'stitching');
 
       // Download and stitch videos
-      stitchedVideoPath = await videoService.processVideos(video1Url, video2Url);
+      const segments = job.segments || [];
+      stitchedVideoPath = await videoService.processVideos(videoUrls, {
+        voiceovers: segments.map((segment) => segment.voiceover || null),
+        overlays: segments.map((segment) => segment.overlays || []),
+        captions: job.captions,
+        transition: job.transition,
+        isCancelled: () => this.isCancelled(jobId),
+        signal,
+      });
       Logger.info('Videos stitched successfully', { jobId, stitchedVideoPath });
 
       // Upload to Airtable if recordId provided
+      // Another worker may own the job by now: never upload or complete it twice
+      signal?.throwIfAborted();
+
       if (recordId) {
         Logger.info('Uploading to Airtable', { jobId, recordId });
-        await redisService.updateJob(jobId, { status: 'uploading' });
-        await airtableService.updateRecordStatus(recordId, 'Uploading');
+        await jobStateMachine.transition(jobId, 'uploading');
 
-        await airtableService.uploadVideoAttachment(
-          recordId,
-          stitchedVideoPath,
-          'Video'
-        );
-
-        await airtableService.updateRecordStatus(recordId, 'Completed');
+        const endTimer = metricsService.startStage('upload');
+        await airtableService.uploadVideoAttachment(recordId, stitchedVideoPath);
+        endTimer();
         Logger.info('Video uploaded to Airtable', { jobId, recordId });
       }
 
-      // Update job status to completed
-      await redisService.updateJob(jobId, {
-        status: 'completed',
+      // Update job status to completed (also marks the Airtable record Completed)
+      signal?.throwIfAborted();
+      await jobStateMachine.transition(jobId, 'completed', {
         completedAt: Date.now(),
         stitchedVideoPath: stitchedVideoPath,
       });
@@ -136,20 +245,40 @@ class JobProcessor {
 
       Logger.info('Job completed successfully', { jobId });
     } catch (error) {
-      Logger.error('Error processing stitching', { jobId, error });
-
       // Clean up stitched video if exists
       if (stitchedVideoPath) {
         await videoService.deleteFile(stitchedVideoPath);
       }
 
+      if (signal?.aborted) {
+        // The work is retried by whichever worker holds the lease now; nothing failed
+        Logger.warn('Stitching aborted', { jobId, reason: signal.reason?.message });
+        return;
+      }
+
       const job = await redisService.getJob(jobId);
+      if (job?.status === 'cancelled') {
+        // Cancelled mid-way: the next step was refused, nothing failed
+        Logger.info('Job cancelled, stopped stitching/upload', { jobId });
+        return;
+      }
+
+      Logger.error('Error processing stitching', { jobId, error });
       await this.handleJobFailure(jobId, job, `Stitching/upload failed: ${error.message}`);
 
       throw error;
     }
   }
 
+  /**
+   * Whether a job has been cancelled
+   * @param {string} jobId - Job ID
+   */
+  async isCancelled(jobId) {
+    const job = await redisService.getJob(jobId);
+    return job?.status === 'cancelled';
+  }
+
   /**
    * Handle job failure
    * @param {string} jobId - Job ID
@@ -160,23 +289,23 @@ class JobProcessor {
     try {
       Logger.error('Handling job failure', { jobId, errorMessage });
 
-      // Update job status
-      await redisService.updateJob(jobId, {
-        status: 'failed',
-        error: errorMessage,
-        failedAt: Date.now(),
-      });
-
-      // Update Airtable if recordId exists
-      if (job?.recordId) {
-        await airtableService.updateRecordStatus(
-          job.recordId,
-          'Failed',
-          errorMessage
-        );
-      }
+      // Marks the job failed and syncs the Airtable record
+      await jobStateMachine.transition(
+        jobId,
+        'failed',
+        { error: errorMessage, failedAt: Date.now() },
+        { error: errorMessage }
+      );
     } catch (error) {
+      if (error instanceof InvalidTransitionError) {
+        Logger.warn('Job already finished, not marking failed', { jobId, status: error.from });
+        return;
+      }
+
       Logger.error('Error handling job failure', error);
+
+      // The job may never have been stored; still report the failure on the record
+      await jobStateMachine.syncAirtable(job, 'failed', errorMessage);
     }
   }
 }
@@ -0,0 +1,166 @@
+const redisService = require('./redisService');
+const tenantService = require('./tenantService');
+const jobProcessor = require('./jobProcessor');
+const segmentRetryService = require('./segmentRetryService');
+const config = require('../config/config');
+const Logger = require('../utils/logger');
+
+// Sora task states that mean the task will not change anymore
+const FINISHED_TASK_STATES = ['success', 'fail'];
+
+// Job statuses whose work is in the stitch queue
+const STITCH_STATUSES = ['processing', 'stitching', 'uploading'];
+
+/**
+ * Background reconciler for jobs whose Sora callbacks never arrived
+ * Polls Sora for outstanding tasks, re-queues lost stitch work and enforces the job timeout
+ */
+class JobReconciler {
+  constructor() {
+    this.interval = config.reconciler.interval;
+    this.stuckAfter = config.reconciler.stuckAfter;
+    this.jobTimeout = config.job.timeout;
+
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start the periodic reconciliation loop
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.runOnce().catch((error) => {
+        Logger.error('Error during job reconciliation', error);
+      });
+    }, this.interval);
+
+    Logger.info('Job reconciler started', {
+      interval: this.interval,
+      stuckAfter: this.stuckAfter,
+      jobTimeout: this.jobTimeout,
+    });
+  }
+
+  /**
+   * Stop the periodic reconciliation loop
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      Logger.info('Job reconciler stopped');
+    }
+  }
+
+  /**
+   * Run a single reconciliation pass over all active jobs
+   * Skips the pass if the previous one is still running
+   */
+  async runOnce() {
+    if (this.isRunning) {
+      Logger.warn('Previous reconciliation pass still running, skipping');
+      return;
+    }
+
+    this.isRunning = true;
+    try {
+      const jobIds = await redisService.getActiveJobIds();
+
+      for (const jobId of jobIds) {
+        try {
+          await Logger.runWithContext({ jobId }, () => this.reconcileJob(jobId));
+        } catch (error) {
+          // One bad job must not stop the rest of the pass
+          Logger.error('Error reconciling job', { jobId, error: error.message });
+        }
+      }
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Reconcile a single job: fail it when timed out, otherwise poll stuck tasks
+   * @param {string} jobId - Job ID
+   */
+  async reconcileJob(jobId) {
+    const job = await redisService.getJob(jobId);
+    if (!job) {
+      return;
+    }
+
+    // Re-runs and segment retries restart the clock, so they aren't cut off by the job's original start
+    const age = Date.now() - (job.startedAt || job.createdAt);
+
+    if (age > this.jobTimeout) {
+      Logger.warn('Job exceeded timeout, failing', { jobId, status: job.status, age });
+      await jobProcessor.handleJobFailure(
+        jobId,
+        job,
+        `Job timed out after ${Math.round(this.jobTimeout / 1000)}s in status "${job.status}"`
+      );
+      return;
+    }
+
+    // Stitch work lost before it reached the queue, e.g. in a crash right after the last callback
+    if (STITCH_STATUSES.includes(job.status)) {
+      if (!(await jobProcessor.isStitchingQueued(jobId))) {
+        Logger.warn('Re-queuing lost stitch work', { jobId, status: job.status });
+        await jobProcessor.enqueueStitching(jobId);
+      }
+      return;
+    }
+
+    if (job.status !== 'generating') {
+      return;
+    }
+
+    // Retries whose in-process timer was lost (e.g. on restart)
+    await segmentRetryService.resubmitDue(job);
+
+    if (age < this.stuckAfter) {
+      return;
+    }
+
+    Logger.info('Polling Sora for stuck job', { jobId, age });
+
+    for (let n = 1; n <= redisService.getSegmentCount(job); n++) {
+      const taskId = job[`taskId${n}`];
+      if (!taskId || job[`video${n}Url`] || job[`video${n}Status`] === 'retrying') {
+        continue;
+      }
+
+      await this.reconcileTask(jobId, taskId, job.tenantId);
+    }
+  }
+
+  /**
+   * Query a Sora task and feed finished results through the callback path
+   * @param {string} jobId - Job ID
+   * @param {string} taskId - Sora task ID
+   * @param {string} tenantId - Tenant whose Sora credentials created the task
+   */
+  async reconcileTask(jobId, taskId, tenantId) {
+    const taskData = await tenantService.getSoraService(tenantId).queryTask(taskId);
+
+    if (!FINISHED_TASK_STATES.includes(taskData?.state)) {
+      Logger.debug('Sora task still in progress', { jobId, taskId, state: taskData?.state });
+      return;
+    }
+
+    Logger.info('Recovered missed Sora callback via polling', {
+      jobId,
+      taskId,
+      state: taskData.state,
+    });
+
+    await Logger.runWithContext({ taskId }, () => jobProcessor.processCallback(taskId, { ...taskData, taskId }));
+  }
+}
+
+module.exports = new JobReconciler();
@@ -0,0 +1,188 @@
+const redisService = require('./redisService');
+const tenantService = require('./tenantService');
+const metricsService = require('./metricsService');
+const Logger = require('../utils/logger');
+
+/**
+ * Legal job status transitions
+ * completed, failed and cancelled are final: late callbacks can't revive a job
+ */
+const TRANSITIONS = {
+  pending: ['generating', 'failed', 'cancelled'],
+  generating: ['processing', 'failed', 'cancelled'],
+  processing: ['stitching', 'failed', 'cancelled'],
+  stitching: ['uploading', 'completed', 'failed', 'cancelled'],
+  uploading: ['completed', 'failed', 'cancelled'],
+  completed: [],
+  failed: [],
+  cancelled: [],
+};
+
+/**
+ * Transitions out of a final status, only allowed for explicit re-runs
+ * (restitch / regenerate-segment), never for callbacks
+ */
+const RERUN_TRANSITIONS = {
+  completed: ['processing', 'generating'],
+  failed: ['processing', 'generating'],
+};
+
+/**
+ * Transitions back to processing for stitch work whose worker died mid-way,
+ * only allowed when the work queue retries it (never for restitch requests)
+ */
+const RESUME_TRANSITIONS = {
+  stitching: ['processing'],
+  uploading: ['processing'],
+};
+
+/**
+ * Airtable Status value for each job status
+ * pending has none: the record keeps its status until Sora tasks exist
+ */
+const AIRTABLE_STATUSES = {
+  generating: 'Generating',
+  processing: 'Processing',
+  stitching: 'Stitching',
+  uploading: 'Uploading',
+  completed: 'Completed',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+};
+
+// Attempts before giving up when concurrent transitions keep winning the race
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Raised when a transition is not allowed from the job's current status
+ */
+class InvalidTransitionError extends Error {
+  constructor(jobId, from, to) {
+    super(`Invalid job transition ${from} -> ${to} (${jobId})`);
+    this.name = 'InvalidTransitionError';
+    this.jobId = jobId;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Single owner of job status: validates transitions, records a timestamped
+ * history on the job and syncs the Airtable Status field
+ */
+class JobStateMachine {
+  /**
+   * Whether a transition is legal
+   * @param {string} from - Current status
+   * @param {string} to - New status
+   * @param {boolean} rerun - Whether this is an explicit re-run of a finished job
+   */
+  canTransition(from, to, rerun = false) {
+    const allowed = rerun ? RERUN_TRANSITIONS[from] : TRANSITIONS[from];
+    return (allowed || []).includes(to);
+  }
+
+  /**
+   * Whether a status is final
+   * @param {string} status - Job status
+   */
+  isTerminal(status) {
+    return Array.isArray(TRANSITIONS[status]) && TRANSITIONS[status].length === 0;
+  }
+
+  /**
+   * Move a job to a new status
+   * @param {string} jobId - Job ID
+   * @param {string} to - New status
+   * @param {Object} fields - Other job fields to write with the transition (e.g. completedAt)
+   * @param {Object} options
+   * @param {string} options.error - Error message, recorded in history and sent to Airtable
+   * @param {string} options.rerun - Re-run reason (e.g. "restitch"); allows leaving a final status and restarts the job timeout
+   * @param {string} options.resume - Resume reason (e.g. "stitch-retry"); allows restarting interrupted stitch work
+   * @returns {Promise<Object>} - Updated job
+   * @throws {InvalidTransitionError} - When the transition is not allowed
+   */
+  async transition(jobId, to, fields = {}, { error, rerun, resume } = {}) {
+    if (!TRANSITIONS[to]) {
+      throw new Error(`Unknown job status: ${to}`);
+    }
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+      const job = await redisService.getJob(jobId);
+      if (!job) {
+        throw new Error(`Job not found: ${jobId}`);
+      }
+
+      const allowed = resume
+        ? (RESUME_TRANSITIONS[job.status] || []).includes(to)
+        : this.canTransition(job.status, to, Boolean(rerun));
+      if (!allowed) {
+        throw new InvalidTransitionError(jobId, job.status, to);
+      }
+
+      const entry = { status: to, at: Date.now() };
+      if (error) {
+        entry.error = error;
+      }
+      if (rerun) {
+        entry.rerun = rerun;
+      }
+      // A re-run gets the full job timeout again (see jobReconciler)
+      const update = rerun ? { ...fields, startedAt: entry.at } : fields;
+      if (resume) {
+        entry.resume = resume;
+      }
+
+      const seq = (job.history || []).length;
+      const applied = await redisService.appendTransition(
+        job,
+        seq,
+        entry,
+        update,
+        this.isTerminal(to)
+      );
+
+      if (applied) {
+        Logger.info('Job status changed', { jobId, from: job.status, to });
+        if (this.isTerminal(to)) {
+          metricsService.recordJobFinished(to);
+        }
+        await this.syncAirtable(job, to, error);
+        return await redisService.getJob(jobId);
+      }
+
+      Logger.debug('Concurrent job transition, retrying', { jobId, to, attempt });
+    }
+
+    throw new Error(`Could not transition job ${jobId} to ${to}: too many concurrent updates`);
+  }
+
+  /**
+   * Write the Airtable Status matching a job status to the job's record
+   * @param {Object} job - Job data (uses recordId and tenantId)
+   * @param {string} status - Job status
+   * @param {string} error - Error message (optional)
+   */
+  async syncAirtable(job, status, error = null) {
+    const airtableStatus = AIRTABLE_STATUSES[status];
+    if (!job?.recordId || !airtableStatus) {
+      return;
+    }
+
+    try {
+      await tenantService.getAirtableService(job.tenantId).updateRecordStatus(
+        job.recordId,
+        airtableStatus,
+        error
+      );
+    } catch (syncError) {
+      // A misconfigured tenant must not break the job itself
+      Logger.error('Error syncing Airtable status', { jobId: job.jobId, error: syncError.message });
+    }
+  }
+}
+
+module.exports = new JobStateMachine();
+module.exports.InvalidTransitionError = InvalidTransitionError;
+module.exports.AIRTABLE_STATUSES = AIRTABLE_STATUSES;
+module.exports.JOB_STATUSES = Object.keys(TRANSITIONS);
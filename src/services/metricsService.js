@@ -0,0 +1,116 @@
+const client = require('prom-client');
+const redisService = require('./redisService');
+const Logger = require('../utils/logger');
+
+const PREFIX = 'sora_stitcher_';
+
+// Sora takes minutes per segment; downloads, ffmpeg and uploads take seconds to minutes
+const GENERATION_BUCKETS = [30, 60, 120, 180, 240, 300, 450, 600, 900, 1200, 1800];
+const STAGE_BUCKETS = [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300, 600];
+
+/**
+ * Service collecting Prometheus metrics for the generation pipeline
+ * Metrics live in a dedicated registry so tests can read them in isolation
+ */
+class MetricsService {
+  constructor() {
+    this.registry = new client.Registry();
+    client.collectDefaultMetrics({ register: this.registry, prefix: PREFIX });
+
+    this.jobsFinished = new client.Counter({
+      name: `${PREFIX}jobs_finished_total`,
+      help: 'Jobs that reached a terminal state',
+      labelNames: ['status'],
+      registers: [this.registry],
+    });
+
+    this.soraGeneration = new client.Histogram({
+      name: `${PREFIX}sora_generation_seconds`,
+      help: 'Time from Sora task creation to its callback, per segment attempt',
+      labelNames: ['outcome'],
+      buckets: GENERATION_BUCKETS,
+      registers: [this.registry],
+    });
+
+    this.stageDuration = new client.Histogram({
+      name: `${PREFIX}stage_duration_seconds`,
+      help: 'Duration of successful pipeline stages (download is per segment)',
+      labelNames: ['stage'],
+      buckets: STAGE_BUCKETS,
+      registers: [this.registry],
+    });
+
+    // Read from the job store on each scrape, so every API and worker process reports the shared queue
+    this.stitchQueueLength = new client.Gauge({
+      name: `${PREFIX}stitch_queue_length`,
+      help: 'Stitch/upload work queued or running in the durable work queue',
+      registers: [this.registry],
+      async collect() {
+        try {
+          this.set(await redisService.getWorkQueueLength());
+        } catch (error) {
+          Logger.warn('Could not read work queue length', { error: error.message });
+        }
+      },
+    });
+
+    this.upstreamErrors = new client.Counter({
+      name: `${PREFIX}upstream_errors_total`,
+      help: 'Failed calls to external services',
+      labelNames: ['provider', 'operation'],
+      registers: [this.registry],
+    });
+  }
+
+  /**
+   * Count a job reaching a terminal state
+   * @param {string} status - completed, failed or cancelled
+   */
+  recordJobFinished(status) {
+    this.jobsFinished.inc({ status });
+  }
+
+  /**
+   * Record how long Sora took to finish a task
+   * @param {number} submittedAt - When the task was created (ms)
+   * @param {string} outcome - success or fail
+   */
+  recordSoraGeneration(submittedAt, outcome) {
+    this.soraGeneration.observe({ outcome }, (Date.now() - submittedAt) / 1000);
+  }
+
+  /**
+   * Start timing a pipeline stage
+   * @param {string} stage - download, stitch or upload
+   * @returns {Function} - Call when the stage succeeded to record its duration
+   */
+  startStage(stage) {
+    return this.stageDuration.startTimer({ stage });
+  }
+
+  /**
+   * Count a failed call to an external service
+   * @param {string} provider - sora, airtable, video_host, or the storage backend / TTS provider name
+   * @param {string} operation - What was called, e.g. createTask
+   */
+  recordUpstreamError(provider, operation) {
+    this.upstreamErrors.inc({ provider, operation });
+  }
+
+  /**
+   * Content type of the exposition format
+   */
+  get contentType() {
+    return this.registry.contentType;
+  }
+
+  /**
+   * All metrics in Prometheus text format
+   * @returns {Promise<string>}
+   */
+  async getMetrics() {
+    return await this.registry.metrics();
+  }
+}
+
+module.exports = new MetricsService();
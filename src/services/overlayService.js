@@ -0,0 +1,203 @@
+const promptConfig = require('../config/promptConfig.json');
+
+// drawtext x/y expressions for each named position
+const POSITIONS = {
+  top: { x: '(w-text_w)/2', y: 'h*0.08' },
+  center: { x: '(w-text_w)/2', y: '(h-text_h)/2' },
+  bottom: { x: '(w-text_w)/2', y: 'h*0.88-text_h' },
+};
+
+// Overlay fields a request can set; position, font, colours and box come from the named style,
+// since drawtext options are not escaped and a crafted value could rewrite the filtergraph
+const TIMING_FIELDS = ['start', 'duration', 'from_end'];
+const OVERLAY_FIELDS = ['text', 'style', ...TIMING_FIELDS];
+
+/**
+ * Whether a value is a usable offset or length in seconds
+ * @param {*} value - Value to check
+ */
+function isSeconds(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Service for planning on-screen text (titles, outros, captions)
+ * Timing and styling come from globals.overlay_render in promptConfig.json
+ */
+class OverlayService {
+  constructor() {
+    this.renderConfig = promptConfig.globals.overlay_render;
+  }
+
+  /**
+   * Whether overlays are burned in at all
+   */
+  isEnabled() {
+    return !!this.renderConfig.enabled;
+  }
+
+  /**
+   * Whether word-timed captions should be rendered for a job
+   * @param {boolean|undefined} jobCaptions - Per-job override
+   */
+  captionsEnabled(jobCaptions) {
+    return typeof jobCaptions === 'boolean'
+      ? jobCaptions
+      : !!this.renderConfig.captions_enabled;
+  }
+
+  /**
+   * Whether a style name is defined in the config
+   * @param {string} name - Style name
+   */
+  hasStyle(name) {
+    return Object.prototype.hasOwnProperty.call(this.renderConfig.styles, name);
+  }
+
+  /**
+   * Check an overlay spec from a request
+   * @param {Object} overlay - Overlay spec ({ text, style, start, duration, from_end })
+   * @returns {string|null} - Error message or null when valid
+   */
+  validateOverlay(overlay) {
+    const unknownField = Object.keys(overlay).find((field) => !OVERLAY_FIELDS.includes(field));
+    if (unknownField) {
+      return `${unknownField} can't be set per overlay, use a style instead`;
+    }
+
+    if (overlay.style !== undefined && !this.hasStyle(overlay.style)) {
+      return `unknown style "${overlay.style}"`;
+    }
+
+    const badTiming = TIMING_FIELDS.find((field) => overlay[field] !== undefined && !isSeconds(overlay[field]));
+    if (badTiming) {
+      return `${badTiming} must be a non-negative number of seconds`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get a named style with the overlay's own timing
+   * Only the timing fields are taken from the overlay, and only when they are valid
+   * @param {Object} overlay - Overlay spec ({ text, style, start, duration, from_end })
+   */
+  resolveStyle(overlay) {
+    const base = this.hasStyle(overlay.style) ? this.renderConfig.styles[overlay.style] : {};
+    const timing = {};
+    for (const field of TIMING_FIELDS) {
+      if (isSeconds(overlay[field])) {
+        timing[field] = overlay[field];
+      }
+    }
+    return { position: 'center', font_size: 48, font_color: 'white', ...base, ...timing };
+  }
+
+  /**
+   * Plan absolute on-screen text events for the stitched video
+   * @param {Array<Array<Object>>} overlays - Overlay specs per segment, timed relative to the segment
+   * @param {number[]} segmentDurations - Duration of each segment in seconds
+   * @param {Array<{text: string, duration: number}|null>} captions - Spoken text and length per segment
+   * @returns {Array<{text: string, start: number, end: number, style: Object}>}
+   */
+  planEvents(overlays, segmentDurations, captions = []) {
+    const events = [];
+    let offset = 0;
+
+    segmentDurations.forEach((segmentDuration, index) => {
+      for (const overlay of overlays[index] || []) {
+        if (!overlay?.text) {
+          continue;
+        }
+
+        const style = this.resolveStyle(overlay);
+        let start;
+        let end;
+        if (style.from_end !== undefined) {
+          start = segmentDuration - style.from_end;
+          end = segmentDuration;
+        } else {
+          start = style.start || 0;
+          end = style.duration !== undefined ? start + style.duration : segmentDuration;
+        }
+
+        start = Math.max(0, Math.min(start, segmentDuration));
+        end = Math.max(start, Math.min(end, segmentDuration));
+        events.push({ text: overlay.text, start: offset + start, end: offset + end, style });
+      }
+
+      const caption = captions[index];
+      if (caption?.text) {
+        events.push(...this.planCaptions(caption.text, Math.min(caption.duration, segmentDuration), offset));
+      }
+
+      offset += segmentDuration;
+    });
+
+    return events;
+  }
+
+  /**
+   * Split spoken text into short word groups spread evenly across its duration
+   * @param {string} text - Voiceover text
+   * @param {number} duration - Spoken length in seconds
+   * @param {number} offset - Segment start in seconds
+   */
+  planCaptions(text, duration, offset) {
+    const style = this.resolveStyle({ style: 'caption' });
+    const words = text.trim().split(/\s+/).filter(Boolean);
+    const wordsPerCaption = style.words_per_caption || 3;
+    const secondsPerWord = duration / words.length;
+    const events = [];
+
+    for (let i = 0; i < words.length; i += wordsPerCaption) {
+      const chunk = words.slice(i, i + wordsPerCaption);
+      events.push({
+        text: chunk.join(' '),
+        start: offset + i * secondsPerWord,
+        end: offset + (i + chunk.length) * secondsPerWord,
+        style,
+      });
+    }
+
+    return events;
+  }
+
+  /**
+   * Build a drawtext filter for an event
+   * Text is read from a file so it never needs filtergraph escaping
+   * @param {Object} event - Planned event
+   * @param {string} textFilePath - Absolute path to a file holding the event text
+   */
+  buildDrawtextFilter(event, textFilePath) {
+    const { style } = event;
+    const position = POSITIONS[style.position] || POSITIONS.center;
+    const options = [
+      `textfile='${textFilePath}'`,
+      'expansion=none',
+      `fontsize=${style.font_size}`,
+      `fontcolor=${style.font_color}`,
+      `x=${position.x}`,
+      `y=${position.y}`,
+    ];
+
+    if (this.renderConfig.font_file) {
+      options.push(`fontfile='${this.renderConfig.font_file}'`);
+    }
+    if (style.border_width) {
+      options.push(`borderw=${style.border_width}`, `bordercolor=${style.border_color || 'black'}`);
+    }
+    if (style.box) {
+      options.push(
+        'box=1',
+        `boxcolor=${style.box_color || 'black@0.5'}`,
+        `boxborderw=${style.box_border_width || 10}`
+      );
+    }
+
+    options.push(`enable='between(t,${event.start.toFixed(3)},${event.end.toFixed(3)})'`);
+    return `drawtext=${options.join(':')}`;
+  }
+}
+
+module.exports = new OverlayService();
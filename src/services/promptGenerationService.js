@@ -28,7 +28,7 @@ class PromptGenerationService {
    * Programmatically generate prompts and voiceovers using template system
    * @param {string} masterPrompt - The master concept/theme (currently ignored in favor of config templates)
    * @param {string} aspectRatio - Video aspect ratio (landscape/portrait/square)
-   * @returns {Promise<{prompt1: string, voiceover1: string, prompt2: string, voiceover2: string, metadata: object}>}
+   * @returns {Promise<{prompt1: string, voiceover1: string, overlays1: Array, prompt2: string, voiceover2: string, overlays2: Array, metadata: object}>}
    */
   async generatePrompts(masterPrompt, aspectRatio = 'landscape') {
     Logger.info('Generating prompts programmatically using config', {
@@ -68,6 +68,11 @@ class PromptGenerationService {
       const p2OverlaysText = p2Overlays.join(', ');
 
       const p2OutroText = this.randomSelect(this.config.globals.overlay_text.p2_last_1s_required);
+      const p1TitleText = this.randomSelect(this.config.globals.overlay_text.p1_first_2s_optional)
+        .replace('{topic_style}', topicStyle);
+      const p1RankText = this.config.globals.overlay_text.p1_rank_title
+        .replace('{tool2_upper}', tool2.toUpperCase());
+      const p2RankText = this.config.globals.overlay_text.p2_rank_title;
 
       // Select creator type (young woman or young man)
       const creatorObj = this.randomSelect(lists.creator_types);
@@ -117,7 +122,6 @@ class PromptGenerationService {
         .replace('{creator_clothing}', creatorClothing)
         .replace('{creator_setting}', creatorSetting)
         .replace('{rank2}', '2')
-        .replace('{tool2_upper}', tool2.toUpperCase())
         .replace('{tool2}', tool2)
         .replace('{p1_placeholder_images}', p1PlaceholderImages)
         .replace('{aspect_ratio_format}', aspectRatioFormat);
@@ -126,8 +130,17 @@ class PromptGenerationService {
       const prompt2 = this.config.templates.prompt2
         .replace('{p2_placeholder_images}', p2OverlaysText)
         .replace('{rank1}', '1')
-        .replace('{aspect_ratio_format}', aspectRatioFormat)
-        .replace('{p2_outro_text}', p2OutroText);
+        .replace('{aspect_ratio_format}', aspectRatioFormat);
+
+      // On-screen text is burned in during stitching rather than drawn by Sora
+      const overlays1 = [
+        { text: p1TitleText, style: 'title' },
+        { text: p1RankText, style: 'rank' },
+      ];
+      const overlays2 = [
+        { text: p2RankText, style: 'rank' },
+        { text: p2OutroText, style: 'outro' },
+      ];
 
       // Step 5: Build metadata for tracking
       const v1FinalWords = this.countWords(voiceover1);
@@ -144,6 +157,8 @@ class PromptGenerationService {
         benefit1: benefit1,
         reactionPhrase: reactionPhrase,
         ctaLine: ctaLine,
+        titleText: p1TitleText,
+        outroText: p2OutroText,
         creatorType: creatorType,
         creatorClothing: creatorClothing,
         creatorSetting: creatorSetting,
@@ -179,8 +194,10 @@ class PromptGenerationService {
       return {
         prompt1,
         voiceover1,
+        overlays1,
         prompt2,
         voiceover2,
+        overlays2,
         metadata,
       };
     } catch (error) {
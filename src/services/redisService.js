@@ -1,51 +1,161 @@
 const { Redis } = require('@upstash/redis');
 const config = require('../config/config');
+const MemoryStore = require('./store/memoryStore');
+const FileStore = require('./store/fileStore');
 const Logger = require('../utils/logger');
 
+// Hash fields holding the transition history (transition0, transition1, ...)
+const TRANSITION_FIELD = /^transition(\d+)$/;
+
+// Final statuses a job can be re-run from (restitch / regenerate-segment)
+const TERMINAL_RERUN_SOURCES = ['completed', 'failed'];
+
+// Durable work queue: work IDs scored by the time they become due
+const WORK_QUEUE = 'work:queue';
+
+// Secondary indexes: sorted sets of job IDs scored by createdAt
+const INDEX_CREATED = 'jobs:index:created';
+const indexKey = {
+  status: (status) => `jobs:index:status:${status}`,
+  record: (recordId) => `jobs:index:record:${recordId}`,
+  tenant: (tenantId) => `jobs:index:tenant:${tenantId}`,
+};
+
+/**
+ * Seconds an index key outlives its last write: the job data TTL is refreshed
+ * on every update, and jobs are updated for at most the job timeout between
+ * status transitions (which refresh the indexes)
+ */
+function getIndexTtl() {
+  return config.job.ttl + Math.ceil(config.job.timeout / 1000);
+}
+
+/**
+ * Index keys a job is listed in
+ * @param {Object} job - Job data
+ */
+function getIndexKeys(job) {
+  const keys = [INDEX_CREATED, indexKey.status(job.status)];
+  if (job.recordId) {
+    keys.push(indexKey.record(job.recordId));
+  }
+  if (job.tenantId) {
+    keys.push(indexKey.tenant(job.tenantId));
+  }
+  return keys;
+}
+
+/**
+ * Encode job fields for a hash (one JSON value per field)
+ * Undefined values are skipped, as JSON.stringify would drop them anyway
+ */
+function serializeFields(data) {
+  const fields = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (value !== undefined) {
+      fields[key] = JSON.stringify(value);
+    }
+  }
+  return fields;
+}
+
+/**
+ * Decode a job hash written by serializeFields
+ */
+function deserializeFields(fields) {
+  const data = {};
+  for (const [key, value] of Object.entries(fields)) {
+    data[key] = JSON.parse(value);
+  }
+  return data;
+}
+
+/**
+ * Factories for the job store backends, keyed by JOB_STORE value
+ * Each backend implements the subset of the Upstash Redis client used below
+ */
+const storeFactories = {
+  upstash: () => {
+    if (!config.upstash.url || !config.upstash.token) {
+      throw new Error('JOB_STORE=upstash requires UPSTASH_REDIS_REST_URL and UPSTASH_REDIS_REST_TOKEN');
+    }
+    return new Redis({
+      url: config.upstash.url,
+      token: config.upstash.token,
+      // Values are JSON-encoded and decoded by this service
+      automaticDeserialization: false,
+    });
+  },
+  memory: () => new MemoryStore(),
+  file: () => new FileStore(config.store.file),
+};
+
 /**
- * Service for Upstash Redis operations
+ * Service for job persistence
+ * Backed by Upstash Redis, or by an in-memory or local-file store when running offline
  */
 class RedisService {
   constructor() {
-    if (config.upstash.url && config.upstash.token) {
-      this.redis = new Redis({
-        url: config.upstash.url,
-        token: config.upstash.token,
-      });
-      Logger.info('Redis service initialized');
-    } else {
-      Logger.warn('Redis not configured - running without persistence');
-      this.redis = null;
+    const factory = storeFactories[config.store.backend];
+    if (!factory) {
+      throw new Error(`Unknown job store: ${config.store.backend}`);
+    }
+
+    this.store = factory();
+    Logger.info('Job store initialized', { store: config.store.backend });
+
+    if (config.store.backend === 'memory') {
+      Logger.warn('Using in-memory job store - jobs are lost on restart');
     }
   }
 
   /**
-   * Create a new job
+   * Check that the job store accepts writes and reads
+   * @throws {Error} - If the store is unreachable or rejects the credentials
    */
-  async createJob(jobId, data) {
-    if (!this.redis) {
-      Logger.warn('Redis not available, cannot persist job');
-      return;
+  async ping() {
+    await this.store.set('health:ping', JSON.stringify(Date.now()), { ex: 60 });
+    if ((await this.store.get('health:ping')) === null) {
+      throw new Error('Job store did not return the value just written');
     }
+  }
 
+  /**
+   * Wait for pending writes of a local store to reach disk (before exiting)
+   */
+  async flush() {
+    if (typeof this.store.flush === 'function') {
+      await this.store.flush();
+    }
+  }
+
+  /**
+   * Create a new job
+   * Jobs are stored as hashes with one JSON-encoded value per field, so
+   * concurrent updates to different fields never overwrite each other
+   */
+  async createJob(jobId, data) {
     try {
+      const createdAt = Date.now();
       const jobData = {
         jobId,
-        status: 'pending',
-        createdAt: Date.now(),
+        createdAt,
         ...data,
+        status: 'pending',
       };
 
-      await this.redis.set(
-        `job:${jobId}`,
-        JSON.stringify(jobData),
-        { ex: config.job.ttl }
-      );
+      await this.store.hset(`job:${jobId}`, serializeFields({
+        ...jobData,
+        transition0: { status: 'pending', at: createdAt },
+      }));
+      await this.store.expire(`job:${jobId}`, config.job.ttl);
+      await this.store.sadd('jobs:active', jobId);
+      await this.addToIndexes(jobData);
 
-      Logger.info('Job created in Redis', { jobId });
+      Logger.info('Job created in job store', { jobId });
       return jobData;
     } catch (error) {
-      Logger.error('Error creating job in Redis', error);
+      Logger.error('Error creating job in job store', error);
       throw error;
     }
   }
@@ -54,71 +164,260 @@ class RedisService {
    * Get job data
    */
   async getJob(jobId) {
-    if (!this.redis) {
-      return null;
-    }
-
     try {
-      const data = await this.redis.get(`job:${jobId}`);
-      if (!data) {
+      const fields = await this.store.hgetall(`job:${jobId}`);
+      if (!fields || Object.keys(fields).length === 0) {
         return null;
       }
 
-      return typeof data === 'string' ? JSON.parse(data) : data;
+      const job = deserializeFields(fields);
+
+      // Collect the transition history; the latest transition is the current status
+      const history = [];
+      for (const key of Object.keys(job)) {
+        const match = key.match(TRANSITION_FIELD);
+        if (match) {
+          history[Number(match[1])] = job[key];
+          delete job[key];
+        }
+      }
+      if (history.length > 0) {
+        job.history = history.filter(Boolean);
+        job.status = job.history[job.history.length - 1].status;
+      }
+
+      return job;
     } catch (error) {
-      Logger.error('Error getting job from Redis', error);
+      Logger.error('Error getting job from job store', error);
       return null;
     }
   }
 
   /**
    * Update job data
+   * Only the given fields are written (HSET), without reading the job first
+   * Status changes go through the job state machine instead
    */
   async updateJob(jobId, updates) {
-    if (!this.redis) {
-      Logger.warn('Redis not available, cannot update job');
-      return;
+    if ('status' in updates) {
+      throw new Error('Job status must be changed through jobStateMachine.transition');
     }
 
     try {
-      const job = await this.getJob(jobId);
-      if (!job) {
-        Logger.warn('Job not found in Redis', { jobId });
+      const exists = await this.store.exists(`job:${jobId}`);
+      if (!exists) {
+        Logger.warn('Job not found in job store', { jobId });
         return null;
       }
 
-      const updatedJob = {
-        ...job,
+      await this.store.hset(`job:${jobId}`, serializeFields({
         ...updates,
         updatedAt: Date.now(),
-      };
+      }));
+      await this.store.expire(`job:${jobId}`, config.job.ttl);
 
-      await this.redis.set(
-        `job:${jobId}`,
-        JSON.stringify(updatedJob),
-        { ex: config.job.ttl }
-      );
+      Logger.info('Job updated in job store', { jobId, updates });
+      return await this.getJob(jobId);
+    } catch (error) {
+      Logger.error('Error updating job in job store', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a status transition as history entry number `seq`
+   * HSETNX on the entry makes this a compare-and-set: if another transition
+   * already took `seq`, nothing is written and the caller must re-read the job
+   * @param {Object} job - Job data the transition was validated against
+   * @param {number} seq - Index of the new history entry
+   * @param {Object} entry - History entry ({ status, at, ... })
+   * @param {Object} fields - Other job fields to write with the transition
+   * @param {boolean} terminal - Whether the new status is final
+   * @returns {Promise<boolean>} - False if the transition lost the race
+   */
+  async appendTransition(job, seq, entry, fields, terminal) {
+    const { jobId } = job;
+    const claimed = await this.store.hsetnx(`job:${jobId}`, `transition${seq}`, JSON.stringify(entry));
+    if (claimed !== 1) {
+      return false;
+    }
+
+    await this.store.hset(`job:${jobId}`, serializeFields({
+      ...fields,
+      status: entry.status,
+      updatedAt: entry.at,
+    }));
+    await this.store.expire(`job:${jobId}`, config.job.ttl);
+
+    if (terminal) {
+      await this.store.srem('jobs:active', jobId);
+    } else if (TERMINAL_RERUN_SOURCES.includes(job.status)) {
+      // Re-run of a finished job: watch it again
+      await this.store.sadd('jobs:active', jobId);
+    }
+
+    // Move the job between status indexes, and keep its indexes alive as long as its data
+    await this.store.zrem(indexKey.status(job.status), jobId);
+    await this.store.zadd(indexKey.status(entry.status), { score: job.createdAt, member: jobId });
+    for (const key of getIndexKeys({ ...job, status: entry.status })) {
+      await this.store.expire(key, getIndexTtl());
+    }
+
+    return true;
+  }
+
+  /**
+   * Release the stitching claim so a re-run can stitch again
+   * @param {string} jobId - Job ID
+   */
+  async clearStitchClaim(jobId) {
+    await this.store.hdel(`job:${jobId}`, 'stitchClaimedAt');
+  }
+
+  /**
+   * Add a new job to the created-at, status, record and tenant indexes
+   * Index keys expire with the jobs they point to
+   * @param {Object} job - Job data
+   */
+  async addToIndexes(job) {
+    for (const key of getIndexKeys(job)) {
+      await this.store.zadd(key, { score: job.createdAt, member: job.jobId });
+      await this.store.expire(key, getIndexTtl());
+    }
+  }
+
+  /**
+   * IDs in an index within a created-at range, oldest first
+   * May include jobs whose data has expired; see dropExpiredIds
+   * @param {string} key - Index key
+   * @param {number} from - Earliest createdAt (ms)
+   * @param {number} to - Latest createdAt (ms)
+   */
+  async getIndexedIds(key, from, to) {
+    return await this.store.zrange(key, from, to, { byScore: true });
+  }
+
+  /**
+   * Keep the IDs whose job data still exists, removing the others from the given indexes
+   * Job data expires on its own TTL, which updates keep extending, so the
+   * indexes can't be pruned by createdAt alone
+   * @param {string[]} jobIds - Candidate job IDs
+   * @param {string[]} keys - Index keys the IDs were read from
+   * @returns {Promise<string[]>} - Live job IDs, in the same order
+   */
+  async dropExpiredIds(jobIds, keys) {
+    const exists = await Promise.all(jobIds.map((jobId) => this.store.exists(`job:${jobId}`)));
+    const expired = jobIds.filter((jobId, index) => !exists[index]);
+
+    for (const key of keys) {
+      for (const jobId of expired) {
+        await this.store.zrem(key, jobId);
+      }
+    }
+
+    return jobIds.filter((jobId, index) => exists[index]);
+  }
+
+  /**
+   * List jobs, newest first
+   * Filters are combined with AND; several statuses are combined with OR
+   * @param {Object} filters
+   * @param {string[]} filters.statuses - Job statuses (optional)
+   * @param {string} filters.recordId - Airtable record ID (optional)
+   * @param {string} filters.tenantId - Tenant ID (optional)
+   * @param {number} filters.from - Earliest createdAt in ms (optional)
+   * @param {number} filters.to - Latest createdAt in ms (optional)
+   * @param {number} filters.limit - Page size
+   * @param {number} filters.offset - Jobs to skip
+   * @returns {Promise<{jobs: Object[], total: number}>}
+   */
+  async listJobs({ statuses, recordId, tenantId, from = '-inf', to = '+inf', limit, offset = 0 }) {
+    try {
+      // Every index is scored by createdAt, so each list is in the same order
+      const lists = [];
+      const keys = [INDEX_CREATED];
+      if (statuses?.length) {
+        keys.push(...statuses.map((status) => indexKey.status(status)));
+        const byStatus = await Promise.all(
+          statuses.map((status) => this.getIndexedIds(indexKey.status(status), from, to))
+        );
+        lists.push(new Set(byStatus.flat()));
+      }
+      if (recordId) {
+        keys.push(indexKey.record(recordId));
+        lists.push(new Set(await this.getIndexedIds(indexKey.record(recordId), from, to)));
+      }
+      if (tenantId) {
+        keys.push(indexKey.tenant(tenantId));
+        lists.push(new Set(await this.getIndexedIds(indexKey.tenant(tenantId), from, to)));
+      }
+
+      const ordered = await this.getIndexedIds(INDEX_CREATED, from, to);
+      const matching = ordered.filter((jobId) => lists.every((list) => list.has(jobId)));
+      // Expired jobs must not count towards total
+      const ids = (await this.dropExpiredIds(matching, keys)).reverse();
+
+      const page = ids.slice(offset, offset + limit);
+      const jobs = (await Promise.all(page.map((jobId) => this.getJob(jobId)))).filter(Boolean);
 
-      Logger.info('Job updated in Redis', { jobId, updates });
-      return updatedJob;
+      return { jobs, total: ids.length };
     } catch (error) {
-      Logger.error('Error updating job in Redis', error);
+      Logger.error('Error listing jobs from job store', error);
       throw error;
     }
   }
 
   /**
-   * Store Sora task mapping (jobId -> taskId)
+   * Claim the "all segments ready -> stitch" transition for a job
+   * HSETNX succeeds for exactly one caller, however many callbacks race
+   * @returns {Promise<boolean>} - True if this caller should stitch
    */
-  async mapTaskToJob(taskId, jobId, videoNumber) {
-    if (!this.redis) {
-      return;
+  async claimStitching(jobId) {
+    const claimed = await this.store.hsetnx(
+      `job:${jobId}`,
+      'stitchClaimedAt',
+      JSON.stringify(Date.now())
+    );
+    return claimed === 1;
+  }
+
+  /**
+   * Get IDs of jobs that have not reached a terminal status
+   * Prunes IDs whose job data has already expired
+   */
+  async getActiveJobIds() {
+    try {
+      const jobIds = await this.store.smembers('jobs:active');
+      const activeIds = [];
+
+      for (const jobId of jobIds) {
+        const exists = await this.store.exists(`job:${jobId}`);
+        if (exists) {
+          activeIds.push(jobId);
+        } else {
+          await this.store.srem('jobs:active', jobId);
+        }
+      }
+
+      return activeIds;
+    } catch (error) {
+      Logger.error('Error getting active jobs from job store', error);
+      return [];
     }
+  }
 
+  /**
+   * Store Sora task mapping (jobId -> taskId)
+   * @param {string} taskId - Sora task ID
+   * @param {string} jobId - Job ID
+   * @param {number} videoNumber - Segment number
+   * @param {string} callbackTokenHash - Hash of the task's callback token
+   */
+  async mapTaskToJob(taskId, jobId, videoNumber, callbackTokenHash = null) {
     try {
-      await this.redis.set(
+      await this.store.set(
         `task:${taskId}`,
-        JSON.stringify({ jobId, videoNumber }),
+        JSON.stringify({ jobId, videoNumber, callbackTokenHash }),
         { ex: config.job.ttl }
       );
 
@@ -133,12 +432,8 @@ class RedisService {
    * Get job ID from Sora task ID
    */
   async getJobFromTask(taskId) {
-    if (!this.redis) {
-      return null;
-    }
-
     try {
-      const data = await this.redis.get(`task:${taskId}`);
+      const data = await this.store.get(`task:${taskId}`);
       if (!data) {
         return null;
       }
@@ -151,31 +446,242 @@ class RedisService {
   }
 
   /**
-   * Delete job data
+   * Acquire a short-lived lock shared by every instance using the store (SET NX)
+   * @param {string} key - Lock key
+   * @param {number} ttl - Lock lifetime in seconds
+   * @returns {Promise<boolean>} - True if this caller now holds the lock
    */
-  async deleteJob(jobId) {
-    if (!this.redis) {
-      return;
+  async acquireLock(key, ttl) {
+    const result = await this.store.set(`lock:${key}`, Date.now(), { nx: true, ex: ttl });
+    return result === 'OK';
+  }
+
+  /**
+   * Store an idempotency record
+   * @param {string} key - Idempotency key (namespaced by the caller)
+   * @param {Object} record - Record to store
+   * @param {number} ttl - Lifetime in seconds
+   * @param {Object} options - { nx: only store if the key is unused }
+   * @returns {Promise<boolean>} - False when nx found the key in use
+   */
+  async setIdempotencyRecord(key, record, ttl, { nx = false } = {}) {
+    const result = await this.store.set(`idempotency:${key}`, JSON.stringify(record), { ex: ttl, nx });
+    return result === 'OK';
+  }
+
+  /**
+   * Get an idempotency record
+   * @param {string} key - Idempotency key
+   * @returns {Promise<Object|null>}
+   */
+  async getIdempotencyRecord(key) {
+    const data = await this.store.get(`idempotency:${key}`);
+    if (!data) {
+      return null;
+    }
+    return typeof data === 'string' ? JSON.parse(data) : data;
+  }
+
+  /**
+   * Delete an idempotency record
+   * @param {string} key - Idempotency key
+   */
+  async deleteIdempotencyRecord(key) {
+    await this.store.del(`idempotency:${key}`);
+  }
+
+  /**
+   * Increment a counter shared by every instance, e.g. for rate limits
+   * @param {string} key - Counter key
+   * @param {number} ttl - Lifetime in seconds, set when the counter is created
+   * @returns {Promise<number>} - New count
+   */
+  async incrementCounter(key, ttl) {
+    const count = Number(await this.store.incr(`counter:${key}`));
+    if (count === 1) {
+      await this.store.expire(`counter:${key}`, ttl);
     }
+    return count;
+  }
 
+  /**
+   * Undo one incrementCounter, e.g. to refund a reservation
+   * @param {string} key - Counter key
+   * @returns {Promise<number>} - New count
+   */
+  async decrementCounter(key) {
+    return Number(await this.store.decr(`counter:${key}`));
+  }
+
+  /**
+   * Read a counter written by incrementCounter
+   * @param {string} key - Counter key
+   * @returns {Promise<number>} - Count, 0 when missing or expired
+   */
+  async getCounter(key) {
+    return Number(await this.store.get(`counter:${key}`)) || 0;
+  }
+
+  /**
+   * Add work to the durable work queue
+   * Queuing work that is already queued (or running) changes nothing
+   * @param {string} workId - Work ID, e.g. "stitch:<jobId>"
+   * @param {Object} work - Work data, e.g. { type, jobId }
+   * @returns {Promise<boolean>} - False when the work was already queued
+   */
+  async enqueueWork(workId, work) {
+    // Queue entry first: an entry without data is dropped on claim, data without an entry would never run
+    await this.store.zadd(WORK_QUEUE, { score: Date.now(), member: workId });
+    const added = await this.store.set(
+      `work:item:${workId}`,
+      JSON.stringify({ ...work, attempts: 0, enqueuedAt: Date.now() }),
+      { nx: true, ex: getIndexTtl() }
+    );
+    return added === 'OK';
+  }
+
+  /**
+   * Lease the oldest due work nobody holds a lease on
+   * Work whose lease expired (its worker died) is claimable again
+   * @param {string} workerId - ID of the claiming worker
+   * @param {number} leaseTtl - Lease lifetime in seconds
+   * @returns {Promise<Object|null>} - Work data with workId and attempts (including this one)
+   */
+  async claimWork(workerId, leaseTtl) {
+    const due = await this.store.zrange(WORK_QUEUE, '-inf', Date.now(), { byScore: true });
+
+    for (const workId of due) {
+      const leased = await this.store.set(`work:lease:${workId}`, workerId, { nx: true, ex: leaseTtl });
+      if (leased !== 'OK') {
+        continue;
+      }
+
+      const data = await this.store.get(`work:item:${workId}`);
+      if (!data) {
+        // Expired together with its job
+        await this.completeWork(workId);
+        continue;
+      }
+
+      const work = typeof data === 'string' ? JSON.parse(data) : data;
+      work.attempts += 1;
+      work.leasedAt = Date.now();
+      await this.store.set(`work:item:${workId}`, JSON.stringify(work), { ex: getIndexTtl() });
+
+      return { workId, ...work };
+    }
+
+    return null;
+  }
+
+  /**
+   * Extend a lease held by a worker
+   * @param {string} workId - Work ID
+   * @param {string} workerId - Worker holding the lease
+   * @param {number} leaseTtl - New lease lifetime in seconds
+   * @returns {Promise<boolean>} - False when the lease expired or another worker holds it
+   */
+  async renewLease(workId, workerId, leaseTtl) {
+    if ((await this.store.get(`work:lease:${workId}`)) !== workerId) {
+      return false;
+    }
+    await this.store.set(`work:lease:${workId}`, workerId, { ex: leaseTtl });
+    return true;
+  }
+
+  /**
+   * Give up a lease so another worker can claim the work right away
+   * @param {string} workId - Work ID
+   * @param {string} workerId - Worker holding the lease
+   */
+  async releaseWork(workId, workerId) {
+    if ((await this.store.get(`work:lease:${workId}`)) === workerId) {
+      await this.store.del(`work:lease:${workId}`);
+    }
+  }
+
+  /**
+   * Remove finished work from the queue
+   * @param {string} workId - Work ID
+   */
+  async completeWork(workId) {
+    await this.store.zrem(WORK_QUEUE, workId);
+    await this.store.del(`work:item:${workId}`, `work:lease:${workId}`);
+  }
+
+  /**
+   * Number of pieces of work queued or running
+   * @returns {Promise<number>}
+   */
+  async getWorkQueueLength() {
+    return await this.store.zcard(WORK_QUEUE);
+  }
+
+  /**
+   * Whether work is queued or running
+   * @param {string} workId - Work ID
+   */
+  async hasWork(workId) {
+    return (await this.store.exists(`work:item:${workId}`)) > 0;
+  }
+
+  /**
+   * Release a lock taken with acquireLock
+   * @param {string} key - Lock key
+   */
+  async releaseLock(key) {
+    await this.store.del(`lock:${key}`);
+  }
+
+  /**
+   * Delete job data
+   */
+  async deleteJob(jobId) {
     try {
-      await this.redis.del(`job:${jobId}`);
-      Logger.info('Job deleted from Redis', { jobId });
+      const job = await this.getJob(jobId);
+      await this.store.del(`job:${jobId}`);
+      await this.store.srem('jobs:active', jobId);
+
+      const indexes = job ? getIndexKeys(job) : [INDEX_CREATED];
+      for (const key of indexes) {
+        await this.store.zrem(key, jobId);
+      }
+
+      Logger.info('Job deleted from job store', { jobId });
     } catch (error) {
-      Logger.error('Error deleting job from Redis', error);
+      Logger.error('Error deleting job from job store', error);
+    }
+  }
+
+  /**
+   * Get the number of segments for a job
+   * Jobs created before segments[] support always had two videos
+   */
+  getSegmentCount(job) {
+    return job?.segmentCount || 2;
+  }
+
+  /**
+   * Get the ordered video URLs stored for a job
+   */
+  getVideoUrls(job) {
+    const urls = [];
+    for (let n = 1; n <= this.getSegmentCount(job); n++) {
+      urls.push(job[`video${n}Url`] || null);
     }
+    return urls;
   }
 
   /**
-   * Check if both videos are ready for a job
+   * Check if every segment video is ready for a job
    */
-  async areBothVideosReady(jobId) {
+  async areAllVideosReady(jobId) {
     const job = await this.getJob(jobId);
     if (!job) {
       return false;
     }
 
-    return !!(job.video1Url && job.video2Url);
+    return this.getVideoUrls(job).every(Boolean);
   }
 
   /**
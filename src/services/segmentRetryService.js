@@ -0,0 +1,176 @@
+const redisService = require('./redisService');
+const tenantService = require('./tenantService');
+const jobStateMachine = require('./jobStateMachine');
+const metricsService = require('./metricsService');
+const config = require('../config/config');
+const Logger = require('../utils/logger');
+
+/**
+ * Service for re-submitting failed Sora generations one segment at a time
+ * Every attempt is recorded on the job as attempts{n}: [{ taskId, submittedAt, state, failCode, failMsg, finishedAt }]
+ * A segment waiting for its retry has video{n}Status "retrying" and retry{n}At set
+ */
+class SegmentRetryService {
+  constructor() {
+    this.options = config.sora.retry;
+  }
+
+  /**
+   * Get the attempts recorded for a segment
+   * @param {Object} job - Job data
+   * @param {number} videoNumber - Segment number (1-based)
+   */
+  getAttempts(job, videoNumber) {
+    return job[`attempts${videoNumber}`] || [];
+  }
+
+  /**
+   * Record the outcome of a segment's attempt
+   * @param {string} jobId - Job ID
+   * @param {Object} job - Job data
+   * @param {number} videoNumber - Segment number
+   * @param {string} taskId - Sora task ID of the attempt
+   * @param {Object} outcome - { state, failCode, failMsg }
+   * @returns {Promise<Array<Object>>} - Updated attempts
+   */
+  async recordOutcome(jobId, job, videoNumber, taskId, outcome) {
+    const submittedAt = this.getAttempts(job, videoNumber).find((attempt) => attempt.taskId === taskId)?.submittedAt;
+    if (submittedAt) {
+      metricsService.recordSoraGeneration(submittedAt, outcome.state);
+    }
+
+    const attempts = this.getAttempts(job, videoNumber).map((attempt) =>
+      attempt.taskId === taskId ? { ...attempt, ...outcome, finishedAt: Date.now() } : attempt
+    );
+    if (!attempts.some((attempt) => attempt.taskId === taskId)) {
+      // Jobs created before attempts were tracked
+      attempts.push({ taskId, ...outcome, finishedAt: Date.now() });
+    }
+
+    // Only the segment's current task reports here, so this field has a single writer
+    await redisService.updateJob(jobId, { [`attempts${videoNumber}`]: attempts });
+    return attempts;
+  }
+
+  /**
+   * Delay before the next attempt
+   * @param {number} attemptsMade - Attempts made so far
+   */
+  getDelay(attemptsMade) {
+    const { backoff } = this.options;
+    return backoff[Math.min(attemptsMade - 1, backoff.length - 1)];
+  }
+
+  /**
+   * Schedule a retry of a failed segment if the failure and attempt count allow it
+   * @param {string} jobId - Job ID
+   * @param {Object} job - Job data
+   * @param {number} videoNumber - Segment number
+   * @param {Object} error - Error info from soraService.getTaskError
+   * @param {number} attemptsMade - Attempts made so far, including the failed one
+   * @returns {Promise<boolean>} - True if a retry was scheduled
+   */
+  async scheduleRetry(jobId, job, videoNumber, error, attemptsMade) {
+    const soraService = tenantService.getSoraService(job.tenantId);
+
+    if (!soraService.isRetryableError(error)) {
+      Logger.warn('Sora failure is not retryable', { jobId, videoNumber, failCode: error.code });
+      return false;
+    }
+
+    if (attemptsMade >= this.options.maxAttempts) {
+      Logger.warn('Sora retries exhausted', { jobId, videoNumber, attempts: attemptsMade });
+      return false;
+    }
+
+    const delay = this.getDelay(attemptsMade);
+    await redisService.updateJob(jobId, {
+      [`video${videoNumber}Status`]: 'retrying',
+      [`retry${videoNumber}At`]: Date.now() + delay,
+    });
+
+    Logger.info('Scheduling Sora retry for segment', {
+      jobId,
+      videoNumber,
+      attempt: attemptsMade + 1,
+      delay,
+    });
+
+    // The reconciler also picks up due retries, e.g. after a restart
+    setTimeout(() => {
+      this.resubmit(jobId, videoNumber).catch((retryError) => {
+        Logger.error('Error retrying Sora segment', { jobId, videoNumber, error: retryError.message });
+      });
+    }, delay).unref();
+
+    return true;
+  }
+
+  /**
+   * Re-submit a segment's prompt as a new Sora task
+   * Safe to call from several places: the attempt is claimed with a lock
+   * @param {string} jobId - Job ID
+   * @param {number} videoNumber - Segment number
+   */
+  async resubmit(jobId, videoNumber) {
+    const job = await redisService.getJob(jobId);
+    if (!job || jobStateMachine.isTerminal(job.status) || job[`video${videoNumber}Status`] !== 'retrying') {
+      return;
+    }
+
+    const attempts = this.getAttempts(job, videoNumber);
+    const attemptNumber = attempts.length + 1;
+    if (!(await redisService.acquireLock(`sora-retry:${jobId}:${videoNumber}:${attemptNumber}`, 300))) {
+      return;
+    }
+
+    try {
+      const prompt = job.segments?.[videoNumber - 1]?.prompt;
+      if (!prompt) {
+        throw new Error(`No prompt stored for segment ${videoNumber}`);
+      }
+
+      const soraService = tenantService.getSoraService(job.tenantId);
+      const callback = soraService.createCallback();
+      const taskId = await soraService.createTask(prompt, job.aspectRatio, callback.url);
+      await redisService.mapTaskToJob(taskId, jobId, videoNumber, callback.tokenHash);
+
+      await redisService.updateJob(jobId, {
+        [`taskId${videoNumber}`]: taskId,
+        [`video${videoNumber}Status`]: 'generating',
+        [`retry${videoNumber}At`]: null,
+        [`attempts${videoNumber}`]: [...attempts, { taskId, submittedAt: Date.now() }],
+        // The new generation gets the full job timeout
+        startedAt: Date.now(),
+      });
+
+      Logger.info('Sora segment re-submitted', { jobId, videoNumber, attempt: attemptNumber, taskId });
+    } catch (error) {
+      const message = `Video ${videoNumber} retry failed: ${error.message}`;
+      Logger.error('Error re-submitting Sora segment', { jobId, videoNumber, error: error.message });
+      await jobStateMachine.transition(
+        jobId,
+        'failed',
+        { error: message, failedAt: Date.now() },
+        { error: message }
+      ).catch((transitionError) => {
+        Logger.warn('Could not mark job failed after retry error', { jobId, error: transitionError.message });
+      });
+    }
+  }
+
+  /**
+   * Re-submit every segment of a job whose retry is due
+   * @param {Object} job - Job data
+   */
+  async resubmitDue(job) {
+    for (let n = 1; n <= redisService.getSegmentCount(job); n++) {
+      const retryAt = job[`retry${n}At`];
+      if (job[`video${n}Status`] === 'retrying' && retryAt && retryAt <= Date.now()) {
+        await this.resubmit(job.jobId, n);
+      }
+    }
+  }
+}
+
+module.exports = new SegmentRetryService();
@@ -1,14 +1,29 @@
 const axios = require('axios');
+const crypto = require('crypto');
 const config = require('../config/config');
+const metricsService = require('./metricsService');
 const Logger = require('../utils/logger');
 
+/**
+ * Hash of a callback token; only hashes are stored
+ * @param {string} token - Callback token
+ */
+function hashCallbackToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
 /**
  * Service for interacting with Sora 2 Text To Video API with callback support
  */
 class SoraService {
-  constructor() {
-    this.baseUrl = config.sora.baseUrl;
-    this.apiKey = config.sora.apiKey;
+  /**
+   * @param {Object} options - Sora settings (defaults to the env config)
+   * @param {string} options.apiKey - Sora API key
+   * @param {string} options.baseUrl - Sora API base URL
+   */
+  constructor(options = config.sora) {
+    this.baseUrl = options.baseUrl || config.sora.baseUrl;
+    this.apiKey = options.apiKey;
   }
 
   /**
@@ -62,6 +77,7 @@ class SoraService {
       return taskId;
     } catch (error) {
       Logger.error('Error creating Sora task', error);
+      metricsService.recordUpstreamError('sora', 'createTask');
       throw new Error(`Failed to create Sora task: ${error.message}`);
     }
   }
@@ -90,10 +106,23 @@ class SoraService {
       return response.data.data;
     } catch (error) {
       Logger.error('Error querying Sora task', error);
+      metricsService.recordUpstreamError('sora', 'queryTask');
       throw new Error(`Failed to query Sora task: ${error.message}`);
     }
   }
 
+  /**
+   * Cancel a running task
+   * The kie.ai Sora API has no cancel endpoint, so tasks run to completion and
+   * their callbacks are ignored; providers that support cancelling override this
+   * @param {string} taskId - The task ID
+   * @returns {Promise<boolean>} - True if the provider cancelled the task
+   */
+  async cancelTask(taskId) {
+    Logger.debug('Sora API does not support cancelling tasks', { taskId });
+    return false;
+  }
+
   /**
    * Extract video URL from Sora callback/result data
    * @param {Object} taskData - Task data from Sora
@@ -116,6 +145,52 @@ class SoraService {
     }
   }
 
+  /**
+   * URL Sora calls when a task finishes
+   */
+  getCallbackUrl() {
+    return `${config.publicUrl}/api/callback/sora`;
+  }
+
+  /**
+   * Callback URL for a single task, carrying a random secret token
+   * Store tokenHash with the task mapping so the callback can be verified
+   * @returns {{url: string, tokenHash: string}}
+   */
+  createCallback() {
+    const token = crypto.randomBytes(24).toString('hex');
+    return {
+      url: `${this.getCallbackUrl()}/${token}`,
+      tokenHash: hashCallbackToken(token),
+    };
+  }
+
+  /**
+   * Check a callback's token against the hash stored for its task
+   * @param {string} token - Token from the callback URL
+   * @param {string} tokenHash - Hash stored with the task mapping
+   * @returns {boolean}
+   */
+  verifyCallbackToken(token, tokenHash) {
+    if (!token || !tokenHash) {
+      return false;
+    }
+
+    const expected = Buffer.from(tokenHash, 'hex');
+    const actual = Buffer.from(hashCallbackToken(token), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Whether a failed task is worth re-submitting
+   * @param {Object} error - Error info from getTaskError
+   * @returns {boolean} - True for retryable failCodes, false for terminal ones
+   */
+  isRetryableError(error) {
+    return error?.code !== undefined && error?.code !== null &&
+      config.sora.retry.retryableCodes.includes(String(error.code));
+  }
+
   /**
    * Check if task failed
    * @param {Object} taskData - Task data from Sora
@@ -133,3 +208,4 @@ class SoraService {
 }
 
 module.exports = new SoraService();
+module.exports.SoraService = SoraService;
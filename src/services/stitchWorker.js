@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const os = require('os');
+const redisService = require('./redisService');
+const jobProcessor = require('./jobProcessor');
+const jobStateMachine = require('./jobStateMachine');
+const config = require('../config/config');
+const Logger = require('../utils/logger');
+
+/**
+ * Worker running the stitch/upload work queued in the job store
+ * Each piece of work is leased; the lease is renewed while the work runs, and
+ * work whose worker died is claimed again once its lease expires
+ * Runs inside the API process or on its own (src/worker.js)
+ */
+class StitchWorker {
+  constructor() {
+    this.options = config.worker;
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+    this.timer = null;
+    this.isStarted = false;
+    this.polling = null; // running runOnce() call
+    this.current = null; // { work, released, controller } while work runs
+  }
+
+  /**
+   * Start polling the work queue
+   */
+  start() {
+    if (this.isStarted) {
+      return;
+    }
+
+    this.isStarted = true;
+    this.schedule(0);
+
+    Logger.info('Stitch worker started', {
+      workerId: this.workerId,
+      pollInterval: this.options.pollInterval,
+      leaseTtl: this.options.leaseTtl,
+    });
+  }
+
+  /**
+   * Stop polling; wait for in-flight work to finish, or cancel it and
+   * release it to another worker when it takes longer than the shutdown timeout
+   */
+  async stop() {
+    if (!this.isStarted) {
+      return;
+    }
+
+    this.isStarted = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const { polling } = this;
+    if (polling) {
+      Logger.info('Waiting for in-flight work before stopping', { workId: this.current?.work.workId });
+
+      let timeout;
+      const finished = await Promise.race([
+        polling.then(() => true, () => true),
+        new Promise((resolve) => {
+          timeout = setTimeout(() => resolve(false), this.options.shutdownTimeout);
+        }),
+      ]);
+      clearTimeout(timeout);
+
+      const { current } = this;
+      if (!finished && current) {
+        // Stop the run before another worker can claim the work and start it over
+        this.abort(current, new Error('Stitch worker shutting down'));
+        await polling.catch(() => {});
+        await redisService.releaseWork(current.work.workId, this.workerId);
+        Logger.warn('Released unfinished work on shutdown', { workId: current.work.workId });
+      }
+    }
+
+    Logger.info('Stitch worker stopped', { workerId: this.workerId });
+  }
+
+  /**
+   * Poll again after a delay
+   * @param {number} delay - Delay in ms
+   */
+  schedule(delay) {
+    this.timer = setTimeout(async () => {
+      let worked = false;
+      try {
+        this.polling = this.runOnce();
+        worked = await this.polling;
+      } catch (error) {
+        Logger.error('Error polling work queue', error);
+      } finally {
+        this.polling = null;
+      }
+
+      // Drain the queue without waiting, then poll at the normal interval
+      if (this.isStarted) {
+        this.schedule(worked ? 0 : this.options.pollInterval);
+      }
+    }, delay);
+  }
+
+  /**
+   * Claim and run one piece of due work
+   * @returns {Promise<boolean>} - True if work was run
+   */
+  async runOnce() {
+    const work = await redisService.claimWork(this.workerId, this.options.leaseTtl);
+    if (!work) {
+      return false;
+    }
+
+    this.current = { work, released: false, controller: new AbortController() };
+    try {
+      await this.process(this.current);
+    } finally {
+      this.current = null;
+    }
+    return true;
+  }
+
+  /**
+   * Stop running work without completing it; its lease is (or is about to be) another worker's
+   * @param {{work: Object, released: boolean, controller: AbortController}} current - Leased work
+   * @param {Error} reason - Why the run stops
+   */
+  abort(current, reason) {
+    current.released = true;
+    current.controller.abort(reason);
+  }
+
+  /**
+   * Run leased work, renewing the lease until it is done
+   * Work that fails is not retried: processStitching has already failed the job
+   * The run is aborted as soon as the lease is lost, so a worker that claims
+   * the expired lease never stitches and uploads the same job in parallel
+   * @param {{work: Object, released: boolean, controller: AbortController}} current - Leased work
+   */
+  async process(current) {
+    const { work } = current;
+    const { signal } = current.controller;
+    const heartbeat = setInterval(() => {
+      redisService.renewLease(work.workId, this.workerId, this.options.leaseTtl)
+        .then((renewed) => {
+          if (!renewed && !signal.aborted) {
+            Logger.warn('Lost lease on running work, aborting it', { workId: work.workId });
+            this.abort(current, new Error('Lost lease on stitch work'));
+          }
+        })
+        .catch((error) => {
+          Logger.error('Error renewing work lease', { workId: work.workId, error: error.message });
+        });
+    }, (this.options.leaseTtl * 1000) / 3);
+
+    // Steps that can't be killed (e.g. an upload) are no longer waited for once aborted
+    const aborted = new Promise((resolve) => signal.addEventListener('abort', resolve, { once: true }));
+
+    try {
+      await Promise.race([
+        Logger.runWithContext({ jobId: work.jobId, workId: work.workId }, () => this.runStitch(work, signal)),
+        aborted,
+      ]);
+    } catch (error) {
+      Logger.error('Stitch work failed', { workId: work.workId, error: error.message });
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    if (current.released) {
+      return;
+    }
+
+    try {
+      await redisService.completeWork(work.workId);
+    } catch (error) {
+      // The lease expires and the work runs again; it is skipped if the job finished
+      Logger.error('Error completing work', { workId: work.workId, error: error.message });
+    }
+  }
+
+  /**
+   * Stitch and upload a job, restarting work an earlier worker didn't finish
+   * @param {Object} work - Work data ({ workId, jobId, attempts })
+   * @param {AbortSignal} signal - Aborted when the lease is lost or the worker stops
+   */
+  async runStitch(work, signal) {
+    const { jobId } = work;
+    const job = await redisService.getJob(jobId);
+    if (!job || jobStateMachine.isTerminal(job.status)) {
+      Logger.info('Skipping stitch work for finished job', { jobId, status: job?.status });
+      return;
+    }
+
+    if (work.attempts > this.options.maxAttempts) {
+      await jobProcessor.handleJobFailure(
+        jobId,
+        job,
+        `Stitching was interrupted ${work.attempts - 1} times`
+      );
+      return;
+    }
+
+    if (job.status !== 'processing') {
+      Logger.warn('Restarting interrupted stitch work', { jobId, status: job.status, attempt: work.attempts });
+      await jobStateMachine.transition(jobId, 'processing', {}, { resume: 'stitch-retry' });
+    }
+
+    signal.throwIfAborted();
+    await jobProcessor.processStitching(jobId, { signal });
+  }
+}
+
+module.exports = new StitchWorker();
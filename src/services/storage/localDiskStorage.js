@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const Logger = require('../../utils/logger');
+
+/**
+ * Storage backend that keeps videos on local disk
+ * Files are served by this app under HMAC-signed, expiring URLs
+ */
+class LocalDiskStorage {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory to store files in
+   * @param {string} options.publicUrl - Public base URL of this app
+   * @param {string} options.signingSecret - Secret used to sign URLs
+   * @param {number} options.urlTtl - URL lifetime in seconds
+   */
+  constructor({ dir, publicUrl, signingSecret, urlTtl }) {
+    this.name = 'local';
+    this.dir = dir;
+    this.publicUrl = publicUrl;
+    this.urlTtl = urlTtl;
+
+    // A per-process secret would break URLs on restart and across API/worker processes
+    if (!signingSecret) {
+      throw new Error('STORAGE_SIGNING_SECRET is required for the local storage backend');
+    }
+    this.signingSecret = signingSecret;
+  }
+
+  /**
+   * Sign a key and expiry timestamp
+   * @param {string} key - Stored file key
+   * @param {number} expires - Expiry as a Unix timestamp in seconds
+   */
+  sign(key, expires) {
+    return crypto
+      .createHmac('sha256', this.signingSecret)
+      .update(`${key}:${expires}`)
+      .digest('hex');
+  }
+
+  /**
+   * Copy a file into storage and return a signed URL for it
+   * @param {string} filePath - Local file path
+   * @param {string} filename - Name to store the file under
+   * @returns {Promise<{key: string, url: string}>}
+   */
+  async save(filePath, filename) {
+    const key = path.basename(filename);
+    await fs.ensureDir(this.dir);
+    await fs.copy(filePath, path.join(this.dir, key));
+
+    const expires = Math.floor(Date.now() / 1000) + this.urlTtl;
+    const url = `${this.publicUrl}/api/files/${encodeURIComponent(key)}` +
+      `?expires=${expires}&signature=${this.sign(key, expires)}`;
+
+    Logger.info('Video stored on local disk', { key, expires });
+    return { key, url };
+  }
+
+  /**
+   * Resolve a signed request to a file path
+   * @param {string} key - Stored file key
+   * @param {string|number} expires - Expiry from the URL
+   * @param {string} signature - Signature from the URL
+   * @returns {string|null} - Absolute file path, or null if the URL is invalid or expired
+   */
+  resolveSignedPath(key, expires, signature) {
+    const expiresAt = parseInt(expires);
+    if (!key || key !== path.basename(key) || !expiresAt || !signature) {
+      return null;
+    }
+
+    if (expiresAt < Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.sign(key, expiresAt));
+    const provided = Buffer.from(String(signature));
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      return null;
+    }
+
+    return path.resolve(this.dir, key);
+  }
+
+  /**
+   * Delete stored files whose URLs have expired
+   */
+  async cleanupExpired() {
+    if (!(await fs.pathExists(this.dir))) {
+      return;
+    }
+
+    const maxAge = this.urlTtl * 1000;
+    const now = Date.now();
+    for (const file of await fs.readdir(this.dir)) {
+      const filePath = path.join(this.dir, file);
+      const stats = await fs.stat(filePath);
+      if (now - stats.mtimeMs > maxAge) {
+        await fs.remove(filePath);
+        Logger.info('Removed expired stored video', { file });
+      }
+    }
+  }
+}
+
+module.exports = LocalDiskStorage;
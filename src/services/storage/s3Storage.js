@@ -0,0 +1,74 @@
+const fs = require('fs-extra');
+const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const Logger = require('../../utils/logger');
+
+/**
+ * Storage backend for S3-compatible object storage (AWS S3, MinIO, R2, ...)
+ * Objects stay private; Airtable gets a presigned, expiring GET URL
+ */
+class S3Storage {
+  /**
+   * @param {Object} options
+   * @param {string} options.bucket - Bucket name
+   * @param {string} options.region - Region (any value works for MinIO)
+   * @param {string} options.endpoint - Custom endpoint for non-AWS providers
+   * @param {string} options.accessKeyId - Access key
+   * @param {string} options.secretAccessKey - Secret key
+   * @param {boolean} options.forcePathStyle - Use path-style URLs (MinIO)
+   * @param {string} options.prefix - Key prefix for stored videos
+   * @param {number} options.urlTtl - Presigned URL lifetime in seconds
+   */
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix, urlTtl }) {
+    if (!bucket) {
+      throw new Error('S3_BUCKET is required for the s3 storage backend');
+    }
+
+    this.name = 's3';
+    this.bucket = bucket;
+    this.prefix = prefix || '';
+    this.urlTtl = urlTtl;
+    this.client = new S3Client({
+      region,
+      endpoint: endpoint || undefined,
+      forcePathStyle,
+      credentials: accessKeyId && secretAccessKey
+        ? { accessKeyId, secretAccessKey }
+        : undefined,
+    });
+  }
+
+  /**
+   * Upload a file and return a presigned URL for it
+   * @param {string} filePath - Local file path
+   * @param {string} filename - Name to store the file under
+   * @returns {Promise<{key: string, url: string}>}
+   */
+  async save(filePath, filename) {
+    const key = `${this.prefix}${filename}`;
+    Logger.info('Uploading video to S3', { bucket: this.bucket, key });
+
+    // Multipart upload streams the file instead of buffering it
+    const upload = new Upload({
+      client: this.client,
+      params: {
+        Bucket: this.bucket,
+        Key: key,
+        Body: fs.createReadStream(filePath),
+        ContentType: 'video/mp4',
+      },
+    });
+    await upload.done();
+
+    const url = await getSignedUrl(
+      this.client,
+      new GetObjectCommand({ Bucket: this.bucket, Key: key }),
+      { expiresIn: this.urlTtl }
+    );
+
+    return { key, url };
+  }
+}
+
+module.exports = S3Storage;
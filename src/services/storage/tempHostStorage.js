@@ -0,0 +1,106 @@
+const fs = require('fs-extra');
+const FormData = require('form-data');
+const axios = require('axios');
+const Logger = require('../../utils/logger');
+
+/**
+ * Storage backend that uploads to anonymous public temp hosts
+ * Public, short-lived and outside our control - only used when explicitly
+ * selected with STORAGE_BACKEND=temphost
+ */
+class TempHostStorage {
+  constructor() {
+    this.name = 'temphost';
+  }
+
+  /**
+   * Build a multipart form that streams the file from disk
+   * @param {string} filePath - Local file path
+   * @param {string} filename - Filename to upload as
+   */
+  async buildForm(filePath, filename) {
+    const { size } = await fs.stat(filePath);
+    const formData = new FormData();
+    formData.append('file', fs.createReadStream(filePath), {
+      filename,
+      contentType: 'video/mp4',
+      knownLength: size,
+    });
+    return formData;
+  }
+
+  /**
+   * Upload file to temporary public host with fallback options
+   * @param {string} filePath - Local file path
+   * @param {string} filename - Filename
+   * @returns {Promise<{key: string, url: string}>}
+   */
+  async save(filePath, filename) {
+    // Try multiple services in order of reliability
+    const services = [
+      {
+        name: '0x0.st',
+        upload: async () => {
+          const formData = await this.buildForm(filePath, filename);
+          const response = await axios.post('https://0x0.st', formData, {
+            headers: formData.getHeaders(),
+            maxContentLength: Infinity,
+            maxBodyLength: Infinity,
+          });
+          return response.data.trim(); // URL is in plain text
+        },
+      },
+      {
+        name: 'tmpfiles.org',
+        upload: async () => {
+          const formData = await this.buildForm(filePath, filename);
+          const response = await axios.post('https://tmpfiles.org/api/v1/upload', formData, {
+            headers: formData.getHeaders(),
+            maxContentLength: Infinity,
+            maxBodyLength: Infinity,
+          });
+          if (response.data.status === 'success') {
+            // tmpfiles returns URL in format: {"data":{"url":"https://tmpfiles.org/123/file.mp4"}}
+            return response.data.data.url.replace('tmpfiles.org/', 'tmpfiles.org/dl/');
+          }
+          throw new Error('tmpfiles.org upload failed');
+        },
+      },
+      {
+        name: 'file.io',
+        upload: async () => {
+          const formData = await this.buildForm(filePath, filename);
+          const response = await axios.post('https://file.io', formData, {
+            headers: formData.getHeaders(),
+            maxContentLength: Infinity,
+            maxBodyLength: Infinity,
+          });
+          if (response.data.success) {
+            return response.data.link;
+          }
+          throw new Error('file.io upload failed');
+        },
+      },
+    ];
+
+    // Try each service until one succeeds
+    for (const service of services) {
+      try {
+        Logger.info(`Attempting upload to ${service.name}`, { filename });
+        const url = await service.upload();
+        Logger.info(`Successfully uploaded to ${service.name}`, { key: filename });
+        return { key: filename, url };
+      } catch (error) {
+        Logger.warn(`Failed to upload to ${service.name}`, {
+          error: error.message,
+        });
+        // Continue to next service
+      }
+    }
+
+    // If all services fail
+    throw new Error('All temporary hosting services failed');
+  }
+}
+
+module.exports = TempHostStorage;
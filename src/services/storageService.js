@@ -0,0 +1,97 @@
+const config = require('../config/config');
+const metricsService = require('./metricsService');
+const Logger = require('../utils/logger');
+const S3Storage = require('./storage/s3Storage');
+const LocalDiskStorage = require('./storage/localDiskStorage');
+const TempHostStorage = require('./storage/tempHostStorage');
+
+/**
+ * Factories for the built-in storage backends, keyed by STORAGE_BACKEND value
+ */
+const backendFactories = {
+  s3: () => new S3Storage({ ...config.storage.s3, urlTtl: config.storage.urlTtl }),
+  local: () =>
+    new LocalDiskStorage({
+      ...config.storage.local,
+      publicUrl: config.publicUrl,
+      signingSecret: config.storage.signingSecret,
+      urlTtl: config.storage.urlTtl,
+    }),
+  temphost: () => new TempHostStorage(),
+};
+
+/**
+ * Service for storing finished videos and producing the URL Airtable ingests
+ * A backend is any object with `name` and `save(filePath, filename)`
+ */
+class StorageService {
+  constructor() {
+    this.backendName = config.storage.backend;
+    this.backend = null;
+  }
+
+  /**
+   * Replace the active backend (e.g. with a custom adapter)
+   * @param {Object} backend - Object implementing save(filePath, filename)
+   */
+  setBackend(backend) {
+    this.backend = backend;
+    this.backendName = backend.name;
+  }
+
+  /**
+   * Get the active backend, creating it lazily from config
+   */
+  getBackend() {
+    if (!this.backend) {
+      const factory = backendFactories[this.backendName];
+      if (!factory) {
+        throw new Error(`Unknown storage backend: ${this.backendName}`);
+      }
+      this.backend = factory();
+      Logger.info('Storage backend initialized', { backend: this.backendName });
+    }
+
+    return this.backend;
+  }
+
+  /**
+   * Store a finished video
+   * @param {string} filePath - Local file path
+   * @param {string} filename - Name to store the file under
+   * @returns {Promise<{key: string, url: string}>} - Stored key and a URL Airtable can fetch
+   */
+  async save(filePath, filename) {
+    try {
+      return await this.getBackend().save(filePath, filename);
+    } catch (error) {
+      Logger.error('Error storing video', error);
+      metricsService.recordUpstreamError(this.backendName, 'save');
+      throw new Error(`Failed to store video (${this.backendName}): ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve a signed local-disk URL to a file path
+   * @returns {string|null} - File path, or null if invalid, expired or not using local storage
+   */
+  resolveSignedPath(key, expires, signature) {
+    const backend = this.getBackend();
+    if (typeof backend.resolveSignedPath !== 'function') {
+      return null;
+    }
+    return backend.resolveSignedPath(key, expires, signature);
+  }
+
+  /**
+   * Remove expired files for backends that keep them locally
+   */
+  async cleanupExpired() {
+    const backend = this.getBackend();
+    if (typeof backend.cleanupExpired === 'function') {
+      await backend.cleanupExpired();
+    }
+  }
+}
+
+module.exports = new StorageService();
@@ -0,0 +1,115 @@
+const fs = require('fs-extra');
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+const Logger = require('../../utils/logger');
+
+const WRITE_DELAY = 100; // ms to wait for more writes before persisting
+
+/**
+ * Memory store that is persisted to a local JSON file shortly after every write
+ * Survives restarts, for local development and single-instance deployments
+ */
+class FileStore extends MemoryStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - JSON file to persist to
+   */
+  constructor({ filePath }) {
+    super();
+    this.name = 'file';
+    this.filePath = filePath;
+    this.load();
+  }
+
+  /**
+   * Load entries saved by a previous run
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const saved = fs.readJsonSync(this.filePath);
+      for (const [key, entry] of Object.entries(saved)) {
+        if (entry.members) {
+          this.entries.set(key, { members: new Set(entry.members) });
+        } else if (entry.zset) {
+          this.entries.set(key, { ...entry, zset: new Map(Object.entries(entry.zset)) });
+        } else {
+          this.entries.set(key, entry);
+        }
+      }
+      Logger.info('Job store loaded from file', { filePath: this.filePath, keys: this.entries.size });
+    } catch (error) {
+      Logger.error('Could not read job store file, starting empty', {
+        filePath: this.filePath,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Schedule a write of all entries
+   * Writes within WRITE_DELAY of each other are coalesced into one
+   */
+  async changed() {
+    if (!this.writeTimer) {
+      this.writeTimer = setTimeout(() => {
+        this.writeTimer = null;
+        this.persist();
+      }, WRITE_DELAY);
+    }
+  }
+
+  /**
+   * Write any scheduled changes now and wait until they are on disk
+   */
+  async flush() {
+    if (this.writeTimer) {
+      clearTimeout(this.writeTimer);
+      this.writeTimer = null;
+      this.persist();
+    }
+    await this.writing;
+  }
+
+  /**
+   * Write all live entries to disk, one write at a time
+   * @returns {Promise<void>} - Resolves once this write (and any before it) finished
+   */
+  persist() {
+    this.writing = (this.writing || Promise.resolve()).then(() => this.write());
+    return this.writing;
+  }
+
+  /**
+   * Write all live entries to disk
+   * Writes a temp file and renames it so a crash never leaves a half-written store
+   */
+  async write() {
+    this.sweepExpired();
+
+    const data = {};
+    for (const [key, entry] of this.entries) {
+      if (entry.members) {
+        data[key] = { members: [...entry.members] };
+      } else if (entry.zset) {
+        data[key] = { ...entry, zset: Object.fromEntries(entry.zset) };
+      } else {
+        data[key] = entry;
+      }
+    }
+
+    const tempPath = `${this.filePath}.tmp`;
+    try {
+      await fs.ensureDir(path.dirname(this.filePath));
+      await fs.writeJson(tempPath, data);
+      await fs.rename(tempPath, this.filePath);
+    } catch (error) {
+      Logger.error('Could not write job store file', { filePath: this.filePath, error: error.message });
+    }
+  }
+}
+
+module.exports = FileStore;
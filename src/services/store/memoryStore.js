@@ -0,0 +1,304 @@
+const SWEEP_INTERVAL = 60000; // ms between sweeps of expired keys
+
+/**
+ * In-process key-value store implementing the subset of the Upstash Redis
+ * client used by RedisService (strings with TTL, counters, sets, hashes, sorted sets, NX locks)
+ * Data is lost when the process exits
+ */
+class MemoryStore {
+  constructor() {
+    this.name = 'memory';
+    // key -> { value, expiresAt } for strings, { members: Set } for sets,
+    // { hash: Object, expiresAt } for hashes, { zset: Map(member -> score), expiresAt } for sorted sets
+    this.entries = new Map();
+
+    // Expired keys nobody reads again would otherwise stay in memory (and on disk) forever
+    this.sweepTimer = setInterval(() => this.sweepExpired(), SWEEP_INTERVAL);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Drop every entry whose TTL has passed
+   * @returns {number} - Number of entries removed
+   */
+  sweepExpired() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt && entry.expiresAt <= now) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Get a live entry, dropping it if its TTL has passed
+   * @param {string} key - Key
+   */
+  getEntry(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  /**
+   * Called after every write; overridden by durable stores
+   */
+  async changed() {}
+
+  /**
+   * Wait for pending writes to be persisted; overridden by durable stores
+   */
+  async flush() {}
+
+  /**
+   * Get a string value
+   * @param {string} key - Key
+   */
+  async get(key) {
+    const entry = this.getEntry(key);
+    return entry && 'value' in entry ? entry.value : null;
+  }
+
+  /**
+   * Set a string value
+   * @param {string} key - Key
+   * @param {*} value - Value
+   * @param {Object} options - { ex: seconds, nx: only set if missing }
+   * @returns {Promise<string|null>} - 'OK', or null when nx prevented the write
+   */
+  async set(key, value, { ex, nx } = {}) {
+    if (nx && this.getEntry(key)) {
+      return null;
+    }
+
+    this.entries.set(key, {
+      value,
+      expiresAt: ex ? Date.now() + ex * 1000 : null,
+    });
+    await this.changed();
+    return 'OK';
+  }
+
+  /**
+   * Increment an integer string value, starting from 0 (keeps the TTL)
+   * @returns {Promise<number>} - New value
+   */
+  async incr(key) {
+    const entry = this.getEntry(key) || { value: '0', expiresAt: null };
+    entry.value = String((parseInt(entry.value) || 0) + 1);
+    this.entries.set(key, entry);
+    await this.changed();
+    return parseInt(entry.value);
+  }
+
+  /**
+   * Decrement an integer string value, starting from 0 (keeps the TTL)
+   * @returns {Promise<number>} - New value
+   */
+  async decr(key) {
+    const entry = this.getEntry(key) || { value: '0', expiresAt: null };
+    entry.value = String((parseInt(entry.value) || 0) - 1);
+    this.entries.set(key, entry);
+    await this.changed();
+    return parseInt(entry.value);
+  }
+
+  /**
+   * Delete keys
+   * @returns {Promise<number>} - Number of keys removed
+   */
+  async del(...keys) {
+    let removed = 0;
+    for (const key of keys) {
+      if (this.entries.delete(key)) {
+        removed++;
+      }
+    }
+    await this.changed();
+    return removed;
+  }
+
+  /**
+   * Count how many of the keys exist
+   */
+  async exists(...keys) {
+    return keys.filter((key) => this.getEntry(key)).length;
+  }
+
+  /**
+   * Set a key's TTL
+   * @returns {Promise<number>} - 1 if the key exists, 0 otherwise
+   */
+  async expire(key, seconds) {
+    const entry = this.getEntry(key);
+    if (!entry) {
+      return 0;
+    }
+
+    entry.expiresAt = Date.now() + seconds * 1000;
+    await this.changed();
+    return 1;
+  }
+
+  /**
+   * Set fields of a hash
+   * @param {string} key - Key
+   * @param {Object} fields - Field values
+   * @returns {Promise<number>} - Number of new fields
+   */
+  async hset(key, fields) {
+    const entry = this.getEntry(key) || { hash: {}, expiresAt: null };
+    const added = Object.keys(fields).filter((field) => !(field in entry.hash)).length;
+    Object.assign(entry.hash, fields);
+    this.entries.set(key, entry);
+    await this.changed();
+    return added;
+  }
+
+  /**
+   * Set a hash field only if it does not exist yet
+   * @returns {Promise<number>} - 1 if the field was set, 0 if it already existed
+   */
+  async hsetnx(key, field, value) {
+    const entry = this.getEntry(key) || { hash: {}, expiresAt: null };
+    if (field in entry.hash) {
+      return 0;
+    }
+
+    entry.hash[field] = value;
+    this.entries.set(key, entry);
+    await this.changed();
+    return 1;
+  }
+
+  /**
+   * Delete fields of a hash
+   * @returns {Promise<number>} - Number of fields removed
+   */
+  async hdel(key, ...fields) {
+    const entry = this.getEntry(key);
+    if (!entry) {
+      return 0;
+    }
+
+    const removed = fields.filter((field) => field in entry.hash);
+    removed.forEach((field) => delete entry.hash[field]);
+    await this.changed();
+    return removed.length;
+  }
+
+  /**
+   * Get all fields of a hash
+   * @returns {Promise<Object|null>} - Fields, or null if the key does not exist
+   */
+  async hgetall(key) {
+    const entry = this.getEntry(key);
+    return entry && entry.hash ? { ...entry.hash } : null;
+  }
+
+  /**
+   * Add members to a set
+   * @returns {Promise<number>} - Number of new members
+   */
+  async sadd(key, ...members) {
+    const entry = this.getEntry(key) || { members: new Set() };
+    const before = entry.members.size;
+    members.forEach((member) => entry.members.add(member));
+    this.entries.set(key, entry);
+    await this.changed();
+    return entry.members.size - before;
+  }
+
+  /**
+   * Remove members from a set
+   * @returns {Promise<number>} - Number of members removed
+   */
+  async srem(key, ...members) {
+    const entry = this.getEntry(key);
+    if (!entry) {
+      return 0;
+    }
+
+    const removed = members.filter((member) => entry.members.delete(member)).length;
+    await this.changed();
+    return removed;
+  }
+
+  /**
+   * List the members of a set
+   */
+  async smembers(key) {
+    const entry = this.getEntry(key);
+    return entry ? [...entry.members] : [];
+  }
+
+  /**
+   * Add members to a sorted set (or update their scores)
+   * @param {string} key - Key
+   * @param {...{score: number, member: string}} items - Members with scores
+   * @returns {Promise<number>} - Number of new members
+   */
+  async zadd(key, ...items) {
+    const entry = this.getEntry(key) || { zset: new Map(), expiresAt: null };
+    const before = entry.zset.size;
+    items.forEach(({ score, member }) => entry.zset.set(member, score));
+    this.entries.set(key, entry);
+    await this.changed();
+    return entry.zset.size - before;
+  }
+
+  /**
+   * Remove members from a sorted set
+   * @returns {Promise<number>} - Number of members removed
+   */
+  async zrem(key, ...members) {
+    const entry = this.getEntry(key);
+    if (!entry) {
+      return 0;
+    }
+
+    const removed = members.filter((member) => entry.zset.delete(member)).length;
+    await this.changed();
+    return removed;
+  }
+
+  /**
+   * Number of members in a sorted set
+   * @returns {Promise<number>}
+   */
+  async zcard(key) {
+    const entry = this.getEntry(key);
+    return entry ? entry.zset.size : 0;
+  }
+
+  /**
+   * Members of a sorted set, ordered by score
+   * Only the score-range form is supported: zrange(key, min, max, { byScore: true })
+   * @returns {Promise<string[]>}
+   */
+  async zrange(key, min, max, { byScore } = {}) {
+    if (!byScore) {
+      throw new Error('MemoryStore.zrange only supports { byScore: true }');
+    }
+
+    const entry = this.getEntry(key);
+    if (!entry) {
+      return [];
+    }
+
+    const low = min === '-inf' ? -Infinity : Number(min);
+    const high = max === '+inf' ? Infinity : Number(max);
+    return [...entry.zset]
+      .filter(([, score]) => score >= low && score <= high)
+      .sort((a, b) => a[1] - b[1])
+      .map(([member]) => member);
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,193 @@
+const fs = require('fs-extra');
+const config = require('../config/config');
+const Logger = require('../utils/logger');
+const { AirtableService } = require('./airtableService');
+const { SoraService } = require('./soraService');
+
+const DEFAULT_TENANT = 'default';
+
+/**
+ * Replace "env:NAME" values with the named environment variable
+ * Keeps secrets out of the tenants file
+ * @param {Object} settings - Tenant settings section
+ */
+function resolveEnvRefs(settings = {}) {
+  const resolved = {};
+  for (const [key, value] of Object.entries(settings)) {
+    resolved[key] = typeof value === 'string' && value.startsWith('env:')
+      ? process.env[value.slice(4)]
+      : value;
+  }
+  return resolved;
+}
+
+/**
+ * Error for a tenant section without an API key, naming the unset variable if any
+ * @param {string} tenantId - Tenant ID
+ * @param {string} section - "airtable" or "sora"
+ * @param {Object} definition - Entry from the tenants file
+ */
+function missingApiKey(tenantId, section, definition) {
+  const label = section === 'sora' ? 'Sora' : 'Airtable';
+  const reference = definition[section]?.apiKey;
+  return typeof reference === 'string' && reference.startsWith('env:')
+    ? `Tenant "${tenantId}" has no ${label} API key (${reference.slice(4)} is not set)`
+    : `Tenant "${tenantId}" has no ${section}.apiKey`;
+}
+
+/**
+ * Check a tenants-file entry before it is used
+ * @param {string} tenantId - Tenant ID
+ * @param {Object} definition - Entry from the tenants file
+ * @param {Object} settings - Airtable and Sora settings with env references resolved
+ * @returns {string|null} - Error message or null when valid
+ */
+function validateTenant(tenantId, definition, { airtable, sora }) {
+  if (tenantId === DEFAULT_TENANT) {
+    return `Tenant "${DEFAULT_TENANT}" is reserved for the env-configured settings`;
+  }
+
+  if (!airtable.apiKey) {
+    return missingApiKey(tenantId, 'airtable', definition);
+  }
+
+  // Tenants never fall back to the default Sora account, which would be billed for their videos
+  if (!sora.apiKey) {
+    return missingApiKey(tenantId, 'sora', definition);
+  }
+
+  return null;
+}
+
+/**
+ * Service for resolving tenants to their Airtable and Sora settings
+ * Clients are created lazily per tenant, so a misconfigured tenant only
+ * fails its own requests
+ */
+class TenantService {
+  constructor() {
+    this.tenants = null;
+    this.airtableServices = new Map();
+    this.soraServices = new Map();
+  }
+
+  /**
+   * Load tenant definitions (env config as "default" plus the tenants file)
+   * @returns {Object} - Tenant settings keyed by tenant ID
+   */
+  loadTenants() {
+    if (this.tenants) {
+      return this.tenants;
+    }
+
+    const tenants = {
+      [DEFAULT_TENANT]: { airtable: config.airtable, sora: config.sora },
+    };
+
+    if (config.tenants.configPath) {
+      try {
+        const definitions = fs.readJsonSync(config.tenants.configPath);
+        for (const [tenantId, definition] of Object.entries(definitions)) {
+          const settings = {
+            airtable: resolveEnvRefs(definition.airtable),
+            sora: resolveEnvRefs(definition.sora),
+          };
+          const invalid = validateTenant(tenantId, definition, settings);
+          if (invalid) {
+            // Only this tenant is left out; its requests get "unknown tenant"
+            Logger.error('Invalid tenant in tenants file, skipping it', {
+              path: config.tenants.configPath,
+              tenantId,
+              error: invalid,
+            });
+            continue;
+          }
+
+          tenants[tenantId] = settings;
+        }
+        Logger.info('Tenants loaded', { tenants: Object.keys(tenants) });
+      } catch (error) {
+        // The default tenant keeps working from env config
+        Logger.error('Could not load tenants file', {
+          path: config.tenants.configPath,
+          error: error.message,
+        });
+      }
+    }
+
+    this.tenants = tenants;
+    return tenants;
+  }
+
+  /**
+   * Normalize a tenant ID, falling back to the default tenant
+   * @param {string} tenantId - Tenant ID from a request or job
+   */
+  resolveTenantId(tenantId) {
+    return tenantId || DEFAULT_TENANT;
+  }
+
+  /**
+   * Check whether a tenant is configured
+   * @param {string} tenantId - Tenant ID
+   */
+  hasTenant(tenantId) {
+    return Object.prototype.hasOwnProperty.call(this.loadTenants(), this.resolveTenantId(tenantId));
+  }
+
+  /**
+   * IDs of all configured tenants
+   * @returns {string[]}
+   */
+  getTenantIds() {
+    return Object.keys(this.loadTenants());
+  }
+
+  /**
+   * Get a tenant's settings
+   * @param {string} tenantId - Tenant ID
+   */
+  getTenant(tenantId) {
+    const id = this.resolveTenantId(tenantId);
+    const tenant = this.loadTenants()[id];
+    if (!tenant) {
+      throw new Error(`Unknown tenant: ${id}`);
+    }
+    return tenant;
+  }
+
+  /**
+   * Get the Airtable client for a tenant
+   * @param {string} tenantId - Tenant ID
+   * @returns {AirtableService}
+   */
+  getAirtableService(tenantId) {
+    const id = this.resolveTenantId(tenantId);
+    if (!this.airtableServices.has(id)) {
+      const { airtable } = this.getTenant(id);
+      this.airtableServices.set(id, id === DEFAULT_TENANT
+        ? require('./airtableService')
+        : new AirtableService(airtable));
+    }
+    return this.airtableServices.get(id);
+  }
+
+  /**
+   * Get the Sora client for a tenant
+   * @param {string} tenantId - Tenant ID
+   * @returns {SoraService}
+   */
+  getSoraService(tenantId) {
+    const id = this.resolveTenantId(tenantId);
+    if (!this.soraServices.has(id)) {
+      const { sora } = this.getTenant(id);
+      this.soraServices.set(id, id === DEFAULT_TENANT
+        ? require('./soraService')
+        : new SoraService(sora));
+    }
+    return this.soraServices.get(id);
+  }
+}
+
+module.exports = new TenantService();
+module.exports.DEFAULT_TENANT = DEFAULT_TENANT;
@@ -0,0 +1,51 @@
+const fs = require('fs-extra');
+const OpenAI = require('openai');
+const Logger = require('../../utils/logger');
+
+/**
+ * TTS provider backed by OpenAI's speech endpoint
+ */
+class OpenAITtsProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiKey - OpenAI API key
+   * @param {string} options.model - Speech model (e.g. 'tts-1')
+   * @param {string} options.voice - Voice name (e.g. 'alloy')
+   */
+  constructor({ apiKey, model, voice }) {
+    if (!apiKey) {
+      throw new Error('OPENAI_API_KEY is required for the openai TTS provider');
+    }
+
+    this.name = 'openai';
+    this.model = model;
+    this.voice = voice;
+    this.client = new OpenAI({ apiKey });
+  }
+
+  /**
+   * Synthesize text to an audio file
+   * @param {string} text - Text to speak
+   * @param {string} outputPath - Path to write the audio file (.mp3)
+   * @returns {Promise<string>} - Path to the audio file
+   */
+  async synthesize(text, outputPath) {
+    Logger.info('Synthesizing voiceover with OpenAI', {
+      model: this.model,
+      voice: this.voice,
+      outputPath,
+    });
+
+    const response = await this.client.audio.speech.create({
+      model: this.model,
+      voice: this.voice,
+      input: text,
+      response_format: 'mp3',
+    });
+
+    await fs.writeFile(outputPath, Buffer.from(await response.arrayBuffer()));
+    return outputPath;
+  }
+}
+
+module.exports = OpenAITtsProvider;
@@ -0,0 +1,52 @@
+const ffmpeg = require('fluent-ffmpeg');
+const Logger = require('../../utils/logger');
+
+// Roughly natural speaking pace, used to size the placeholder audio
+const WORDS_PER_SECOND = 2.5;
+
+/**
+ * Offline TTS provider for local development and tests
+ * Renders a quiet tone lasting as long as the text would take to speak,
+ * so timing and mixing can be checked without calling a paid API
+ */
+class StubTtsProvider {
+  constructor() {
+    this.name = 'stub';
+  }
+
+  /**
+   * Estimate how long the text would take to speak
+   * @param {string} text - Text to speak
+   * @returns {number} - Duration in seconds
+   */
+  estimateDuration(text) {
+    const words = text.trim().split(/\s+/).filter(Boolean).length;
+    return Math.max(1, words / WORDS_PER_SECOND);
+  }
+
+  /**
+   * Synthesize placeholder audio for text
+   * @param {string} text - Text to speak
+   * @param {string} outputPath - Path to write the audio file (.mp3)
+   * @returns {Promise<string>} - Path to the audio file
+   */
+  async synthesize(text, outputPath) {
+    const duration = this.estimateDuration(text);
+    Logger.info('Synthesizing stub voiceover', { duration, outputPath });
+
+    return new Promise((resolve, reject) => {
+      ffmpeg()
+        .input(`sine=frequency=440:duration=${duration}`)
+        .inputOptions(['-f', 'lavfi'])
+        .audioFilters('volume=0.2')
+        .outputOptions(['-c:a', 'libmp3lame'])
+        .on('end', () => resolve(outputPath))
+        .on('error', (error) =>
+          reject(new Error(`Failed to synthesize stub voiceover: ${error.message}`))
+        )
+        .save(outputPath);
+    });
+  }
+}
+
+module.exports = StubTtsProvider;
@@ -0,0 +1,76 @@
+const path = require('path');
+const config = require('../config/config');
+const metricsService = require('./metricsService');
+const Logger = require('../utils/logger');
+const OpenAITtsProvider = require('./tts/openaiTtsProvider');
+const StubTtsProvider = require('./tts/stubTtsProvider');
+
+/**
+ * Factories for the built-in TTS providers, keyed by TTS_PROVIDER value
+ */
+const providerFactories = {
+  openai: () =>
+    new OpenAITtsProvider({
+      apiKey: config.openaiApiKey,
+      model: config.tts.model,
+      voice: config.tts.voice,
+    }),
+  stub: () => new StubTtsProvider(),
+};
+
+/**
+ * Service for synthesizing voiceovers through a pluggable TTS provider
+ * A provider is any object with `name` and `synthesize(text, outputPath)`
+ */
+class TtsService {
+  constructor() {
+    this.tempDir = config.video.tempDir;
+    this.providerName = config.tts.provider;
+    this.provider = null;
+  }
+
+  /**
+   * Replace the active provider (e.g. with a custom adapter)
+   * @param {Object} provider - Object implementing synthesize(text, outputPath)
+   */
+  setProvider(provider) {
+    this.provider = provider;
+    this.providerName = provider.name;
+  }
+
+  /**
+   * Get the active provider, creating it lazily from config
+   */
+  getProvider() {
+    if (!this.provider) {
+      const factory = providerFactories[this.providerName];
+      if (!factory) {
+        throw new Error(`Unknown TTS provider: ${this.providerName}`);
+      }
+      this.provider = factory();
+      Logger.info('TTS provider initialized', { provider: this.providerName });
+    }
+
+    return this.provider;
+  }
+
+  /**
+   * Synthesize a voiceover into the temp directory
+   * @param {string} text - Voiceover text
+   * @param {string} filename - Output filename
+   * @returns {Promise<string>} - Path to the audio file
+   */
+  async synthesize(text, filename) {
+    const outputPath = path.join(this.tempDir, filename);
+
+    try {
+      return await this.getProvider().synthesize(text, outputPath);
+    } catch (error) {
+      Logger.error('Error synthesizing voiceover', error);
+      metricsService.recordUpstreamError(this.providerName, 'synthesize');
+      throw new Error(`Failed to synthesize voiceover: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new TtsService();
@@ -1,10 +1,33 @@
 const axios = require('axios');
+const { execFile } = require('child_process');
 const fs = require('fs-extra');
 const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const ffmpeg = require('fluent-ffmpeg');
 const config = require('../config/config');
+const ttsService = require('./ttsService');
+const overlayService = require('./overlayService');
+const metricsService = require('./metricsService');
 const Logger = require('../utils/logger');
 
+const TRANSITION_TYPES = ['none', 'crossfade', 'dip'];
+
+// Connection failures worth another download attempt
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ECONNABORTED'];
+
+/**
+ * Error from a download attempt, flagged with whether retrying can help
+ * @param {string} message - Error message
+ * @param {boolean} retryable - Whether another attempt may succeed
+ * @returns {Error}
+ */
+function downloadError(message, retryable) {
+  const error = new Error(message);
+  error.retryable = retryable;
+  return error;
+}
+
 /**
  * Service for video download and stitching operations
  * Optimized for Railway's memory constraints to prevent SIGKILL
@@ -36,69 +59,427 @@ class VideoService {
   }
 
   /**
-   * Download video from URL
+   * Whether a video URL is https and on an allowed host (config.video.allowedHosts)
    * @param {string} url - Video URL
+   * @returns {boolean}
+   */
+  isAllowedUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return false;
+    }
+
+    const host = parsed.hostname.toLowerCase();
+    return parsed.protocol === 'https:' && config.video.allowedHosts.some(
+      (allowed) => host === allowed || host.endsWith(`.${allowed}`)
+    );
+  }
+
+  /**
+   * Download video from URL
+   * Failed attempts are retried with backoff when the host errored (5xx), the
+   * connection dropped or stalled, or the body was truncated; the file must
+   * pass an ffprobe check before it is returned
+   * @param {string} url - Video URL (must pass isAllowedUrl, redirects included)
    * @param {string} filename - Output filename
    * @returns {Promise<string>} - Local file path
    */
   async downloadVideo(url, filename) {
     const filePath = path.join(this.tempDir, filename);
+    const { maxAttempts, backoff } = config.video.download;
+    const endTimer = metricsService.startStage('download');
 
     try {
-      Logger.info('Downloading video', { url, filePath });
+      if (!this.isAllowedUrl(url)) {
+        throw new Error(`Video host not allowed: ${url}`);
+      }
+
+      for (let attempt = 1; ; attempt++) {
+        Logger.info('Downloading video', { url, filePath, attempt });
+
+        try {
+          const bytes = await this.fetchToFile(url, filePath);
+          await this.verifyDownload(filePath);
+
+          Logger.info('Video downloaded successfully', { filePath, bytes });
+          endTimer();
+          return filePath;
+        } catch (error) {
+          // Never leave a partial file behind for stitching
+          await fs.remove(filePath).catch(() => {});
+
+          if (!error.retryable || attempt >= maxAttempts) {
+            throw error;
+          }
+
+          const delay = backoff[Math.min(attempt - 1, backoff.length - 1)];
+          Logger.warn('Video download failed, retrying', { url, attempt, delay, error: error.message });
+          await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+      }
+    } catch (error) {
+      Logger.error('Error downloading video', error);
+      metricsService.recordUpstreamError('video_host', 'download');
+      throw new Error(`Failed to download video: ${error.message}`);
+    }
+  }
 
-      const response = await axios({
+  /**
+   * Stream one download attempt to a file
+   * Enforces the connect and idle timeouts, the Content-Type list, the size
+   * cap and the Content-Length; thrown errors carry a `retryable` flag
+   * @param {string} url - Video URL
+   * @param {string} filePath - Destination path
+   * @returns {Promise<number>} - Bytes written
+   */
+  async fetchToFile(url, filePath) {
+    const { connectTimeout, idleTimeout, maxBytes, allowedTypes } = config.video.download;
+    const controller = new AbortController();
+    const connectTimer = setTimeout(() => controller.abort(), connectTimeout);
+
+    let response;
+    try {
+      response = await axios({
         method: 'get',
         url: url,
         responseType: 'stream',
+        signal: controller.signal,
+        // Keep Content-Length comparable to the bytes written
+        headers: { 'Accept-Encoding': 'identity' },
+        beforeRedirect: (options) => {
+          if (!this.isAllowedUrl(options.href)) {
+            throw new Error(`Redirect to video host not allowed: ${options.href}`);
+          }
+        },
       });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw downloadError(`No response within ${connectTimeout}ms`, true);
+      }
+      if (error.response) {
+        error.response.data?.destroy?.();
+        const { status } = error.response;
+        throw downloadError(`Video host returned ${status}`, status >= 500);
+      }
+      throw downloadError(error.message, RETRYABLE_NETWORK_CODES.includes(error.code));
+    } finally {
+      clearTimeout(connectTimer);
+    }
 
-      const writer = fs.createWriteStream(filePath);
+    const body = response.data;
+    const contentType = String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!allowedTypes.includes(contentType)) {
+      body.destroy();
+      throw downloadError(`Unexpected Content-Type: ${contentType || 'none'}`, false);
+    }
 
-      response.data.pipe(writer);
+    const contentLength = response.headers['content-length'];
+    const expectedBytes = contentLength !== undefined ? parseInt(contentLength) : null;
+    if (expectedBytes > maxBytes) {
+      body.destroy();
+      throw downloadError(`Video is ${expectedBytes} bytes, over the ${maxBytes} byte limit`, false);
+    }
 
-      return new Promise((resolve, reject) => {
-        writer.on('finish', () => {
-          Logger.info('Video downloaded successfully', { filePath });
-          resolve(filePath);
-        });
-        writer.on('error', (error) => {
-          Logger.error('Error downloading video', error);
-          reject(error);
-        });
-      });
+    let bytes = 0;
+    let idleTimer;
+    const meter = new Transform({
+      transform(chunk, encoding, callback) {
+        bytes += chunk.length;
+        if (bytes > maxBytes) {
+          return callback(downloadError(`Video is over the ${maxBytes} byte limit`, false));
+        }
+        resetIdleTimer();
+        callback(null, chunk);
+      },
+    });
+    const resetIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => {
+        meter.destroy(downloadError(`No data received for ${idleTimeout}ms`, true));
+      }, idleTimeout);
+    };
+
+    let writeError = null;
+    const writer = fs.createWriteStream(filePath);
+    writer.on('error', (error) => {
+      writeError = error;
+    });
+
+    resetIdleTimer();
+    try {
+      await pipeline(body, meter, writer);
     } catch (error) {
-      Logger.error('Error downloading video', error);
-      throw new Error(`Failed to download video: ${error.message}`);
+      if (writeError) {
+        throw downloadError(`Failed to write video: ${writeError.message}`, false);
+      }
+      if (error.retryable !== undefined) {
+        throw error;
+      }
+      // The connection dropped mid-body
+      throw downloadError(`Download interrupted: ${error.message}`, true);
+    } finally {
+      clearTimeout(idleTimer);
+    }
+
+    if (expectedBytes !== null && bytes !== expectedBytes) {
+      throw downloadError(`Download truncated: received ${bytes} of ${expectedBytes} bytes`, true);
     }
+
+    return bytes;
   }
 
   /**
-   * Stitch two videos together with memory optimization
-   * @param {string} video1Path - Path to first video
-   * @param {string} video2Path - Path to second video
+   * Quick ffprobe check that a downloaded file is a usable video
+   * @param {string} filePath - Downloaded file
+   */
+  async verifyDownload(filePath) {
+    let probe;
+    try {
+      probe = await this.probeMedia(filePath);
+    } catch (error) {
+      throw downloadError(`Downloaded file is not a readable video (${error.message})`, false);
+    }
+
+    if (!probe.video) {
+      throw downloadError('Downloaded file has no video stream', false);
+    }
+    if (!(probe.duration > 0)) {
+      throw downloadError('Downloaded video has no duration', false);
+    }
+  }
+
+  /**
+   * Stitch videos together in order
+   * Uses the fast copy path when segments are stream-compatible and no
+   * transition is requested, otherwise re-encodes to a common profile
+   * @param {string[]} videoPaths - Paths to segment videos, in playback order
    * @param {string} outputFilename - Output filename
+   * @param {Object} options - Stitch options
+   * @param {Object[]} options.probes - probeMedia() results per segment (probed if omitted)
+   * @param {{type: string, duration: number}} options.transition - Transition between segments
+   * @param {AbortSignal} options.signal - Kills ffmpeg when aborted (optional)
    * @returns {Promise<string>} - Path to stitched video
    */
-  async stitchVideos(video1Path, video2Path, outputFilename) {
+  async stitchVideos(videoPaths, outputFilename, options = {}) {
+    const probes = options.probes ||
+      await Promise.all(videoPaths.map((videoPath) => this.probeMedia(videoPath)));
+    const transition = this.resolveTransition(options.transition);
+
+    const missingVideo = probes.findIndex((probe) => !probe.video);
+    if (missingVideo !== -1) {
+      throw new Error(`Segment ${missingVideo + 1} has no video stream`);
+    }
+
+    if (transition.type === 'none' && this.isStreamCompatible(probes)) {
+      return await this.concatCopy(videoPaths, outputFilename, options.signal);
+    }
+
+    Logger.info('Segments need re-encoding before concatenation', {
+      transition,
+      profiles: probes.map((probe) => this.getStreamSignature(probe)),
+    });
+    return await this.concatReencode(videoPaths, probes, outputFilename, transition, options.signal);
+  }
+
+  /**
+   * Merge a per-job transition with the configured default
+   * @param {{type: string, duration: number}} transition - Requested transition
+   */
+  resolveTransition(transition = {}) {
+    const resolved = { ...config.video.transition, ...transition };
+    if (!TRANSITION_TYPES.includes(resolved.type)) {
+      throw new Error(`Unknown transition type: ${resolved.type}`);
+    }
+    return resolved;
+  }
+
+  /**
+   * Shorten a transition that wouldn't fit the segments it joins
+   * A segment can overlap (or fade) into both neighbours, so the transition
+   * may take at most half of the shortest segment
+   * @param {{type: string, duration: number}} transition - Resolved transition
+   * @param {Object[]} probes - probeMedia() results per segment
+   */
+  fitTransition(transition, probes) {
+    const longest = Math.min(...probes.map((probe) => probe.duration).filter(Number.isFinite)) / 2;
+    if (transition.type === 'none' || transition.duration <= longest) {
+      return transition;
+    }
+
+    Logger.warn('Transition longer than the segments allow, shortening it', {
+      requested: transition.duration,
+      duration: longest,
+    });
+    return { ...transition, duration: longest };
+  }
+
+  /**
+   * Summarize the stream parameters that must match for `-c copy` concatenation
+   * @param {Object} probe - probeMedia() result
+   */
+  getStreamSignature({ video, audio }) {
+    return {
+      video: video && [video.codec_name, video.width, video.height, video.pix_fmt, video.r_frame_rate].join('/'),
+      audio: audio ? [audio.codec_name, audio.sample_rate, audio.channels].join('/') : null,
+    };
+  }
+
+  /**
+   * Check whether segments can be concatenated without re-encoding
+   * @param {Object[]} probes - probeMedia() results per segment
+   */
+  isStreamCompatible(probes) {
+    const [first, ...rest] = probes.map((probe) => JSON.stringify(this.getStreamSignature(probe)));
+    return rest.every((signature) => signature === first);
+  }
+
+  /**
+   * Re-encode segments to a common profile and concatenate them,
+   * optionally with crossfade or dip-to-black transitions
+   * Segments without audio get a silent track so every input has one
+   * @param {string[]} videoPaths - Paths to segment videos, in playback order
+   * @param {Object[]} probes - probeMedia() results per segment
+   * @param {string} outputFilename - Output filename
+   * @param {{type: string, duration: number}} requestedTransition - Transition between segments, shortened to fit
+   * @param {AbortSignal} signal - Kills ffmpeg when aborted (optional)
+   * @returns {Promise<string>} - Path to stitched video
+   */
+  async concatReencode(videoPaths, probes, outputFilename, requestedTransition, signal) {
+    const transition = this.fitTransition(requestedTransition, probes);
+    const outputPath = path.join(this.tempDir, outputFilename);
+    // Target the first segment's resolution at the configured frame rate
+    const { width, height } = probes[0].video;
+    const fps = config.video.normalizeFps;
+    const fadeDuration = transition.duration / 2;
+    const filters = [];
+
+    probes.forEach((probe, index) => {
+      const videoChain = [
+        `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+        `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`,
+        'setsar=1',
+        `fps=${fps}`,
+        'format=yuv420p',
+        'settb=AVTB',
+      ];
+      const audioSource = probe.hasAudio
+        ? `[${index}:a]`
+        : `anullsrc=r=44100:cl=stereo,atrim=0:${probe.duration},`;
+      const audioChain = [
+        'aresample=44100',
+        'aformat=sample_fmts=fltp:channel_layouts=stereo',
+        'asetpts=PTS-STARTPTS',
+      ];
+
+      // Dip to black: fade each inner boundary out and back in, without overlap
+      if (transition.type === 'dip') {
+        if (index > 0) {
+          videoChain.push(`fade=t=in:st=0:d=${fadeDuration}`);
+          audioChain.push(`afade=t=in:st=0:d=${fadeDuration}`);
+        }
+        if (index < probes.length - 1) {
+          const fadeStart = Math.max(0, probe.duration - fadeDuration);
+          videoChain.push(`fade=t=out:st=${fadeStart}:d=${fadeDuration}`);
+          audioChain.push(`afade=t=out:st=${fadeStart}:d=${fadeDuration}`);
+        }
+      }
+
+      filters.push(`[${index}:v]${videoChain.join(',')}[v${index}]`);
+      filters.push(`${audioSource}${audioChain.join(',')}[a${index}]`);
+    });
+
+    if (transition.type === 'crossfade') {
+      // Each crossfade overlaps neighbouring segments by the transition duration
+      let videoLabel = '[v0]';
+      let audioLabel = '[a0]';
+      let offset = 0;
+      for (let index = 1; index < probes.length; index++) {
+        offset += probes[index - 1].duration - transition.duration;
+        const isLast = index === probes.length - 1;
+        const nextVideo = isLast ? '[vout]' : `[vx${index}]`;
+        const nextAudio = isLast ? '[aout]' : `[ax${index}]`;
+        filters.push(
+          `${videoLabel}[v${index}]xfade=transition=fade:duration=${transition.duration}:offset=${offset}${nextVideo}`,
+          `${audioLabel}[a${index}]acrossfade=d=${transition.duration}${nextAudio}`
+        );
+        videoLabel = nextVideo;
+        audioLabel = nextAudio;
+      }
+    } else {
+      const inputs = probes.map((probe, index) => `[v${index}][a${index}]`).join('');
+      filters.push(`${inputs}concat=n=${probes.length}:v=1:a=1[vout][aout]`);
+    }
+
+    Logger.info('Stitching videos with re-encode', {
+      videoPaths,
+      outputPath,
+      profile: { width, height, fps },
+      transition,
+    });
+
+    return new Promise((resolve, reject) => {
+      const command = this.killOnAbort(ffmpeg(), signal);
+      videoPaths.forEach((videoPath) => command.input(videoPath));
+
+      command
+        .complexFilter(filters.join(';'))
+        .outputOptions([
+          '-map', '[vout]',
+          '-map', '[aout]',
+          '-c:v', 'libx264',
+          '-preset', 'veryfast',
+          '-crf', '20',
+          '-c:a', 'aac',
+          '-b:a', '192k',
+          '-threads', '2',        // Limit CPU threads to prevent overload
+          '-max_muxing_queue_size', '1024',
+          '-movflags', '+faststart'
+        ])
+        .on('start', (commandLine) => {
+          Logger.debug('FFmpeg re-encode command', { commandLine });
+        })
+        .on('end', () => {
+          Logger.info('Videos stitched successfully (re-encoded)', { outputPath });
+          resolve(outputPath);
+        })
+        .on('error', async (error) => {
+          Logger.error('Error stitching videos with re-encode', error);
+          await fs.remove(outputPath).catch(() => {});
+          reject(new Error(`Failed to stitch videos: ${error.message}`));
+        })
+        .output(outputPath)
+        .run();
+    });
+  }
+
+  /**
+   * Concatenate stream-compatible videos without re-encoding (memory optimized)
+   * @param {string[]} videoPaths - Paths to segment videos, in playback order
+   * @param {string} outputFilename - Output filename
+   * @param {AbortSignal} signal - Kills ffmpeg when aborted (optional)
+   * @returns {Promise<string>} - Path to stitched video
+   */
+  async concatCopy(videoPaths, outputFilename, signal) {
     const outputPath = path.join(this.tempDir, outputFilename);
     const listFilePath = path.join(this.tempDir, `concat_${Date.now()}.txt`);
 
     // Convert to absolute paths (declare outside try for cleanup access)
-    const absoluteVideo1 = path.resolve(video1Path);
-    const absoluteVideo2 = path.resolve(video2Path);
+    const absoluteVideos = videoPaths.map((videoPath) => path.resolve(videoPath));
     const absoluteListFile = path.resolve(listFilePath);
 
     try {
       Logger.info('Stitching videos with memory optimization', {
-        video1Path,
-        video2Path,
+        videoPaths,
         outputPath,
         absoluteListFile
       });
 
       // Create concat list file for ffmpeg (use absolute paths)
-      const concatList = `file '${absoluteVideo1}'\nfile '${absoluteVideo2}'`;
+      const concatList = absoluteVideos
+        .map((videoPath) => `file '${videoPath}'`)
+        .join('\n');
       await fs.writeFile(absoluteListFile, concatList);
 
       Logger.debug('Concat file created', {
@@ -107,7 +488,7 @@ class VideoService {
       });
 
       return new Promise((resolve, reject) => {
-        ffmpeg()
+        this.killOnAbort(ffmpeg(), signal)
           // Use concat protocol (most memory-efficient)
           .input(absoluteListFile)
           .inputOptions([
@@ -156,6 +537,249 @@ class VideoService {
     }
   }
 
+  /**
+   * Check that the ffmpeg and ffprobe binaries run
+   * Uses FFMPEG_PATH / FFPROBE_PATH like fluent-ffmpeg
+   * @returns {Promise<{ffmpeg: string, ffprobe: string}>} - First line of each -version output
+   */
+  async checkBinaries() {
+    const version = (binary) => new Promise((resolve, reject) => {
+      execFile(binary, ['-version'], { timeout: config.health.checkTimeout }, (error, stdout) => {
+        if (error) {
+          return reject(new Error(`${binary} is not available: ${error.message}`));
+        }
+        resolve(stdout.split('\n')[0]);
+      });
+    });
+
+    const [ffmpegVersion, ffprobeVersion] = await Promise.all([
+      version(process.env.FFMPEG_PATH || 'ffmpeg'),
+      version(process.env.FFPROBE_PATH || 'ffprobe'),
+    ]);
+    return { ffmpeg: ffmpegVersion, ffprobe: ffprobeVersion };
+  }
+
+  /**
+   * Free space on the temp directory's disk
+   * @returns {Promise<number>} - Bytes available to this process
+   */
+  async getFreeDiskSpace() {
+    await fs.ensureDir(this.tempDir);
+    const stats = await fs.promises.statfs(this.tempDir);
+    return stats.bavail * stats.bsize;
+  }
+
+  /**
+   * Probe a video or audio file with ffprobe
+   * @param {string} filePath - Path to media file
+   * @returns {Promise<{duration: number, hasAudio: boolean, video: Object|null, audio: Object|null}>}
+   */
+  async probeMedia(filePath) {
+    return new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(filePath, (error, metadata) => {
+        if (error) {
+          Logger.error('Error probing media', { filePath, error: error.message });
+          return reject(new Error(`Failed to probe media: ${error.message}`));
+        }
+
+        const video = metadata.streams.find((stream) => stream.codec_type === 'video') || null;
+        const audio = metadata.streams.find((stream) => stream.codec_type === 'audio') || null;
+
+        resolve({
+          duration: parseFloat(metadata.format.duration) || 0,
+          hasAudio: !!audio,
+          video,
+          audio,
+        });
+      });
+    });
+  }
+
+  /**
+   * Lay voiceovers over a video, each aligned to the start of its segment
+   * In 'mix' mode the original audio is ducked under the voiceovers,
+   * in 'replace' mode (or when the video has no audio) it is dropped
+   * @param {string} videoPath - Path to stitched video
+   * @param {Array<{audioPath: string|null, duration: number}>} tracks - One entry per segment, in order
+   * @param {string} outputFilename - Output filename
+   * @param {AbortSignal} signal - Kills ffmpeg when aborted (optional)
+   * @returns {Promise<string>} - Path to video with voiceover
+   */
+  async addVoiceoverTrack(videoPath, tracks, outputFilename, signal) {
+    const outputPath = path.join(this.tempDir, outputFilename);
+    const { hasAudio } = await this.probeMedia(videoPath);
+    const mixOriginal = config.tts.audioMode === 'mix' && hasAudio;
+    const audioFormat = 'aresample=44100,aformat=sample_fmts=fltp:channel_layouts=stereo';
+
+    // Build one continuous voice track: each voiceover is padded or trimmed to
+    // exactly its segment length so it never bleeds into the next segment
+    const filters = [];
+    let inputIndex = 1;
+    tracks.forEach((track, index) => {
+      if (track.audioPath) {
+        filters.push(
+          `[${inputIndex}:a]${audioFormat},apad,atrim=0:${track.duration},asetpts=PTS-STARTPTS[seg${index}]`
+        );
+        inputIndex++;
+      } else {
+        filters.push(
+          `anullsrc=r=44100:cl=stereo,${audioFormat},atrim=0:${track.duration},asetpts=PTS-STARTPTS[seg${index}]`
+        );
+      }
+    });
+    const segmentLabels = tracks.map((track, index) => `[seg${index}]`).join('');
+    filters.push(`${segmentLabels}concat=n=${tracks.length}:v=0:a=1[voice]`);
+
+    if (mixOriginal) {
+      // amix halves both inputs, so restore the voice to full level afterwards
+      filters.push(
+        `[0:a]${audioFormat},volume=${config.tts.originalVolume}[orig]`,
+        '[orig][voice]amix=inputs=2:duration=first,volume=2[aout]'
+      );
+    } else {
+      filters.push('[voice]anull[aout]');
+    }
+
+    Logger.info('Adding voiceover track', {
+      videoPath,
+      outputPath,
+      mode: mixOriginal ? 'mix' : 'replace',
+      segments: tracks.map(({ audioPath, duration }) => ({ voiced: !!audioPath, duration })),
+    });
+
+    return new Promise((resolve, reject) => {
+      const command = this.killOnAbort(ffmpeg(), signal).input(videoPath);
+      tracks
+        .filter((track) => track.audioPath)
+        .forEach((track) => command.input(track.audioPath));
+
+      command
+        .complexFilter(filters.join(';'))
+        .outputOptions([
+          '-map', '0:v',
+          '-map', '[aout]',
+          '-c:v', 'copy',         // Video was already encoded during stitching
+          '-c:a', 'aac',
+          '-b:a', '192k',
+          '-shortest',            // Never extend past the video
+          '-threads', '2',
+          '-movflags', '+faststart'
+        ])
+        .on('start', (commandLine) => {
+          Logger.debug('FFmpeg voiceover command', { commandLine });
+        })
+        .on('end', () => {
+          Logger.info('Voiceover track added', { outputPath });
+          resolve(outputPath);
+        })
+        .on('error', async (error) => {
+          Logger.error('Error adding voiceover track', error);
+          await fs.remove(outputPath).catch(() => {});
+          reject(new Error(`Failed to add voiceover: ${error.message}`));
+        })
+        .output(outputPath)
+        .run();
+    });
+  }
+
+  /**
+   * Synthesize segment voiceovers and burn them into the stitched video
+   * @param {string} videoPath - Path to stitched video
+   * @param {Array<string|null>} voiceovers - Voiceover text per segment (null to skip)
+   * @param {number[]} segmentDurations - Duration of each segment in seconds
+   * @param {number} timestamp - Timestamp shared by this workflow's temp files
+   * @param {AbortSignal} signal - Kills ffmpeg when aborted (optional)
+   * @returns {Promise<{videoPath: string, spokenDurations: Array<number|null>}>} - Video with voiceover and speech length per segment
+   */
+  async applyVoiceovers(videoPath, voiceovers, segmentDurations, timestamp, signal) {
+    const tracks = [];
+    const spokenDurations = [];
+
+    try {
+      for (let index = 0; index < segmentDurations.length; index++) {
+        const text = voiceovers[index];
+        const audioPath = text
+          ? await ttsService.synthesize(text, `voiceover${index + 1}_${timestamp}.mp3`)
+          : null;
+        tracks.push({ audioPath, duration: segmentDurations[index] });
+        spokenDurations.push(audioPath ? (await this.probeMedia(audioPath)).duration : null);
+      }
+
+      const voicedPath = await this.withConcurrencyControl(async () => {
+        return await this.addVoiceoverTrack(
+          videoPath,
+          tracks,
+          `voiced_${timestamp}.mp4`,
+          signal
+        );
+      });
+
+      return { videoPath: voicedPath, spokenDurations };
+    } finally {
+      await this.deleteFiles(tracks.map((track) => track.audioPath).filter(Boolean));
+    }
+  }
+
+  /**
+   * Burn planned text overlays and captions into a video
+   * @param {string} videoPath - Path to input video
+   * @param {Array<{text: string, start: number, end: number, style: Object}>} events - Planned text events
+   * @param {string} outputFilename - Output filename
+   * @param {AbortSignal} signal - Kills ffmpeg when aborted (optional)
+   * @returns {Promise<string>} - Path to video with overlays
+   */
+  async burnOverlays(videoPath, events, outputFilename, signal) {
+    const outputPath = path.join(this.tempDir, outputFilename);
+    const textFiles = [];
+
+    try {
+      const filters = [];
+      for (let index = 0; index < events.length; index++) {
+        const textFile = path.resolve(this.tempDir, `${path.parse(outputFilename).name}_text${index}.txt`);
+        await fs.writeFile(textFile, events[index].text);
+        textFiles.push(textFile);
+        filters.push(overlayService.buildDrawtextFilter(events[index], textFile));
+      }
+
+      Logger.info('Burning text overlays', {
+        videoPath,
+        outputPath,
+        events: events.map(({ text, start, end }) => ({ text, start, end })),
+      });
+
+      return await new Promise((resolve, reject) => {
+        this.killOnAbort(ffmpeg(), signal)
+          .input(videoPath)
+          .videoFilters(filters)
+          .outputOptions([
+            '-c:v', 'libx264',      // drawtext requires re-encoding the video
+            '-preset', 'veryfast',
+            '-crf', '20',
+            '-pix_fmt', 'yuv420p',
+            '-c:a', 'copy',
+            '-threads', '2',
+            '-movflags', '+faststart'
+          ])
+          .on('start', (commandLine) => {
+            Logger.debug('FFmpeg overlay command', { commandLine });
+          })
+          .on('end', () => {
+            Logger.info('Text overlays burned in', { outputPath });
+            resolve(outputPath);
+          })
+          .on('error', async (error) => {
+            Logger.error('Error burning text overlays', error);
+            await fs.remove(outputPath).catch(() => {});
+            reject(new Error(`Failed to burn overlays: ${error.message}`));
+          })
+          .output(outputPath)
+          .run();
+      });
+    } finally {
+      await this.deleteFiles(textFiles);
+    }
+  }
+
   /**
    * Delete a file
    * @param {string} filePath - Path to file to delete
@@ -180,6 +804,23 @@ class VideoService {
     }
   }
 
+  /**
+   * Kill an ffmpeg command when a signal aborts, e.g. when its worker lost the lease
+   * @param {Object} command - fluent-ffmpeg command, not yet run
+   * @param {AbortSignal} signal - Abort signal (optional)
+   * @returns {Object} - The command, for chaining
+   */
+  killOnAbort(command, signal) {
+    if (!signal) {
+      return command;
+    }
+
+    const kill = () => command.kill('SIGKILL');
+    signal.addEventListener('abort', kill, { once: true });
+    const detach = () => signal.removeEventListener('abort', kill);
+    return command.on('end', detach).on('error', detach);
+  }
+
   /**
    * Concurrency control wrapper
    * Ensures only one ffmpeg operation runs at a time to prevent memory exhaustion
@@ -189,7 +830,8 @@ class VideoService {
     if (this.isProcessing) {
       Logger.warn('FFmpeg operation queued (preventing concurrent processing)');
       return new Promise((resolve, reject) => {
-        this.queue.push({ operation, resolve, reject });
+        // Runs later from another job's chain; keep this job's log context
+        this.queue.push({ operation: Logger.bindContext(operation), resolve, reject });
       });
     }
 
@@ -211,38 +853,124 @@ class VideoService {
 
   /**
    * Complete video processing workflow with memory optimization
-   * @param {string} url1 - First video URL
-   * @param {string} url2 - Second video URL
+   * @param {string[]} urls - Segment video URLs, in playback order
+   * @param {Object} options - Processing options
+   * @param {Array<string|null>} options.voiceovers - Voiceover text per segment
+   * @param {Array<Array<Object>>} options.overlays - Text overlay specs per segment
+   * @param {boolean} options.captions - Render word-timed captions from the voiceovers
+   * @param {{type: string, duration: number}} options.transition - Transition between segments
+   * @param {Function} options.isCancelled - Async check run before each ffmpeg stage; aborts when true
+   * @param {AbortSignal} options.signal - Stops before the next stage and kills running ffmpeg when aborted
    * @returns {Promise<string>} - Path to stitched video
    */
-  async processVideos(url1, url2) {
+  async processVideos(urls, options = {}) {
+    const { voiceovers = [], overlays = [], captions } = options;
+    const transition = this.resolveTransition(options.transition);
+    const withVoiceover = config.tts.enabled && voiceovers.some(Boolean);
+    const withCaptions = overlayService.captionsEnabled(captions) && voiceovers.some(Boolean);
+    const withOverlays = overlayService.isEnabled() &&
+      (withCaptions || overlays.some((segmentOverlays) => segmentOverlays?.length));
     const timestamp = Date.now();
-    let video1Path, video2Path, stitchedPath;
+    let videoPaths = [];
+    let stitchedPath;
+
+    // Cancelled jobs stop before the next stage instead of finishing the work
+    const abortIfCancelled = async () => {
+      options.signal?.throwIfAborted();
+      if (options.isCancelled && await options.isCancelled()) {
+        const error = new Error('Job cancelled');
+        error.cancelled = true;
+        throw error;
+      }
+    };
 
     try {
       // Download videos (can be done in parallel safely)
-      Logger.info('Starting video processing workflow', { timestamp });
+      Logger.info('Starting video processing workflow', {
+        timestamp,
+        segmentCount: urls.length,
+      });
+
+      const downloads = await Promise.allSettled(
+        urls.map((url, index) =>
+          this.downloadVideo(url, `video${index + 1}_${timestamp}.mp4`)
+        )
+      );
+      videoPaths = downloads
+        .filter((result) => result.status === 'fulfilled')
+        .map((result) => result.value);
+
+      const failedDownload = downloads.find((result) => result.status === 'rejected');
+      if (failedDownload) {
+        throw failedDownload.reason;
+      }
+
+      const probes = await Promise.all(videoPaths.map((videoPath) => this.probeMedia(videoPath)));
 
-      [video1Path, video2Path] = await Promise.all([
-        this.downloadVideo(url1, `video1_${timestamp}.mp4`),
-        this.downloadVideo(url2, `video2_${timestamp}.mp4`)
-      ]);
+      // Segment lengths on the stitched timeline, used to align voiceovers and text
+      // Crossfades overlap neighbours, so every segment but the last loses the fade length
+      const segmentDurations = probes.map((probe, index) =>
+        transition.type === 'crossfade' && index < probes.length - 1
+          ? probe.duration - transition.duration
+          : probe.duration
+      );
 
-      Logger.info('Both videos downloaded, starting stitch with concurrency control');
+      Logger.info('All videos downloaded, starting stitch with concurrency control');
 
       // Stitch with concurrency control to prevent multiple ffmpeg instances
       stitchedPath = await this.withConcurrencyControl(async () => {
-        return await this.stitchVideos(
-          video1Path,
-          video2Path,
-          `stitched_${timestamp}.mp4`
+        // Checked once the queued stitch reaches the front of the queue
+        await abortIfCancelled();
+        const endTimer = metricsService.startStage('stitch');
+        const outputPath = await this.stitchVideos(
+          videoPaths,
+          `stitched_${timestamp}.mp4`,
+          { probes, transition, signal: options.signal }
         );
+        endTimer();
+        return outputPath;
       });
 
+      let spokenDurations = [];
+      if (withVoiceover) {
+        await abortIfCancelled();
+        Logger.info('Adding voiceovers to stitched video');
+        const voiced = await this.applyVoiceovers(
+          stitchedPath,
+          voiceovers,
+          segmentDurations,
+          timestamp,
+          options.signal
+        );
+        await this.deleteFile(stitchedPath);
+        stitchedPath = voiced.videoPath;
+        spokenDurations = voiced.spokenDurations;
+      }
+
+      if (withOverlays) {
+        // Captions follow the synthesized speech, or span the segment without it
+        const captionSources = withCaptions
+          ? voiceovers.map((text, index) =>
+            text ? { text, duration: spokenDurations[index] || segmentDurations[index] } : null
+          )
+          : [];
+        const events = overlayService.planEvents(overlays, segmentDurations, captionSources);
+
+        if (events.length > 0) {
+          Logger.info('Adding text overlays to stitched video', { eventCount: events.length });
+          const overlaidPath = await this.withConcurrencyControl(async () => {
+            await abortIfCancelled();
+            return await this.burnOverlays(stitchedPath, events, `overlaid_${timestamp}.mp4`, options.signal);
+          });
+          await this.deleteFile(stitchedPath);
+          stitchedPath = overlaidPath;
+        }
+      }
+
       Logger.info('Stitching complete, cleaning up temp files');
 
       // Clean up individual videos, keep stitched video
-      await this.deleteFiles([video1Path, video2Path]);
+      await this.deleteFiles(videoPaths);
 
       return stitchedPath;
 
@@ -250,7 +978,7 @@ class VideoService {
       Logger.error('Error in processVideos workflow', error);
 
       // Clean up all files on error
-      const filesToClean = [video1Path, video2Path, stitchedPath].filter(Boolean);
+      const filesToClean = [...videoPaths, stitchedPath].filter(Boolean);
       await this.deleteFiles(filesToClean);
 
       throw error;
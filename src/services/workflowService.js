@@ -0,0 +1,312 @@
+const redisService = require('./redisService');
+const jobProcessor = require('./jobProcessor');
+const tenantService = require('./tenantService');
+const jobStateMachine = require('./jobStateMachine');
+const { AIRTABLE_STATUSES } = jobStateMachine;
+const promptGenerationService = require('./promptGenerationService');
+const config = require('../config/config');
+const Logger = require('../utils/logger');
+
+/**
+ * Generate a unique job ID
+ */
+function generateJobId() {
+  return `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+/**
+ * Starts video jobs independently of how the work arrived
+ * (HTTP request, Airtable automation or the Airtable poller)
+ */
+class WorkflowService {
+  /**
+   * Create a job and one Sora task per segment
+   * Segments must already be validated
+   * @param {Object} options
+   * @param {string} options.tenantId - Tenant ID
+   * @param {Array<Object>} options.segments - Ordered segments ({ prompt, voiceover, overlays })
+   * @param {string} options.recordId - Airtable record ID (optional)
+   * @param {string} options.aspectRatio - Aspect ratio
+   * @param {boolean} options.captions - Per-job captions toggle (optional)
+   * @param {Object} options.transition - Per-job transition (optional)
+   * @returns {Promise<{jobId: string, taskIds: string[], taskFields: Object}>}
+   */
+  async startJob({ tenantId, segments, recordId, aspectRatio = 'landscape', captions, transition }) {
+    const jobId = generateJobId();
+    Logger.addContext({ jobId });
+
+    Logger.info('Starting async video generation workflow', {
+      jobId,
+      tenantId,
+      segments,
+      recordId,
+      aspectRatio,
+    });
+
+    try {
+      // Create job in Redis
+      await redisService.createJob(jobId, {
+        tenantId,
+        segments,
+        segmentCount: segments.length,
+        recordId,
+        aspectRatio,
+        captions,
+        transition,
+      });
+
+      // Create one Sora task per segment with callback URLs
+      Logger.info('Creating Sora tasks with callbacks', {
+        jobId,
+        segmentCount: segments.length,
+      });
+
+      // Every task gets its own callback token
+      const soraService = tenantService.getSoraService(tenantId);
+      const callbacks = segments.map(() => soraService.createCallback());
+      const taskIds = await Promise.all(
+        segments.map((segment, index) =>
+          soraService.createTask(segment.prompt, aspectRatio, callbacks[index].url)
+        )
+      );
+
+      Logger.info('All Sora tasks created', { jobId, taskIds });
+
+      // Map tasks to job in Redis (video numbers are 1-based)
+      await Promise.all(
+        taskIds.map((taskId, index) =>
+          redisService.mapTaskToJob(taskId, jobId, index + 1, callbacks[index].tokenHash)
+        )
+      );
+
+      // Update job with task IDs and the first attempt of each segment
+      const taskFields = {};
+      const attemptFields = {};
+      const submittedAt = Date.now();
+      taskIds.forEach((taskId, index) => {
+        taskFields[`taskId${index + 1}`] = taskId;
+        attemptFields[`attempts${index + 1}`] = [{ taskId, submittedAt }];
+      });
+
+      // Also marks the Airtable record Generating
+      await jobStateMachine.transition(jobId, 'generating', { ...taskFields, ...attemptFields });
+
+      return { jobId, taskIds, taskFields };
+    } catch (error) {
+      Logger.error('Error starting video generation', error);
+
+      // Clean up job on error
+      await jobProcessor.handleJobFailure(jobId, { recordId, tenantId }, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a job: mark it cancelled (which also sets the Airtable record to
+   * Cancelled) and ask Sora to stop its unfinished tasks
+   * Callbacks, queued stitching and uploads check the status and stop
+   * @param {string} jobId - Job ID
+   * @returns {Promise<{job: Object, cancelledTasks: string[]}>}
+   * @throws {InvalidTransitionError} - When the job has already finished
+   */
+  async cancelJob(jobId) {
+    const job = await jobStateMachine.transition(jobId, 'cancelled', { cancelledAt: Date.now() });
+    Logger.info('Job cancelled', { jobId });
+
+    const soraService = tenantService.getSoraService(job.tenantId);
+    const cancelledTasks = [];
+    for (let n = 1; n <= redisService.getSegmentCount(job); n++) {
+      const taskId = job[`taskId${n}`];
+      if (!taskId || job[`video${n}Url`]) {
+        continue;
+      }
+
+      try {
+        if (await soraService.cancelTask(taskId)) {
+          cancelledTasks.push(taskId);
+        }
+      } catch (error) {
+        Logger.warn('Could not cancel Sora task', { jobId, taskId, error: error.message });
+      }
+    }
+
+    return { job, cancelledTasks };
+  }
+
+  /**
+   * Re-run stitching and upload of a finished job from its stored segment URLs
+   * Stitching runs in the background; follow it with GET /api/job/:jobId
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} - Job, now processing
+   * @throws {InvalidTransitionError} - When the job is still running or was cancelled
+   * @throws {Error} - With code MISSING_SEGMENTS when a segment has no video URL
+   */
+  async restitchJob(jobId) {
+    const existing = await redisService.getJob(jobId);
+    if (existing && !jobStateMachine.canTransition(existing.status, 'processing', true)) {
+      throw new jobStateMachine.InvalidTransitionError(jobId, existing.status, 'processing');
+    }
+
+    const missing = existing
+      ? redisService.getVideoUrls(existing)
+        .map((url, index) => (url ? null : index + 1))
+        .filter(Boolean)
+      : [];
+    if (missing.length > 0) {
+      const error = new Error(`No video stored for segment(s) ${missing.join(', ')}; regenerate them first`);
+      error.code = 'MISSING_SEGMENTS';
+      throw error;
+    }
+
+    // The transition is what claims the re-run: a concurrent request gets an InvalidTransitionError
+    const job = await jobStateMachine.transition(
+      jobId,
+      'processing',
+      { error: null, restitchedAt: Date.now() },
+      { rerun: 'restitch' }
+    );
+    Logger.info('Restitching job', { jobId });
+
+    await jobProcessor.enqueueStitching(jobId);
+
+    return job;
+  }
+
+  /**
+   * Generate one segment of a finished job again; once its callback arrives
+   * the job is stitched and uploaded again with the other stored segments
+   * @param {string} jobId - Job ID
+   * @param {number} videoNumber - Segment number (1-based)
+   * @returns {Promise<{job: Object, taskId: string}>}
+   * @throws {InvalidTransitionError} - When the job is still running or was cancelled
+   * @throws {Error} - With code INVALID_SEGMENT when the job has no such segment
+   */
+  async regenerateSegment(jobId, videoNumber) {
+    const existing = await redisService.getJob(jobId);
+    if (existing && !jobStateMachine.canTransition(existing.status, 'generating', true)) {
+      throw new jobStateMachine.InvalidTransitionError(jobId, existing.status, 'generating');
+    }
+
+    const prompt = existing?.segments?.[videoNumber - 1]?.prompt;
+    if (existing && !prompt) {
+      const error = new Error(`Job has no segment ${videoNumber}`);
+      error.code = 'INVALID_SEGMENT';
+      throw error;
+    }
+
+    const job = await jobStateMachine.transition(
+      jobId,
+      'generating',
+      {
+        error: null,
+        [`video${videoNumber}Url`]: null,
+        [`video${videoNumber}Status`]: 'generating',
+        [`retry${videoNumber}At`]: null,
+      },
+      { rerun: `regenerate-segment-${videoNumber}` }
+    );
+    // Let the segment's callback claim stitching again
+    await redisService.clearStitchClaim(jobId);
+
+    try {
+      const soraService = tenantService.getSoraService(job.tenantId);
+      const callback = soraService.createCallback();
+      const taskId = await soraService.createTask(prompt, job.aspectRatio, callback.url);
+      await redisService.mapTaskToJob(taskId, jobId, videoNumber, callback.tokenHash);
+      await redisService.updateJob(jobId, {
+        [`taskId${videoNumber}`]: taskId,
+        [`attempts${videoNumber}`]: [
+          ...(job[`attempts${videoNumber}`] || []),
+          { taskId, submittedAt: Date.now() },
+        ],
+      });
+
+      Logger.info('Regenerating job segment', { jobId, videoNumber, taskId });
+      return { job: await redisService.getJob(jobId), taskId };
+    } catch (error) {
+      Logger.error('Error regenerating job segment', { jobId, videoNumber, error: error.message });
+      await jobProcessor.handleJobFailure(jobId, job, `Video ${videoNumber} regeneration failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Read the ordered segments from an Airtable record
+   * @param {string} tenantId - Tenant ID
+   * @param {string} recordId - Record ID
+   * @returns {Promise<Array<Object>>} - Segments
+   */
+  async getRecordSegments(tenantId, recordId) {
+    Logger.info('Fetching record from Airtable', { recordId, tenantId });
+    const airtableService = tenantService.getAirtableService(tenantId);
+    const record = await airtableService.getRecord(recordId);
+
+    // Prompt/voiceover field names come from the Airtable field map
+    const segments = airtableService.getSegments(record);
+
+    if (segments.length < config.video.minSegments) {
+      throw new Error(
+        `Record must have prompts for at least ${config.video.minSegments} segments`
+      );
+    }
+
+    return segments;
+  }
+
+  /**
+   * Generate segments from a master prompt and write them back to the record
+   * @param {string} tenantId - Tenant ID
+   * @param {string} recordId - Record ID (optional)
+   * @param {string} masterPrompt - Master prompt
+   * @param {string} aspectRatio - Aspect ratio
+   * @returns {Promise<Array<Object>>} - Segments
+   */
+  async generateSegmentsFromMaster(tenantId, recordId, masterPrompt, aspectRatio = 'landscape') {
+    // Generate Prompt 1, Prompt 2, and Voiceovers from Master Prompt
+    const {
+      prompt1,
+      voiceover1,
+      overlays1,
+      prompt2,
+      voiceover2,
+      overlays2,
+    } = await promptGenerationService.generatePrompts(masterPrompt, aspectRatio);
+
+    Logger.info('Prompts and voiceovers generated from master', { prompt1, prompt2, voiceover1, voiceover2 });
+
+    // Update Airtable record with generated prompts and voiceovers if recordId provided
+    if (recordId) {
+      await tenantService.getAirtableService(tenantId).updateSegments(recordId, [
+        { prompt: prompt1, voiceover: voiceover1 },
+        { prompt: prompt2, voiceover: voiceover2 },
+      ]);
+      Logger.info('Updated Airtable record with generated prompts and voiceovers', { recordId });
+    }
+
+    return [
+      { prompt: prompt1, voiceover: voiceover1, overlays: overlays1 },
+      { prompt: prompt2, voiceover: voiceover2, overlays: overlays2 },
+    ];
+  }
+
+  /**
+   * Best-effort Failed status for a record, without masking the original error
+   * (the tenant's Airtable client may itself be what failed)
+   * @param {string} tenantId - Tenant ID
+   * @param {string} recordId - Record ID
+   * @param {string} message - Error message
+   */
+  async markRecordFailed(tenantId, recordId, message) {
+    try {
+      await tenantService.getAirtableService(tenantId).updateRecordStatus(
+        recordId,
+        AIRTABLE_STATUSES.failed,
+        message
+      );
+    } catch (error) {
+      Logger.error('Error marking record as failed', { tenantId, recordId, error: error.message });
+    }
+  }
+}
+
+module.exports = new WorkflowService();
@@ -1,37 +1,192 @@
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Values of matching keys never reach the logs: prompts are customer content, the rest are credentials
+const REDACTED_KEYS = /prompt|voiceover|api[-_]?key|token|secret|password|authorization|signature|cookie/i;
+
+// Callback URLs carry a secret token as their last path segment
+const CALLBACK_TOKEN = /(\/api\/callback\/sora\/)[^/?\s"]+/g;
+
+// Presigned and signed file URLs carry their credentials in the query string
+const URL_QUERY = /(https?:\/\/[^\s"'?#]+)\?[^\s"'#]+/g;
+
+// Correlation fields (requestId, jobId, taskId, ...) of the current async chain
+const context = new AsyncLocalStorage();
+
+let currentLevel = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const format = process.env.LOG_FORMAT === 'text' ? 'text' : 'json';
+
 /**
- * Simple logger utility
+ * Plain object for an Error (axios errors are circular and huge)
+ * @param {Error} error - Error
+ */
+function serializeError(error) {
+  const serialized = { name: error.name, message: redactString(error.message), stack: redactString(error.stack) };
+  if (error.code !== undefined) {
+    serialized.code = error.code;
+  }
+  if (error.response?.status) {
+    serialized.status = error.response.status;
+  }
+  return serialized;
+}
+
+/**
+ * Mask secrets inside free text
+ * @param {string} value - Text
+ */
+function redactString(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  return value.replace(CALLBACK_TOKEN, '$1[REDACTED]').replace(URL_QUERY, '$1?[REDACTED]');
+}
+
+/**
+ * Copy of log data with secrets and prompts redacted, errors serialized and cycles cut
+ * @param {*} value - Log data
+ * @param {WeakSet} seen - Objects already visited
+ */
+function sanitize(value, seen = new WeakSet()) {
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map((item) => sanitize(item, seen));
+  }
+
+  const sanitized = {};
+  for (const [key, item] of Object.entries(value)) {
+    // Counts and flags (promptCount, hasToken) stay readable
+    const sensitive = REDACTED_KEYS.test(key) &&
+      (typeof item === 'string' ? item !== '' : Boolean(item) && typeof item === 'object');
+    sanitized[key] = sensitive ? '[REDACTED]' : sanitize(item, seen);
+  }
+  return sanitized;
+}
+
+/**
+ * Structured logger: one JSON line per entry, with the correlation
+ * fields of the current request or job attached
+ * LOG_LEVEL sets the minimum level (changeable at runtime with setLevel),
+ * LOG_FORMAT=text prints single-line human readable output instead
  */
 class Logger {
   static info(message, data = null) {
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] INFO: ${message}`);
-    if (data) {
-      console.log(JSON.stringify(data, null, 2));
-    }
+    Logger.write('info', message, data);
   }
 
   static error(message, error = null) {
-    const timestamp = new Date().toISOString();
-    console.error(`[${timestamp}] ERROR: ${message}`);
-    if (error) {
-      console.error(error);
-    }
+    Logger.write('error', message, error);
   }
 
   static warn(message, data = null) {
-    const timestamp = new Date().toISOString();
-    console.warn(`[${timestamp}] WARN: ${message}`);
-    if (data) {
-      console.warn(JSON.stringify(data, null, 2));
-    }
+    Logger.write('warn', message, data);
   }
 
   static debug(message, data = null) {
-    const timestamp = new Date().toISOString();
-    console.log(`[${timestamp}] DEBUG: ${message}`);
-    if (data) {
-      console.log(JSON.stringify(data, null, 2));
+    Logger.write('debug', message, data);
+  }
+
+  /**
+   * Write one log line
+   * @param {string} level - Level name
+   * @param {string} message - Message
+   * @param {*} data - Extra fields (object), an Error, or any value
+   */
+  static write(level, message, data) {
+    if (LEVELS[level] < LEVELS[currentLevel]) {
+      return;
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: redactString(message),
+      ...sanitize(context.getStore() || {}),
+    };
+
+    if (data instanceof Error) {
+      entry.error = serializeError(data);
+    } else if (data && typeof data === 'object' && !Array.isArray(data)) {
+      Object.assign(entry, sanitize(data));
+    } else if (data !== null && data !== undefined) {
+      entry.data = sanitize(data);
+    }
+
+    const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+    stream.write(`${format === 'text' ? Logger.formatText(entry) : JSON.stringify(entry)}\n`);
+  }
+
+  /**
+   * Single-line human readable form of an entry (LOG_FORMAT=text)
+   * @param {Object} entry - Log entry
+   */
+  static formatText({ time, level, msg, ...fields }) {
+    const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+    return `[${time}] ${level.toUpperCase()}: ${msg}${extra}`;
+  }
+
+  /**
+   * Current minimum level
+   */
+  static getLevel() {
+    return currentLevel;
+  }
+
+  /**
+   * Change the minimum level at runtime
+   * @param {string} level - debug, info, warn or error
+   * @throws {Error} - For unknown levels
+   */
+  static setLevel(level) {
+    if (!LEVELS[level]) {
+      throw new Error(`Unknown log level "${level}". Expected one of: ${Object.keys(LEVELS).join(', ')}`);
     }
+    currentLevel = level;
+  }
+
+  /**
+   * Run a function with correlation fields attached to every log line it causes,
+   * including across awaits, timers and callbacks
+   * @param {Object} fields - e.g. { requestId } or { jobId, taskId }
+   * @param {Function} fn - Function to run
+   */
+  static runWithContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+  }
+
+  /**
+   * Add fields to the context created by the nearest runWithContext,
+   * e.g. the jobId once a callback's task has been looked up
+   * @param {Object} fields - Correlation fields
+   */
+  static addContext(fields) {
+    const store = context.getStore();
+    if (store) {
+      Object.assign(store, fields);
+    }
+  }
+
+  /**
+   * Bind a function to the current context, for work that is queued now and run
+   * later from another job's async chain
+   * @param {Function} fn - Function to bind
+   */
+  static bindContext(fn) {
+    return AsyncResource.bind(fn);
   }
 }
 
@@ -0,0 +1,68 @@
+const config = require('./config/config');
+const stitchWorker = require('./services/stitchWorker');
+const redisService = require('./services/redisService');
+const storageService = require('./services/storageService');
+const videoService = require('./services/videoService');
+const Logger = require('./utils/logger');
+
+// Stand-alone stitch/upload worker (npm run worker)
+// Shares the work queue with the API through Upstash; run the API with
+// WORKER_ENABLED=false to leave all stitching to these processes
+
+// The memory and file stores are private to one process
+if (config.store.backend !== 'upstash') {
+  Logger.error('The worker needs the Upstash job store to share work with the API', {
+    store: config.store.backend,
+  });
+  process.exit(1);
+}
+
+// Fail at startup rather than on the first upload
+try {
+  storageService.getBackend();
+} catch (error) {
+  Logger.error('Storage backend is misconfigured, exiting', { error: error.message });
+  process.exit(1);
+}
+
+stitchWorker.start();
+
+// Remove temp files left behind by stitches that were interrupted
+const cleanupInterval = 60 * 60 * 1000; // 1 hour
+const cleanupTimer = setInterval(() => {
+  videoService.cleanupOldFiles(2).catch((error) => {
+    Logger.error('Error during periodic cleanup', error);
+  });
+}, cleanupInterval);
+videoService.cleanupOldFiles(2).catch((error) => {
+  Logger.error('Error during startup cleanup', error);
+});
+
+/**
+ * Finish or release in-flight work, then exit
+ * @param {string} signal - Signal received
+ */
+async function shutdown(signal) {
+  Logger.info('Worker shutting down', { signal });
+  clearInterval(cleanupTimer);
+
+  try {
+    await stitchWorker.stop();
+  } catch (error) {
+    Logger.error('Error stopping worker', error);
+  }
+  await redisService.flush();
+  process.exit(0);
+}
+
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
+
+process.on('unhandledRejection', (reason, promise) => {
+  Logger.error('Unhandled Rejection at:', { promise, reason });
+});
+
+process.on('uncaughtException', (error) => {
+  Logger.error('Uncaught Exception:', error);
+  process.exit(1);
+});
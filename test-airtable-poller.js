@@ -0,0 +1,188 @@
+/**
+ * Test script for the Airtable poller
+ * Polls a fake Airtable table and checks that queued records are claimed
+ * once, started through the prompt or master-prompt flow, that a failing
+ * record doesn't stop the batch, that rate limits back off, and that the
+ * Error field follows the record's status
+ */
+
+process.env.JOB_STORE = 'memory';
+process.env.AIRTABLE_API_KEY = 'pat_test';
+process.env.AIRTABLE_BASE_ID = 'appTest';
+process.env.AIRTABLE_TABLE_NAME = 'Videos';
+process.env.AIRTABLE_POLLER_CONCURRENCY = '2';
+process.env.AIRTABLE_POLLER_MAX_ACTIVE_JOBS = '5';
+
+const assert = require('assert');
+const redisService = require('./src/services/redisService');
+const tenantService = require('./src/services/tenantService');
+const workflowService = require('./src/services/workflowService');
+const airtablePoller = require('./src/services/airtablePoller');
+
+/**
+ * In-memory Airtable table with the parts of the SDK the poller uses
+ * `failFind` maps record IDs to errors thrown when the record is re-read
+ */
+function createTable(records) {
+  const table = {
+    records: new Map(records.map((record) => [record.id, record])),
+    failFind: {},
+    listed: 0,
+    select: ({ maxRecords }) => ({
+      firstPage: async () => {
+        table.listed++;
+        return [...table.records.values()]
+          .filter((record) => record.fields.Status === 'Queued')
+          .slice(0, maxRecords)
+          .map((record) => ({ id: record.id, fields: { ...record.fields } }));
+      },
+    }),
+    find: async (recordId) => {
+      if (table.failFind[recordId]) {
+        throw table.failFind[recordId];
+      }
+      const record = table.records.get(recordId);
+      return { id: record.id, fields: { ...record.fields } };
+    },
+    update: async (recordId, fields) => {
+      const record = table.records.get(recordId);
+      Object.assign(record.fields, fields);
+      return { id: record.id, fields: { ...record.fields } };
+    },
+  };
+  return table;
+}
+
+async function testAirtablePoller() {
+  console.log('🧪 Testing Airtable poller...\n');
+
+  const table = createTable([
+    { id: 'recPrompts', fields: { Status: 'Queued', 'Prompt 1': 'First', 'Prompt 2': 'Second', 'Voiceover 2': 'Hi' } },
+    { id: 'recMaster', fields: { Status: 'Queued', 'Master Prompt': 'Top AI tools' } },
+    { id: 'recIncomplete', fields: { Status: 'Queued', 'Prompt 1': 'Only one' } },
+    { id: 'recDone', fields: { Status: 'Completed', 'Prompt 1': 'First', 'Prompt 2': 'Second' } },
+  ]);
+  tenantService.getAirtableService('default').base = () => table;
+
+  // Jobs are recorded instead of started
+  const started = [];
+  workflowService.startJob = async ({ tenantId, segments, recordId }) => {
+    started.push({ tenantId, recordId, segments });
+    return { jobId: `job_${recordId}`, taskIds: [], taskFields: {} };
+  };
+  const startedIds = () => started.map((job) => job.recordId).sort();
+
+  // Records with prompts, or a master prompt, are claimed and started
+  await airtablePoller.runOnce();
+  assert.deepStrictEqual(startedIds(), ['recMaster', 'recPrompts']);
+  const fromPrompts = started.find((job) => job.recordId === 'recPrompts');
+  assert.strictEqual(fromPrompts.tenantId, 'default');
+  assert.deepStrictEqual(fromPrompts.segments, [{ prompt: 'First' }, { prompt: 'Second', voiceover: 'Hi' }]);
+  const fromMaster = started.find((job) => job.recordId === 'recMaster');
+  assert.strictEqual(fromMaster.segments.length, 2);
+  assert.strictEqual(table.records.get('recMaster').fields['Prompt 1'], fromMaster.segments[0].prompt);
+  assert.strictEqual(table.records.get('recPrompts').fields.Status, 'Claimed');
+  assert.strictEqual(table.records.get('recDone').fields.Status, 'Completed');
+  console.log('✅ Queued records claimed and started through the prompt or master-prompt flow');
+
+  // A record that can't be started is claimed and marked failed
+  const incomplete = table.records.get('recIncomplete').fields;
+  assert.strictEqual(incomplete.Status, 'Failed');
+  assert.match(incomplete.Error, /at least 2 segments or a master prompt/);
+  console.log('✅ Records without enough prompts marked failed');
+
+  // Once the record is fixed and its job runs, the old error is cleared
+  const airtableService = tenantService.getAirtableService('default');
+  await airtableService.updateRecordStatus('recIncomplete', 'Generating');
+  assert.strictEqual(incomplete.Status, 'Generating');
+  assert.strictEqual(incomplete.Error, '');
+  await airtableService.updateRecordStatus('recIncomplete', 'Failed', 'Sora is down');
+  assert.strictEqual(incomplete.Error, 'Sora is down');
+
+  // Tables without an Error field only get the status
+  airtableService.fieldMap.validate({ name: 'Videos', fields: [{ name: 'Status', type: 'singleSelect' }] }, 2, 2);
+  table.records.set('recNoErrorField', { id: 'recNoErrorField', fields: { Status: 'Claimed' } });
+  await airtableService.updateRecordStatus('recNoErrorField', 'Completed');
+  assert.deepStrictEqual(table.records.get('recNoErrorField').fields, { Status: 'Completed' });
+  airtableService.fieldMap.missing.clear();
+  console.log('✅ Error field cleared when a record leaves Failed');
+
+  // Claimed records aren't picked up again
+  await airtablePoller.runOnce();
+  assert.strictEqual(started.length, 2);
+
+  // A record changed since it was listed is left alone
+  table.records.set('recChanged', { id: 'recChanged', fields: { Status: 'Queued', 'Prompt 1': 'A', 'Prompt 2': 'B' } });
+  const [listed] = await table.select({ maxRecords: 1 }).firstPage();
+  table.records.get('recChanged').fields.Status = 'Cancelled';
+  await airtablePoller.processRecord('default', listed);
+  assert.strictEqual(started.length, 2);
+  assert.strictEqual(table.records.get('recChanged').fields.Status, 'Cancelled');
+
+  // Its lock is released, so it is picked up as soon as it is queued again
+  table.records.get('recChanged').fields.Status = 'Queued';
+  await airtablePoller.runOnce();
+  assert.ok(startedIds().includes('recChanged'));
+
+  // Two instances racing for the same record start it once
+  table.records.set('recRace', { id: 'recRace', fields: { Status: 'Queued', 'Prompt 1': 'A', 'Prompt 2': 'B' } });
+  const [raced] = await table.select({ maxRecords: 1 }).firstPage();
+  await Promise.all([
+    airtablePoller.processRecord('default', raced),
+    airtablePoller.processRecord('default', { ...raced }),
+  ]);
+  assert.strictEqual(started.filter((job) => job.recordId === 'recRace').length, 1);
+  console.log('✅ Each record claimed once');
+
+  // An error on one record is logged; the rest of the batch still runs
+  table.records.set('recBroken', { id: 'recBroken', fields: { Status: 'Queued', 'Prompt 1': 'A', 'Prompt 2': 'B' } });
+  for (const recordId of ['recAfter1', 'recAfter2', 'recAfter3']) {
+    table.records.set(recordId, { id: recordId, fields: { Status: 'Queued', 'Prompt 1': 'A', 'Prompt 2': 'B' } });
+  }
+  table.failFind.recBroken = Object.assign(new Error('Internal server error'), { statusCode: 500 });
+  await airtablePoller.runOnce();
+  assert.ok(['recAfter1', 'recAfter2', 'recAfter3'].every((recordId) => startedIds().includes(recordId)));
+  assert.strictEqual(table.records.get('recBroken').fields.Status, 'Queued');
+  assert.strictEqual(airtablePoller.isRunning, false);
+  assert.strictEqual(airtablePoller.isBackingOff('default'), false);
+  console.log('✅ A failing record does not stop the batch');
+
+  // The broken record's lock was released, so it is retried on the next pass
+  delete table.failFind.recBroken;
+  await airtablePoller.runOnce();
+  assert.ok(startedIds().includes('recBroken'));
+
+  // Rate limits stop the batch and back off the tenant
+  table.records.set('recLimited', { id: 'recLimited', fields: { Status: 'Queued', 'Prompt 1': 'A', 'Prompt 2': 'B' } });
+  table.failFind.recLimited = Object.assign(new Error('Rate limited'), { statusCode: 429 });
+  await airtablePoller.runOnce();
+  assert.strictEqual(airtablePoller.isBackingOff('default'), true);
+  delete table.failFind.recLimited;
+  const listedBefore = table.listed;
+  await airtablePoller.runOnce();
+  assert.strictEqual(table.listed, listedBefore, 'no polling while backing off');
+  airtablePoller.backoff.clear();
+  await airtablePoller.runOnce();
+  assert.ok(startedIds().includes('recLimited'));
+  console.log('✅ Rate limits back off the tenant');
+
+  // No records are claimed while the active job limit is reached
+  for (let i = 0; i < 5; i++) {
+    await redisService.createJob(`job_active_${i}`, { tenantId: 'default', segmentCount: 2 });
+  }
+  table.records.set('recWaiting', { id: 'recWaiting', fields: { Status: 'Queued', 'Prompt 1': 'A', 'Prompt 2': 'B' } });
+  const listedAtLimit = table.listed;
+  await airtablePoller.runOnce();
+  assert.strictEqual(table.listed, listedAtLimit);
+  assert.strictEqual(table.records.get('recWaiting').fields.Status, 'Queued');
+  console.log('✅ Nothing claimed above AIRTABLE_POLLER_MAX_ACTIVE_JOBS');
+
+  console.log('\n🎉 Airtable poller tests passed');
+}
+
+testAirtablePoller()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  });
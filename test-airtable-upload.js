@@ -0,0 +1,120 @@
+/**
+ * Test script for direct Airtable attachment uploads
+ * Streams videos of several sizes to a local uploadAttachment endpoint and
+ * checks the decoded body and Content-Length, and that earlier attachments
+ * are removed from the field
+ */
+
+process.env.JOB_STORE = 'memory';
+process.env.AIRTABLE_API_KEY = 'pat_test';
+process.env.AIRTABLE_BASE_ID = 'appTest';
+process.env.AIRTABLE_TABLE_NAME = 'Videos';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const http = require('http');
+const path = require('path');
+const config = require('./src/config/config');
+const { AirtableService } = require('./src/services/airtableService');
+
+// fs.createReadStream reads 64 KiB at a time
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Start an uploadAttachment endpoint that records each request
+ * `attachments` is how many attachments the field holds after each upload
+ */
+function startServer(state) {
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    const body = Buffer.concat(chunks);
+    state.uploads.push({ url: req.url, headers: req.headers, length: body.length, body: JSON.parse(body) });
+
+    const attachments = Array.from({ length: state.attachments }, (value, index) => ({ id: `att${index + 1}` }));
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ id: 'recVideo', fields: { fldVideo: attachments } }));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+async function testAirtableUpload() {
+  console.log('🧪 Testing direct Airtable uploads...\n');
+
+  const state = { uploads: [], attachments: 1 };
+  const server = await startServer(state);
+  config.airtable.contentUrl = `http://127.0.0.1:${server.address().port}/v0`;
+
+  const airtableService = new AirtableService(config.airtable);
+  const updates = [];
+  airtableService.base = () => ({
+    update: async (recordId, fields) => {
+      updates.push({ recordId, fields });
+      return { id: recordId, fields };
+    },
+  });
+
+  const dir = path.join(config.video.tempDir, `test_airtable_upload_${Date.now()}`);
+  await fs.ensureDir(dir);
+
+  try {
+    // Sizes cover each remainder mod 3, within one read chunk and across several
+    const sizes = [1, 2, 3, CHUNK_SIZE - 1, CHUNK_SIZE, CHUNK_SIZE + 1, 3 * CHUNK_SIZE + 2];
+    for (const size of sizes) {
+      const videoPath = path.join(dir, `video_${size}.mp4`);
+      const video = crypto.randomBytes(size);
+      await fs.writeFile(videoPath, video);
+
+      state.uploads.length = 0;
+      await airtableService.uploadVideoAttachment('recVideo', videoPath, 'Final Video');
+      assert.strictEqual(state.uploads.length, 1, `size ${size}`);
+
+      const [upload] = state.uploads;
+      assert.strictEqual(upload.url, '/v0/appTest/recVideo/Final%20Video/uploadAttachment');
+      assert.strictEqual(upload.headers.authorization, 'Bearer pat_test');
+      assert.strictEqual(Number(upload.headers['content-length']), upload.length, `size ${size}`);
+      assert.strictEqual(upload.body.file.length, Math.ceil(size / 3) * 4, `size ${size}`);
+      assert.ok(Buffer.from(upload.body.file, 'base64').equals(video), `size ${size}`);
+      assert.strictEqual(upload.body.contentType, 'video/mp4');
+      assert.match(upload.body.filename, /^stitched_\d+\.mp4$/);
+    }
+    console.log('✅ Streamed base64 body decodes to the file, with a matching Content-Length');
+
+    // An empty file is an empty attachment, not a malformed body
+    const emptyPath = path.join(dir, 'empty.mp4');
+    await fs.writeFile(emptyPath, '');
+    state.uploads.length = 0;
+    await airtableService.uploadAttachmentDirect('recVideo', emptyPath, 'Final Video', 'empty.mp4', 0);
+    assert.strictEqual(state.uploads[0].body.file, '');
+    assert.strictEqual(Number(state.uploads[0].headers['content-length']), state.uploads[0].length);
+    console.log('✅ Empty files sent as an empty attachment');
+
+    // A single attachment is left as it is
+    assert.deepStrictEqual(updates, []);
+
+    // Earlier attachments (e.g. from a restitch) are dropped, keeping the new one
+    state.attachments = 3;
+    const videoPath = path.join(dir, 'video_1.mp4');
+    await airtableService.uploadAttachmentDirect('recVideo', videoPath, 'Final Video', 'restitch.mp4', 1);
+    assert.deepStrictEqual(updates, [{ recordId: 'recVideo', fields: { 'Final Video': [{ id: 'att3' }] } }]);
+    console.log('✅ Older attachments removed from the field');
+
+    console.log('\n🎉 Airtable upload tests passed');
+  } finally {
+    server.close();
+    await fs.remove(dir);
+  }
+}
+
+testAirtableUpload()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,168 @@
+/**
+ * Test script for API key authentication
+ * Calls the API routes over HTTP with keys scoped to different tenants and
+ * scopes, and checks rejections, rate limits and the daily generation quota
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tenantsPath = path.join(os.tmpdir(), `test-api-keys-tenants-${process.pid}.json`);
+fs.writeFileSync(tenantsPath, JSON.stringify({
+  acme: { airtable: { apiKey: 'pat_acme' }, sora: { apiKey: 'sora_acme' } },
+  // Rejected when the file is loaded
+  default: { airtable: { apiKey: 'pat_hijack', baseId: 'appHijack' }, sora: {} },
+  nokey: { airtable: { baseId: 'appNoKey' }, sora: {} },
+  unsetkey: { airtable: { apiKey: 'env:TEST_API_KEYS_UNSET_AIRTABLE_KEY' }, sora: {} },
+}));
+
+process.env.JOB_STORE = 'memory';
+process.env.TENANTS_CONFIG_PATH = tenantsPath;
+process.env.API_AUTH_ENABLED = 'true';
+
+const assert = require('assert');
+const express = require('express');
+
+// Keys files store the sha256 hex digest of each key
+const hashApiKey = (apiKey) => crypto.createHash('sha256').update(apiKey).digest('hex');
+
+const KEYS = {
+  full: 'sk_test_full',
+  reader: 'sk_test_reader',
+  acme: 'sk_test_acme',
+  limited: 'sk_test_limited',
+  burst: 'sk_test_burst',
+};
+
+process.env.API_KEYS = JSON.stringify({
+  full: { hash: hashApiKey(KEYS.full), tenants: ['default'], scopes: ['*'], dailyGenerationQuota: 2 },
+  reader: { hash: hashApiKey(KEYS.reader), tenants: ['default'], scopes: ['jobs:read'] },
+  acme: { hash: hashApiKey(KEYS.acme), tenants: ['acme'], scopes: ['generate', 'jobs:read'] },
+  limited: {
+    hash: hashApiKey(KEYS.limited),
+    tenants: ['default'],
+    scopes: ['jobs:read'],
+    rateLimit: { windowMs: 60000, max: 2 },
+  },
+  burst: { hash: hashApiKey(KEYS.burst), tenants: ['default'], scopes: ['generate'], dailyGenerationQuota: 3 },
+});
+
+const config = require('./src/config/config');
+const redisService = require('./src/services/redisService');
+const tenantService = require('./src/services/tenantService');
+const workflowService = require('./src/services/workflowService');
+const videoRoutes = require('./src/routes/videoRoutes');
+
+/**
+ * Start the API routes on a random port
+ */
+function startServer() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', videoRoutes);
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, () => resolve(server));
+  });
+}
+
+async function testApiKeys() {
+  console.log('🧪 Testing API key authentication...\n');
+
+  // Only the request handling is under test; no Sora tasks are created
+  const started = [];
+  workflowService.startJob = async ({ tenantId }) => {
+    started.push(tenantId);
+    return { jobId: `job_${started.length}`, taskIds: [], taskFields: {} };
+  };
+
+  const server = await startServer();
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  const call = (method, route, apiKey, body) => fetch(`${baseUrl}${route}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(apiKey ? { 'X-API-Key': apiKey } : {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const generate = (apiKey, body = {}) => call('POST', '/generate-video', apiKey, {
+    segments: ['First prompt', 'Second prompt'],
+    ...body,
+  });
+
+  try {
+    // Invalid tenants are left out; the rest of the file still loads
+    assert.deepStrictEqual(tenantService.getTenantIds(), ['default', 'acme']);
+    assert.strictEqual(tenantService.getTenant('default').airtable, config.airtable);
+    assert.strictEqual(tenantService.hasTenant('nokey'), false);
+    console.log('✅ Tenants named default or without an Airtable key are rejected');
+
+    assert.strictEqual((await generate(null)).status, 401);
+    assert.strictEqual((await generate('sk_test_unknown')).status, 401);
+    assert.strictEqual((await call('GET', '/health')).status, 200);
+    console.log('✅ Missing and unknown keys rejected, health stays public');
+
+    assert.strictEqual((await generate(KEYS.reader)).status, 403);
+    assert.strictEqual((await call('POST', '/job/job_x/cancel', KEYS.reader)).status, 403);
+    console.log('✅ Keys limited to their scopes');
+
+    // The acme key acts for acme by default and can't use other tenants
+    assert.strictEqual((await generate(KEYS.acme)).status, 202);
+    assert.strictEqual(started.pop(), 'acme');
+    assert.strictEqual((await generate(KEYS.acme, { tenant: 'default' })).status, 403);
+
+    await redisService.createJob('job_acme', { tenantId: 'acme', segmentCount: 2 });
+    await redisService.createJob('job_default', { tenantId: 'default', segmentCount: 2 });
+    assert.strictEqual((await call('GET', '/job/job_acme', KEYS.acme)).status, 200);
+    assert.strictEqual((await call('GET', '/job/job_default', KEYS.acme)).status, 404);
+
+    const listed = await (await call('GET', '/jobs', KEYS.acme)).json();
+    assert.deepStrictEqual(listed.data.jobs.map((job) => job.jobId), ['job_acme']);
+    assert.strictEqual((await call('GET', '/jobs?tenant=default', KEYS.acme)).status, 403);
+    console.log('✅ Keys limited to their tenants');
+
+    const limited = [];
+    for (let i = 0; i < 3; i++) {
+      limited.push(await call('GET', '/job/job_default', KEYS.limited));
+    }
+    assert.deepStrictEqual(limited.map((response) => response.status), [200, 200, 429]);
+    assert.strictEqual(limited[1].headers.get('x-ratelimit-remaining'), '0');
+    assert.ok(Number(limited[2].headers.get('retry-after')) > 0);
+    console.log('✅ Rate limit enforced per key');
+
+    // Rejected requests don't use up the quota
+    assert.strictEqual((await generate(KEYS.full, { segments: ['Only one'] })).status, 400);
+    assert.strictEqual((await generate(KEYS.full)).status, 202);
+    assert.strictEqual((await generate(KEYS.full)).status, 202);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    const overQuota = await generate(KEYS.full);
+    assert.strictEqual(overQuota.status, 429);
+    assert.match((await overQuota.json()).error, /quota/);
+    assert.strictEqual(started.length, 2);
+    console.log('✅ Daily generation quota enforced');
+
+    // Concurrent requests can't all pass the check; rejected ones are refunded
+    const burst = await Promise.all(Array.from({ length: 5 }, () => generate(KEYS.burst)));
+    const statuses = burst.map((response) => response.status).sort();
+    assert.deepStrictEqual(statuses, [202, 202, 202, 429, 429]);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    const day = new Date().toISOString().slice(0, 10);
+    assert.strictEqual(await redisService.getCounter(`quota:burst:${day}`), 3);
+    console.log('✅ Quota reserved up front for concurrent requests');
+
+    console.log('\n🎉 API key tests passed');
+  } finally {
+    server.close();
+    fs.unlinkSync(tenantsPath);
+  }
+}
+
+testApiKeys()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  });
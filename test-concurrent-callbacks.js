@@ -0,0 +1,395 @@
+/**
+ * Test script for concurrent Sora callbacks
+ * Fires every segment callback at once against the in-memory job store and
+ * checks that no video URL is lost, that stitching runs exactly once,
+ * that finished or cancelled jobs can't be revived by callbacks, that failed
+ * segments are retried, that finished jobs can be restitched on request,
+ * that callbacks need their task's token and an allowed video host, and that
+ * queued stitch work survives a worker that dies mid-way
+ */
+
+process.env.JOB_STORE = 'memory';
+process.env.SORA_RETRY_BACKOFF = '10';
+process.env.VIDEO_ALLOWED_HOSTS = 'example.com';
+process.env.SORA_ALLOW_UNSIGNED_CALLBACKS = 'false';
+process.env.WORKER_LEASE_TTL = '1';
+process.env.WORKER_SHUTDOWN_TIMEOUT = '50';
+
+const assert = require('assert');
+const redisService = require('./src/services/redisService');
+const jobProcessor = require('./src/services/jobProcessor');
+const jobStateMachine = require('./src/services/jobStateMachine');
+const soraService = require('./src/services/soraService');
+const videoService = require('./src/services/videoService');
+const stitchWorker = require('./src/services/stitchWorker');
+const jobReconciler = require('./src/services/jobReconciler');
+
+/**
+ * Build a successful Sora callback payload for a segment
+ */
+function successCallback(taskId, n) {
+  return {
+    taskId,
+    state: 'success',
+    resultJson: JSON.stringify({ resultUrls: [`https://example.com/video${n}.mp4`] }),
+  };
+}
+
+/**
+ * Create a job with one mapped task per segment
+ */
+async function createJob(jobId, segmentCount) {
+  await redisService.createJob(jobId, {
+    segmentCount,
+    segments: Array.from({ length: segmentCount }, (value, index) => ({ prompt: `Prompt ${index + 1}` })),
+  });
+
+  const taskIds = [];
+  for (let n = 1; n <= segmentCount; n++) {
+    const taskId = `${jobId}_task${n}`;
+    await redisService.mapTaskToJob(taskId, jobId, n);
+    taskIds.push(taskId);
+  }
+  await jobStateMachine.transition(jobId, 'generating');
+  return taskIds;
+}
+
+/**
+ * Run all due stitch work, as the worker loop would
+ */
+async function drainWorkQueue() {
+  while (await stitchWorker.runOnce()) {
+    // Keep claiming until the queue is empty
+  }
+}
+
+async function testConcurrentCallbacks() {
+  console.log('🧪 Testing concurrent Sora callbacks...\n');
+
+  // Stitching is replaced with a counter; only the job state is under test
+  const stitched = [];
+  jobProcessor.processStitching = async (jobId) => {
+    stitched.push(jobId);
+    await jobStateMachine.transition(jobId, 'stitching');
+    await jobStateMachine.transition(jobId, 'completed', { completedAt: Date.now() });
+  };
+
+  for (const segmentCount of [2, 3, 5]) {
+    const jobId = `job_concurrent_${segmentCount}`;
+    const taskIds = await createJob(jobId, segmentCount);
+
+    // Every callback arrives at the same time, some of them twice (Sora retries)
+    const callbacks = [...taskIds, ...taskIds].map((taskId, index) =>
+      jobProcessor.processCallback(taskId, successCallback(taskId, (index % segmentCount) + 1))
+    );
+    await Promise.all(callbacks);
+    await drainWorkQueue();
+
+    const job = await redisService.getJob(jobId);
+    const urls = redisService.getVideoUrls(job);
+
+    assert.deepStrictEqual(
+      urls,
+      Array.from({ length: segmentCount }, (value, index) => `https://example.com/video${index + 1}.mp4`),
+      'every segment URL must be stored'
+    );
+    assert.strictEqual(
+      stitched.filter((id) => id === jobId).length,
+      1,
+      'stitching must be claimed exactly once'
+    );
+    assert.strictEqual(job.status, 'completed');
+    assert.deepStrictEqual(
+      job.history.map((entry) => entry.status),
+      ['pending', 'generating', 'processing', 'stitching', 'completed'],
+      'history must record every transition once'
+    );
+
+    console.log(`✅ ${segmentCount} segments: all URLs stored, stitched once`);
+  }
+
+  // A second claim on the same job is always refused
+  assert.strictEqual(await redisService.claimStitching('job_concurrent_2'), false);
+  console.log('✅ Repeated stitch claim refused');
+
+  // A late callback must not revive a failed job
+  const failedTaskIds = await createJob('job_failed', 2);
+  await jobProcessor.handleJobFailure('job_failed', await redisService.getJob('job_failed'), 'Video 1 generation failed');
+  await jobProcessor.processCallback(failedTaskIds[1], successCallback(failedTaskIds[1], 2));
+
+  const failedJob = await redisService.getJob('job_failed');
+  assert.strictEqual(failedJob.status, 'failed');
+  assert.strictEqual(failedJob.video2Url, undefined);
+  assert.ok(!stitched.includes('job_failed'));
+  await assert.rejects(
+    jobStateMachine.transition('job_failed', 'processing'),
+    jobStateMachine.InvalidTransitionError
+  );
+  console.log('✅ Late callback ignored for failed job');
+
+  // A retryable failure re-submits only that segment and keeps its ready sibling
+  let submitted = 0;
+  soraService.createTask = async () => `job_retry_resubmitted${++submitted}`;
+
+  const retryTaskIds = await createJob('job_retry', 2);
+  await jobProcessor.processCallback(retryTaskIds[0], successCallback(retryTaskIds[0], 1));
+  await jobProcessor.processCallback(retryTaskIds[1], {
+    taskId: retryTaskIds[1],
+    state: 'fail',
+    failCode: '500',
+    failMsg: 'Internal error',
+  });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+
+  let retryJob = await redisService.getJob('job_retry');
+  assert.strictEqual(submitted, 1, 'only the failed segment is re-submitted');
+  assert.strictEqual(retryJob.status, 'generating');
+  assert.strictEqual(retryJob.video1Url, 'https://example.com/video1.mp4');
+  assert.strictEqual(retryJob.taskId2, 'job_retry_resubmitted1');
+
+  // The old task is stale now; the new one completes the job
+  await jobProcessor.processCallback(retryTaskIds[1], successCallback(retryTaskIds[1], 2));
+  assert.ok(!stitched.includes('job_retry'));
+  await jobProcessor.processCallback('job_retry_resubmitted1', successCallback('job_retry_resubmitted1', 2));
+  await drainWorkQueue();
+
+  retryJob = await redisService.getJob('job_retry');
+  assert.strictEqual(retryJob.status, 'completed');
+  assert.deepStrictEqual(
+    retryJob.attempts2.map((attempt) => [attempt.taskId, attempt.state]),
+    [[retryTaskIds[1], 'fail'], ['job_retry_resubmitted1', 'success']]
+  );
+  console.log('✅ Retryable failure re-submitted one segment, attempts recorded');
+
+  // Terminal failCodes fail the job straight away
+  const terminalTaskIds = await createJob('job_terminal', 2);
+  await jobProcessor.processCallback(terminalTaskIds[0], {
+    taskId: terminalTaskIds[0],
+    state: 'fail',
+    failCode: '400',
+    failMsg: 'Bad request',
+  });
+  assert.strictEqual((await redisService.getJob('job_terminal')).status, 'failed');
+  assert.strictEqual(submitted, 1);
+  console.log('✅ Terminal failure not retried');
+
+  // Cancelled jobs ignore late callbacks and never stitch
+  const workflowService = require('./src/services/workflowService');
+  const cancelTaskIds = await createJob('job_cancel', 2);
+  await jobProcessor.processCallback(cancelTaskIds[0], successCallback(cancelTaskIds[0], 1));
+  await workflowService.cancelJob('job_cancel');
+  await jobProcessor.processCallback(cancelTaskIds[1], successCallback(cancelTaskIds[1], 2));
+
+  const cancelledJob = await redisService.getJob('job_cancel');
+  assert.strictEqual(cancelledJob.status, 'cancelled');
+  assert.ok(!stitched.includes('job_cancel'));
+  assert.ok(!(await redisService.getActiveJobIds()).includes('job_cancel'));
+  await assert.rejects(workflowService.cancelJob('job_cancel'), jobStateMachine.InvalidTransitionError);
+  console.log('✅ Cancelled job ignored late callback');
+
+  // A finished job regenerates one segment and stitches again, keeping its history
+  const regenerated = await workflowService.regenerateSegment('job_concurrent_2', 2);
+  assert.strictEqual(regenerated.job.status, 'generating');
+  assert.strictEqual(regenerated.job.video2Url, null);
+  await jobProcessor.processCallback(regenerated.taskId, successCallback(regenerated.taskId, 2));
+  await drainWorkQueue();
+
+  const regeneratedJob = await redisService.getJob('job_concurrent_2');
+  assert.strictEqual(regeneratedJob.status, 'completed');
+  assert.strictEqual(stitched.filter((id) => id === 'job_concurrent_2').length, 2);
+  assert.strictEqual(regeneratedJob.attempts2.length, 2);
+  assert.deepStrictEqual(
+    regeneratedJob.history.slice(4).map((entry) => [entry.status, entry.rerun]),
+    [
+      ['completed', undefined],
+      ['generating', 'regenerate-segment-2'],
+      ['processing', undefined],
+      ['stitching', undefined],
+      ['completed', undefined],
+    ]
+  );
+  console.log('✅ Regenerated segment restitched the job');
+
+  // A failed job with every segment stored restitches without new Sora tasks
+  const restitchTaskIds = await createJob('job_restitch', 2);
+  await jobProcessor.processCallback(restitchTaskIds[0], successCallback(restitchTaskIds[0], 1));
+  await redisService.storeVideoUrl('job_restitch', 2, 'https://example.com/video2.mp4');
+  await jobProcessor.handleJobFailure('job_restitch', await redisService.getJob('job_restitch'), 'Upload failed');
+
+  await workflowService.restitchJob('job_restitch');
+  await assert.rejects(workflowService.restitchJob('job_restitch'), jobStateMachine.InvalidTransitionError);
+  await drainWorkQueue();
+
+  const restitchedJob = await redisService.getJob('job_restitch');
+  assert.strictEqual(restitchedJob.status, 'completed');
+  assert.strictEqual(restitchedJob.error, null);
+  assert.ok(!(await redisService.getActiveJobIds()).includes('job_restitch'));
+  await assert.rejects(workflowService.restitchJob('job_cancel'), jobStateMachine.InvalidTransitionError);
+  console.log('✅ Failed job restitched from stored URLs');
+
+  // Re-runs and retries of old jobs get the full job timeout again
+  const jobTimeout = jobReconciler.jobTimeout;
+  const longAgo = Date.now() - jobTimeout - 5 * 60 * 1000;
+  await redisService.updateJob('job_restitch', { createdAt: longAgo });
+  await jobProcessor.handleJobFailure('job_restitch', await redisService.getJob('job_restitch'), 'Upload failed');
+  await workflowService.restitchJob('job_restitch');
+  await jobReconciler.reconcileJob('job_restitch');
+  assert.strictEqual((await redisService.getJob('job_restitch')).status, 'processing');
+  await drainWorkQueue();
+
+  await redisService.updateJob('job_restitch', { createdAt: longAgo, startedAt: longAgo });
+  const oldRegenerated = await workflowService.regenerateSegment('job_restitch', 1);
+  await jobReconciler.reconcileJob('job_restitch');
+  assert.strictEqual((await redisService.getJob('job_restitch')).status, 'generating');
+  await jobProcessor.processCallback(oldRegenerated.taskId, successCallback(oldRegenerated.taskId, 1));
+  await drainWorkQueue();
+  assert.strictEqual((await redisService.getJob('job_restitch')).status, 'completed');
+
+  const oldRetryTaskIds = await createJob('job_old_retry', 2);
+  await redisService.updateJob('job_old_retry', { createdAt: longAgo });
+  await jobProcessor.processCallback(oldRetryTaskIds[0], {
+    taskId: oldRetryTaskIds[0],
+    state: 'fail',
+    failCode: '500',
+    failMsg: 'Internal error',
+  });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  await jobReconciler.reconcileJob('job_old_retry');
+  assert.strictEqual((await redisService.getJob('job_old_retry')).status, 'generating');
+
+  // Without a re-run the original start still counts
+  await redisService.updateJob('job_old_retry', { startedAt: longAgo });
+  await jobReconciler.reconcileJob('job_old_retry');
+  assert.strictEqual((await redisService.getJob('job_old_retry')).status, 'failed');
+  console.log('✅ Re-runs and retries restart the job timeout');
+
+  // Callbacks must carry the token issued with their task's callback URL
+  const callback = soraService.createCallback();
+  const token = callback.url.split('/').pop();
+  await redisService.createJob('job_signed', { segmentCount: 2 });
+  await redisService.mapTaskToJob('job_signed_task1', 'job_signed', 1, callback.tokenHash);
+  assert.ok(callback.url.startsWith(`${soraService.getCallbackUrl()}/`));
+  assert.strictEqual(await jobProcessor.verifyCallback('job_signed_task1', token), true);
+  assert.strictEqual(await jobProcessor.verifyCallback('job_signed_task1', soraService.createCallback().url.split('/').pop()), false);
+  assert.strictEqual(await jobProcessor.verifyCallback('job_signed_task1', undefined), false);
+  assert.strictEqual(await jobProcessor.verifyCallback('job_unknown_task', token), false);
+  assert.strictEqual(await jobProcessor.verifyCallback('job_concurrent_3_task1', token), false, 'unsigned tasks are rejected');
+  console.log('✅ Callback tokens verified');
+
+  // Result URLs outside the allowed hosts are never stored
+  const hostTaskIds = await createJob('job_bad_host', 2);
+  await jobProcessor.processCallback(hostTaskIds[0], {
+    taskId: hostTaskIds[0],
+    state: 'success',
+    resultJson: JSON.stringify({ resultUrls: ['https://attacker.test/video1.mp4'] }),
+  });
+  const badHostJob = await redisService.getJob('job_bad_host');
+  assert.strictEqual(badHostJob.status, 'failed');
+  assert.strictEqual(badHostJob.video1Url, undefined);
+  assert.strictEqual(videoService.isAllowedUrl('https://cdn.example.com/video.mp4'), true);
+  assert.strictEqual(videoService.isAllowedUrl('http://example.com/video.mp4'), false);
+  assert.strictEqual(videoService.isAllowedUrl('https://example.com.attacker.test/video.mp4'), false);
+  console.log('✅ Disallowed video host rejected');
+
+  // A worker that dies mid-stitch keeps its lease until it expires; the next worker starts over
+  const crashTaskIds = await createJob('job_crash', 2);
+  await Promise.all(crashTaskIds.map((taskId, index) =>
+    jobProcessor.processCallback(taskId, successCallback(taskId, index + 1))
+  ));
+  assert.strictEqual((await redisService.claimWork('dead-worker', 1)).jobId, 'job_crash');
+  await jobStateMachine.transition('job_crash', 'stitching');
+  assert.strictEqual(await stitchWorker.runOnce(), false, 'leased work is not claimed twice');
+
+  await new Promise((resolve) => setTimeout(resolve, 1100));
+  await drainWorkQueue();
+  const crashJob = await redisService.getJob('job_crash');
+  assert.strictEqual(crashJob.status, 'completed');
+  assert.deepStrictEqual(
+    crashJob.history.slice(2).map((entry) => [entry.status, entry.resume]),
+    [
+      ['processing', undefined],
+      ['stitching', undefined],
+      ['processing', 'stitch-retry'],
+      ['stitching', undefined],
+      ['completed', undefined],
+    ]
+  );
+  assert.strictEqual(await jobProcessor.isStitchingQueued('job_crash'), false);
+  console.log('✅ Stitch work of a dead worker retried after its lease expired');
+
+  // A worker whose lease was taken over stops: ffmpeg is killed and the job is neither failed nor completed
+  const stubProcessStitching = jobProcessor.processStitching;
+  delete jobProcessor.processStitching;
+  const realProcessVideos = videoService.processVideos;
+  let stitchStarted;
+  const stitchRunning = new Promise((resolve) => {
+    stitchStarted = resolve;
+  });
+  let stitchSignal;
+  videoService.processVideos = (urls, { signal }) => new Promise((resolve, reject) => {
+    stitchSignal = signal;
+    stitchStarted();
+    // As a killed ffmpeg process would
+    signal.addEventListener('abort', () => reject(new Error('ffmpeg was killed with signal SIGKILL')));
+  });
+
+  const leaseTaskIds = await createJob('job_lease_lost', 2);
+  for (const [index, taskId] of leaseTaskIds.entries()) {
+    await jobProcessor.processCallback(taskId, successCallback(taskId, index + 1));
+  }
+  const leaseRun = stitchWorker.runOnce();
+  await stitchRunning;
+  await redisService.store.set('work:lease:stitch:job_lease_lost', 'other-worker', { ex: 60 });
+  assert.strictEqual(await leaseRun, true);
+
+  assert.strictEqual(stitchSignal.aborted, true);
+  assert.strictEqual((await redisService.getJob('job_lease_lost')).status, 'stitching');
+  assert.strictEqual(await jobProcessor.isStitchingQueued('job_lease_lost'), true, 'work left to the new owner');
+  assert.strictEqual(await redisService.store.get('work:lease:stitch:job_lease_lost'), 'other-worker');
+
+  videoService.processVideos = realProcessVideos;
+  jobProcessor.processStitching = stubProcessStitching;
+  await redisService.releaseWork('stitch:job_lease_lost', 'other-worker');
+  await drainWorkQueue();
+  assert.strictEqual((await redisService.getJob('job_lease_lost')).status, 'completed');
+  console.log('✅ Work aborted when its lease was lost');
+
+  // Shutdown waits for in-flight work, then cancels it and hands it to another worker
+  let shutdownSignal;
+  jobProcessor.processStitching = (jobId, { signal }) => {
+    shutdownSignal = signal;
+    return new Promise(() => {});
+  };
+  const slowTaskIds = await createJob('job_shutdown', 2);
+  for (const [index, taskId] of slowTaskIds.entries()) {
+    await jobProcessor.processCallback(taskId, successCallback(taskId, index + 1));
+  }
+  stitchWorker.start();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  await stitchWorker.stop();
+
+  jobProcessor.processStitching = stubProcessStitching;
+  assert.strictEqual(shutdownSignal.aborted, true, 'in-flight run cancelled before release');
+  assert.strictEqual((await redisService.claimWork('next-worker', 60)).jobId, 'job_shutdown');
+  console.log('✅ Unfinished work released on shutdown');
+
+  // Jobs whose stitch never reached the queue are re-queued by the reconciler
+  await createJob('job_lost', 2);
+  await redisService.storeVideoUrl('job_lost', 1, 'https://example.com/video1.mp4');
+  await redisService.storeVideoUrl('job_lost', 2, 'https://example.com/video2.mp4');
+  await jobStateMachine.transition('job_lost', 'processing');
+  assert.strictEqual(await jobProcessor.isStitchingQueued('job_lost'), false);
+  await jobReconciler.reconcileJob('job_lost');
+  await drainWorkQueue();
+  assert.strictEqual((await redisService.getJob('job_lost')).status, 'completed');
+  console.log('✅ Lost stitch work re-queued by the reconciler');
+
+  console.log('\n🎉 Callback tests passed');
+}
+
+testConcurrentCallbacks()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,152 @@
+/**
+ * Test script for the segment video downloader
+ * Serves videos from a local HTTP server that errors, stalls, truncates or
+ * oversizes its responses, and checks retries, limits and cleanup
+ */
+
+process.env.JOB_STORE = 'memory';
+process.env.VIDEO_DOWNLOAD_CONNECT_TIMEOUT = '300';
+process.env.VIDEO_DOWNLOAD_IDLE_TIMEOUT = '300';
+process.env.VIDEO_DOWNLOAD_MAX_BYTES = '1024';
+process.env.VIDEO_DOWNLOAD_MAX_ATTEMPTS = '3';
+process.env.VIDEO_DOWNLOAD_BACKOFF = '10';
+
+const assert = require('assert');
+const fs = require('fs-extra');
+const http = require('http');
+const path = require('path');
+const videoService = require('./src/services/videoService');
+
+const VIDEO = Buffer.from('FAKEVIDEO'.padEnd(600, '.'));
+
+/**
+ * Start a server answering each path with a list of handlers, one per request
+ * @param {Object<string, Function[]>} routes - Handlers by path; the last one repeats
+ */
+function startServer(routes) {
+  const hits = {};
+  const server = http.createServer((req, res) => {
+    hits[req.url] = (hits[req.url] || 0) + 1;
+    const handlers = routes[req.url];
+    handlers[Math.min(hits[req.url], handlers.length) - 1](req, res);
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, hits }));
+  });
+}
+
+const ok = (req, res) => {
+  res.writeHead(200, { 'Content-Type': 'video/mp4', 'Content-Length': VIDEO.length });
+  res.end(VIDEO);
+};
+
+async function testDownloader() {
+  console.log('🧪 Testing video downloader...\n');
+
+  // The local server is plain http on an unlisted host; ffmpeg isn't needed
+  videoService.isAllowedUrl = () => true;
+  videoService.probeMedia = async (filePath) => {
+    const content = await fs.readFile(filePath);
+    if (!content.toString().startsWith('FAKEVIDEO')) {
+      throw new Error('Failed to probe media: Invalid data found when processing input');
+    }
+    return { duration: 4, hasAudio: false, video: { codec_type: 'video' }, audio: null };
+  };
+
+  const { server, hits } = await startServer({
+    '/ok.mp4': [ok],
+    '/flaky.mp4': [(req, res) => res.writeHead(503).end(), ok],
+    '/missing.mp4': [(req, res) => res.writeHead(404).end()],
+    '/truncated.mp4': [
+      (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'video/mp4', 'Content-Length': VIDEO.length });
+        res.write(VIDEO.subarray(0, 100), () => res.destroy());
+      },
+      ok,
+    ],
+    '/stalled.mp4': [
+      (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'video/mp4', 'Content-Length': VIDEO.length });
+        res.write(VIDEO.subarray(0, 100));
+      },
+    ],
+    '/no-headers.mp4': [() => {}],
+    '/large.mp4': [
+      (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'video/mp4', 'Content-Length': 4096 });
+        res.end(Buffer.alloc(4096));
+      },
+    ],
+    '/large-chunked.mp4': [
+      (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'video/mp4' });
+        res.end(Buffer.alloc(4096));
+      },
+    ],
+    '/page.html': [
+      (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end('<html></html>');
+      },
+    ],
+    '/corrupt.mp4': [
+      (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+        res.end('not a video');
+      },
+    ],
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const download = (name) => videoService.downloadVideo(`${baseUrl}/${name}`, `test_download_${name}`);
+  const tempFile = (name) => path.join(videoService.tempDir, `test_download_${name}`);
+
+  /**
+   * Expect a download to fail without leaving a file behind
+   */
+  const expectFailure = async (name, pattern, attempts) => {
+    await assert.rejects(download(name), pattern);
+    assert.strictEqual(hits[`/${name}`], attempts, name);
+    assert.strictEqual(await fs.pathExists(tempFile(name)), false, name);
+  };
+
+  try {
+    const filePath = await download('ok.mp4');
+    assert.deepStrictEqual(await fs.readFile(filePath), VIDEO);
+    await fs.remove(filePath);
+    console.log('✅ Downloads a valid video');
+
+    await fs.remove(await download('flaky.mp4'));
+    assert.strictEqual(hits['/flaky.mp4'], 2);
+    await fs.remove(await download('truncated.mp4'));
+    assert.strictEqual(hits['/truncated.mp4'], 2);
+    console.log('✅ Retries 5xx responses and dropped connections');
+
+    await expectFailure('missing.mp4', /Video host returned 404/, 1);
+    console.log('✅ Client errors are not retried');
+
+    await expectFailure('stalled.mp4', /No data received for 300ms/, 3);
+    await expectFailure('no-headers.mp4', /No response within 300ms/, 3);
+    console.log('✅ Stalled downloads time out, are retried, then fail');
+
+    await expectFailure('large.mp4', /over the 1024 byte limit/, 1);
+    await expectFailure('large-chunked.mp4', /over the 1024 byte limit/, 1);
+    console.log('✅ Videos over the size cap are refused');
+
+    await expectFailure('page.html', /Unexpected Content-Type: text\/html/, 1);
+    await expectFailure('corrupt.mp4', /not a readable video/, 1);
+    console.log('✅ Wrong MIME types and unreadable files are refused and removed');
+
+    console.log('\n🎉 Downloader tests passed');
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+}
+
+testDownloader()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  });
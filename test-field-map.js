@@ -0,0 +1,115 @@
+/**
+ * Test script for the Airtable field map
+ * Loads the bundled map and per-table overrides, reads records through it,
+ * and checks validation against table schemas
+ */
+
+const assert = require('assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const config = require('./src/config/config');
+const AirtableFieldMap = require('./src/services/airtableFieldMap');
+
+/**
+ * Table schema as returned by the Airtable metadata API
+ * @param {Object<string, string>} fields - Field types by name
+ */
+function table(fields) {
+  return { name: 'Videos', fields: Object.entries(fields).map(([name, type]) => ({ name, type })) };
+}
+
+async function testFieldMap() {
+  console.log('🧪 Testing Airtable field map...\n');
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'field-map-'));
+
+  try {
+    // The bundled map names the fields of the sample table
+    const map = AirtableFieldMap.load(config.airtable.fieldMapPath, 'appTest', 'Videos');
+    assert.deepStrictEqual(map.candidates('prompt', 3), ['Prompt 3', 'Prompt3']);
+    assert.strictEqual(map.name('video'), 'Video');
+    assert.throws(() => map.name('thumbnail'), /Unknown Airtable field "thumbnail"/);
+
+    // Reads take the first candidate with a value
+    const record = { id: 'rec1', fields: { 'Prompt 1': '', Prompt1: 'Fallback', 'Prompt 2': 'Second' } };
+    assert.strictEqual(map.read(record, 'prompt', 1), 'Fallback');
+    assert.strictEqual(map.read(record, 'prompt', 2), 'Second');
+    assert.strictEqual(map.read(record, 'voiceover', 1), undefined);
+    console.log('✅ Bundled map loaded and read');
+
+    // Overrides replace the names of one base/table's fields and nothing else
+    const filePath = path.join(dir, 'fieldMap.json');
+    const definition = await fs.readJson(config.airtable.fieldMapPath);
+    definition.overrides = {
+      'appOther/Clips': { prompt: ['Scene {n}', 'Shot {n}'], video: 'Final Cut' },
+    };
+    await fs.writeJson(filePath, definition);
+
+    const overridden = AirtableFieldMap.load(filePath, 'appOther', 'Clips');
+    assert.deepStrictEqual(overridden.candidates('prompt', 2), ['Scene 2', 'Shot 2']);
+    assert.strictEqual(overridden.name('video'), 'Final Cut');
+    assert.strictEqual(overridden.name('status'), 'Status');
+    assert.deepStrictEqual(overridden.getField('prompt').types, definition.fields.prompt.types);
+    assert.strictEqual(overridden.getField('prompt').perSegment, true);
+    assert.strictEqual(AirtableFieldMap.load(filePath, 'appOther', 'Videos').name('video'), 'Video');
+
+    definition.overrides['appOther/Clips'].thumbnail = 'Thumb';
+    await fs.writeJson(filePath, definition);
+    assert.throws(
+      () => AirtableFieldMap.load(filePath, 'appOther', 'Clips'),
+      /Field map override for unknown field "thumbnail" \(appOther\/Clips\)/
+    );
+    console.log('✅ Per-table overrides applied');
+
+    // A matching table validates, and writes use the names it has
+    const fullMap = AirtableFieldMap.load(config.airtable.fieldMapPath, 'appTest', 'Videos');
+    let result = fullMap.validate(table({
+      Prompt1: 'multilineText',
+      Prompt2: 'singleLineText',
+      Prompt3: 'richText',
+      'Voiceover 1': 'multilineText',
+      Status: 'singleSelect',
+      Error: 'multilineText',
+      'Master Prompt': 'multilineText',
+      Video: 'multipleAttachments',
+    }), 2, 5);
+    assert.deepStrictEqual(result, { errors: [], warnings: [] });
+    assert.strictEqual(fullMap.name('prompt', 2), 'Prompt2');
+    assert.strictEqual(fullMap.name('voiceover', 1), 'Voiceover 1');
+    assert.strictEqual(fullMap.name('prompt', 4), 'Prompt 4', 'unresolved segments keep the first candidate');
+    console.log('✅ Matching schema validates and resolves names');
+
+    // Required fields and the minimum segments must exist; optional ones only warn
+    const partialMap = AirtableFieldMap.load(config.airtable.fieldMapPath, 'appTest', 'Videos');
+    assert.strictEqual(partialMap.isMissing('error'), false, 'unvalidated fields are assumed to exist');
+    result = partialMap.validate(table({
+      'Prompt 1': 'multilineText',
+      Status: 'checkbox',
+      Video: 'url',
+    }), 2, 5);
+    assert.deepStrictEqual(result.errors, [
+      'Missing field for prompt (segment 2): expected one of "Prompt 2", "Prompt2"',
+      'Field "Status" for status has type "checkbox", expected singleSelect or singleLineText',
+      'Field "Video" for video has type "url", expected multipleAttachments',
+    ]);
+    assert.deepStrictEqual(result.warnings, [
+      'Optional field for error not found: "Error"',
+      'Optional field for masterPrompt not found: "Master Prompt"',
+    ]);
+    assert.strictEqual(partialMap.isMissing('error'), true);
+    assert.strictEqual(partialMap.isMissing('status'), false);
+    console.log('✅ Missing and mistyped fields reported');
+
+    console.log('\n🎉 Field map tests passed');
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+testFieldMap()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,164 @@
+/**
+ * Test script for the liveness and readiness probes
+ * Calls /api/health/live and /api/health/ready over HTTP with working and
+ * broken dependencies and checks the per-check results and status codes
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tenantsPath = path.join(os.tmpdir(), `test-health-tenants-${process.pid}.json`);
+fs.writeFileSync(tenantsPath, JSON.stringify({
+  acme: { airtable: { apiKey: 'pat_acme', baseId: 'appAcme', tableName: 'Videos' }, sora: { apiKey: 'sora_acme_key' } },
+}));
+
+process.env.JOB_STORE = 'memory';
+process.env.TENANTS_CONFIG_PATH = tenantsPath;
+process.env.SORA_API_KEY = 'sora_test_key';
+process.env.HEALTH_MIN_FREE_DISK_MB = '100';
+process.env.HEALTH_CHECK_TIMEOUT = '200';
+
+const assert = require('assert');
+const express = require('express');
+const redisService = require('./src/services/redisService');
+const videoService = require('./src/services/videoService');
+const tenantService = require('./src/services/tenantService');
+const healthService = require('./src/services/healthService');
+const videoRoutes = require('./src/routes/videoRoutes');
+
+/**
+ * Start the API routes on a random port
+ */
+function startServer() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', videoRoutes);
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, () => resolve(server));
+  });
+}
+
+async function testHealth() {
+  console.log('🧪 Testing health probes...\n');
+
+  // External dependencies are replaced; the job store is the real in-memory one
+  let freeMb = 2048;
+  let ffmpegInstalled = true;
+  let airtableAuth = async () => ({ id: 'usrAcme' });
+  videoService.checkBinaries = async () => {
+    if (!ffmpegInstalled) {
+      throw new Error('ffmpeg is not available: spawn ffmpeg ENOENT');
+    }
+    return { ffmpeg: 'ffmpeg version 6.0', ffprobe: 'ffprobe version 6.0' };
+  };
+  videoService.getFreeDiskSpace = async () => freeMb * 1024 * 1024;
+  tenantService.getAirtableService('acme').checkAuth = () => airtableAuth();
+
+  const server = await startServer();
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  const ready = async () => {
+    healthService.lastReadiness = null;
+    const response = await fetch(`${baseUrl}/health/ready`);
+    return { status: response.status, body: await response.json() };
+  };
+
+  try {
+    const live = await fetch(`${baseUrl}/health/live`);
+    assert.strictEqual(live.status, 200);
+    assert.strictEqual((await live.json()).status, 'alive');
+    console.log('✅ Liveness answers without checking dependencies');
+
+    // Everything works; the default tenant has no Airtable, the acme tenant's Sora key is gone
+    tenantService.getTenant('acme').sora.apiKey = '';
+    let result = await ready();
+    const { checks } = result.body;
+    assert.deepStrictEqual(Object.keys(checks).sort(), [
+      'airtable', 'airtable:acme', 'ffmpeg', 'jobStore', 'sora', 'sora:acme', 'tempDisk',
+    ]);
+    assert.strictEqual(checks.ffmpeg.status, 'ok');
+    assert.strictEqual(checks.jobStore.status, 'ok');
+    assert.strictEqual(checks.tempDisk.freeMb, 2048);
+    assert.strictEqual(checks.airtable.status, 'skipped');
+    assert.strictEqual(checks['airtable:acme'].status, 'ok');
+    assert.strictEqual(checks.sora.status, 'ok');
+    assert.strictEqual(checks['sora:acme'].status, 'fail');
+    assert.ok(Object.values(checks).every((check) => typeof check.latencyMs === 'number'));
+    console.log('✅ Each check reports its own status and latency');
+
+    // Another tenant's missing key degrades the instance but keeps it in rotation
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(result.body.status, 'degraded');
+    assert.deepStrictEqual(result.body.degraded, ['sora:acme']);
+
+    airtableAuth = async () => {
+      throw new Error('Request failed with status code 401');
+    };
+    result = await ready();
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(result.body.checks['airtable:acme'].status, 'fail');
+    assert.deepStrictEqual(result.body.degraded.sort(), ['airtable:acme', 'sora:acme']);
+    console.log('✅ Tenant-specific failures only mark the instance degraded');
+
+    // With every check passing the instance is ready
+    airtableAuth = async () => ({ id: 'usrAcme' });
+    tenantService.getTenant('acme').sora.apiKey = 'sora_acme_key';
+    result = await ready();
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(result.body.status, 'ready');
+    assert.deepStrictEqual(result.body.degraded, []);
+    console.log('✅ Ready when every check passes');
+
+    // Each broken shared dependency, or the default tenant, takes the instance out of rotation
+    const defaultSoraKey = tenantService.getTenant('default').sora.apiKey;
+    tenantService.getTenant('default').sora.apiKey = '';
+    result = await ready();
+    assert.strictEqual(result.status, 503);
+    assert.strictEqual(result.body.checks.sora.status, 'fail');
+    tenantService.getTenant('default').sora.apiKey = defaultSoraKey;
+
+    const failures = {
+      ffmpeg: () => { ffmpegInstalled = false; },
+      tempDisk: () => { freeMb = 50; },
+      jobStore: () => {
+        redisService.ping = async () => {
+          throw new Error('Unauthorized');
+        };
+      },
+    };
+
+    for (const [name, breakIt] of Object.entries(failures)) {
+      breakIt();
+      result = await ready();
+      assert.strictEqual(result.status, 503, name);
+      assert.strictEqual(result.body.checks[name].status, 'fail', name);
+      assert.ok(result.body.checks[name].error, name);
+    }
+    console.log('✅ Not ready when ffmpeg, disk, the job store or the default tenant fail');
+
+    // A hanging dependency fails its check instead of hanging the probe
+    airtableAuth = () => new Promise(() => {});
+    result = await ready();
+    assert.match(result.body.checks['airtable:acme'].error, /Timed out after 200ms/);
+    console.log('✅ Slow checks time out');
+
+    // Results are reused between frequent probes
+    const cached = await fetch(`${baseUrl}/health/ready`).then((response) => response.json());
+    const again = await fetch(`${baseUrl}/health/ready`).then((response) => response.json());
+    assert.strictEqual(again.timestamp, cached.timestamp);
+    console.log('✅ Readiness results cached between probes');
+
+    console.log('\n🎉 Health tests passed');
+  } finally {
+    server.close();
+    fs.unlinkSync(tenantsPath);
+  }
+}
+
+testHealth()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  });
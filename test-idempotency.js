@@ -0,0 +1,155 @@
+/**
+ * Test script for idempotent generation requests
+ * Sends duplicate requests over HTTP (Idempotency-Key header, and repeated
+ * Airtable record requests without one) and checks that only one job is started
+ */
+
+const crypto = require('crypto');
+
+process.env.JOB_STORE = 'memory';
+process.env.API_AUTH_ENABLED = 'true';
+process.env.API_KEYS = JSON.stringify({
+  airtable: {
+    hash: crypto.createHash('sha256').update('sk_test_airtable').digest('hex'),
+    tenants: ['default'],
+    scopes: ['generate'],
+    dailyGenerationQuota: 9,
+  },
+});
+
+const assert = require('assert');
+const express = require('express');
+const redisService = require('./src/services/redisService');
+const workflowService = require('./src/services/workflowService');
+const jobStateMachine = require('./src/services/jobStateMachine');
+const videoRoutes = require('./src/routes/videoRoutes');
+
+/**
+ * Start the API routes on a random port
+ */
+function startServer() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', videoRoutes);
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, () => resolve(server));
+  });
+}
+
+async function testIdempotency() {
+  console.log('🧪 Testing idempotent generation requests...\n');
+
+  // Jobs are stored but no Sora tasks are created
+  let started = 0;
+  let startDelay = 0;
+  let failNextStart = false;
+  workflowService.startJob = async ({ tenantId, recordId, segments }) => {
+    await new Promise((resolve) => setTimeout(resolve, startDelay));
+    if (failNextStart) {
+      failNextStart = false;
+      throw new Error('Sora is down');
+    }
+
+    const jobId = `job_idempotent_${++started}`;
+    await redisService.createJob(jobId, { tenantId, recordId, segmentCount: segments.length });
+    return { jobId, taskIds: [], taskFields: {} };
+  };
+  // Records read by process-record; editing one changes what it generates
+  const records = {};
+  let recordReads = 0;
+  workflowService.getRecordSegments = async (tenantId, recordId) => {
+    recordReads++;
+    return records[recordId] || [{ prompt: 'First prompt' }, { prompt: 'Second prompt' }];
+  };
+  workflowService.markRecordFailed = async () => {};
+
+  const server = await startServer();
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  const post = (route, body, headers = {}) => fetch(`${baseUrl}${route}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-API-Key': 'sk_test_airtable', ...headers },
+    body: JSON.stringify(body),
+  });
+
+  try {
+    // An Airtable automation retry sends the same record again, without a header
+    const first = await post('/process-record', { recordId: 'recDuplicate' });
+    const retry = await post('/process-record', { recordId: 'recDuplicate' });
+    assert.strictEqual(first.status, 202);
+    assert.strictEqual(retry.status, 202);
+    assert.strictEqual(retry.headers.get('idempotent-replayed'), 'true');
+    assert.strictEqual((await retry.json()).data.jobId, (await first.json()).data.jobId);
+    assert.strictEqual(started, 1);
+    assert.strictEqual(recordReads, 2, 'the record is read once per request');
+    console.log('✅ Repeated record request returned the original job');
+
+    // A double-click arrives while the first request is still running
+    startDelay = 50;
+    const clicks = await Promise.all([
+      post('/process-record', { recordId: 'recDoubleClick' }),
+      post('/process-record', { recordId: 'recDoubleClick' }),
+    ]);
+    startDelay = 0;
+    assert.deepStrictEqual(clicks.map((response) => response.status).sort(), [202, 409]);
+    assert.strictEqual(started, 2);
+    console.log('✅ Concurrent duplicate rejected while the first is running');
+
+    // Editing the record's prompts and sending it again starts a new job
+    records.recEdited = [{ prompt: 'First prompt' }, { prompt: 'Second prompt' }];
+    const original = await (await post('/process-record', { recordId: 'recEdited' })).json();
+    records.recEdited = [{ prompt: 'First prompt' }, { prompt: 'Second prompt, reworded' }];
+    const edited = await post('/process-record', { recordId: 'recEdited' });
+    assert.strictEqual(edited.status, 202);
+    assert.strictEqual(edited.headers.get('idempotent-replayed'), null);
+    assert.notStrictEqual((await edited.json()).data.jobId, original.data.jobId);
+    assert.strictEqual(started, 4);
+    console.log('✅ Edited record started a new job');
+
+    // Idempotency-Key header on a direct API call
+    const body = { segments: ['First prompt', 'Second prompt'] };
+    const keyed = await post('/generate-video', body, { 'Idempotency-Key': 'order-42' });
+    const keyedAgain = await post('/generate-video', body, { 'Idempotency-Key': 'order-42' });
+    assert.strictEqual((await keyedAgain.json()).data.jobId, (await keyed.json()).data.jobId);
+    assert.strictEqual(started, 5);
+
+    const reused = await post('/generate-video', { segments: ['Other', 'Prompts'] }, { 'Idempotency-Key': 'order-42' });
+    assert.strictEqual(reused.status, 422);
+    console.log('✅ Idempotency-Key replayed, reuse with another body rejected');
+
+    // A request that failed frees its key for the retry
+    failNextStart = true;
+    assert.strictEqual((await post('/process-record', { recordId: 'recFlaky' })).status, 500);
+    assert.strictEqual((await post('/process-record', { recordId: 'recFlaky' })).status, 202);
+    assert.strictEqual(started, 6);
+
+    // So does a job that failed after it was started
+    await jobStateMachine.transition('job_idempotent_1', 'failed', {}, { error: 'Sora failed' });
+    const rerun = await post('/process-record', { recordId: 'recDuplicate' });
+    assert.strictEqual((await rerun.json()).data.jobId, 'job_idempotent_7');
+    console.log('✅ Failed requests and failed jobs can be retried');
+
+    // Requests without a record or header are never deduplicated
+    await post('/generate-video', body);
+    await post('/generate-video', body);
+    assert.strictEqual(started, 9);
+    console.log('✅ Requests without a key are not deduplicated');
+
+    // Replays and failures didn't use up the quota of 9 jobs; a tenth job does
+    assert.strictEqual((await post('/process-record', { recordId: 'recDuplicate' })).status, 202);
+    assert.strictEqual((await post('/process-record', { recordId: 'recOverQuota' })).status, 429);
+    assert.strictEqual(started, 9);
+    console.log('✅ Replays not counted against the daily quota');
+
+    console.log('\n🎉 Idempotency tests passed');
+  } finally {
+    server.close();
+  }
+}
+
+testIdempotency()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  });
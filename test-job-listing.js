@@ -0,0 +1,154 @@
+/**
+ * Test script for job listing
+ * Lists jobs over HTTP with status, record, tenant and created-at filters and
+ * pagination, checks that expired jobs drop out of the results and total,
+ * and that listed and re-run jobs point at the same absolute status URL
+ */
+
+process.env.JOB_STORE = 'memory';
+process.env.API_AUTH_ENABLED = 'false';
+process.env.PUBLIC_URL = 'https://videos.example.com';
+
+const assert = require('assert');
+const express = require('express');
+const redisService = require('./src/services/redisService');
+const jobStateMachine = require('./src/services/jobStateMachine');
+const workflowService = require('./src/services/workflowService');
+const config = require('./src/config/config');
+const videoRoutes = require('./src/routes/videoRoutes');
+
+/**
+ * Start the API routes on a random port
+ */
+function startServer() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', videoRoutes);
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, () => resolve(server));
+  });
+}
+
+async function testJobListing() {
+  console.log('🧪 Testing job listing...\n');
+
+  // No Airtable records are updated
+  jobStateMachine.syncAirtable = async () => {};
+
+  // One job a minute, oldest first: job_1 .. job_6
+  const base = Date.now() - 10 * 60 * 1000;
+  const createdAt = (n) => base + n * 60 * 1000;
+  const jobs = [
+    { jobId: 'job_1', tenantId: 'default', recordId: 'recA' },
+    { jobId: 'job_2', tenantId: 'acme' },
+    { jobId: 'job_3', tenantId: 'default', recordId: 'recA' },
+    { jobId: 'job_4', tenantId: 'acme', recordId: 'recB' },
+    { jobId: 'job_5', tenantId: 'default' },
+    { jobId: 'job_6', tenantId: 'acme' },
+  ];
+  for (const [index, job] of jobs.entries()) {
+    await redisService.createJob(job.jobId, { ...job, segmentCount: 2, createdAt: createdAt(index + 1) });
+  }
+  await jobStateMachine.transition('job_2', 'generating');
+  await jobStateMachine.transition('job_3', 'generating');
+  await jobStateMachine.transition('job_4', 'failed', {}, { error: 'Sora is down' });
+
+  const server = await startServer();
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  const list = async (query = '') => {
+    const response = await fetch(`${baseUrl}/jobs${query}`);
+    return { status: response.status, body: await response.json() };
+  };
+  const ids = (result) => result.body.data.jobs.map((job) => job.jobId);
+
+  try {
+    let result = await list();
+    assert.strictEqual(result.status, 200);
+    assert.deepStrictEqual(ids(result), ['job_6', 'job_5', 'job_4', 'job_3', 'job_2', 'job_1']);
+    assert.strictEqual(result.body.data.total, 6);
+    const job4 = result.body.data.jobs.find((job) => job.jobId === 'job_4');
+    assert.strictEqual(job4.status, 'failed');
+    assert.strictEqual(job4.recordId, 'recB');
+    assert.strictEqual(job4.segmentCount, 2);
+    console.log('✅ Lists every job, newest first');
+
+    result = await list('?status=generating,failed');
+    assert.deepStrictEqual(ids(result), ['job_4', 'job_3', 'job_2']);
+    result = await list('?status=pending');
+    assert.deepStrictEqual(ids(result), ['job_6', 'job_5', 'job_1']);
+    assert.strictEqual((await list('?status=stuck')).status, 400);
+    console.log('✅ Filters by one or more statuses');
+
+    assert.deepStrictEqual(ids(await list('?recordId=recA')), ['job_3', 'job_1']);
+    assert.deepStrictEqual(ids(await list('?tenant=acme')), ['job_6', 'job_4', 'job_2']);
+    assert.deepStrictEqual(ids(await list('?tenant=default&status=generating')), ['job_3']);
+    console.log('✅ Filters by record and tenant, combined with AND');
+
+    result = await list(`?createdFrom=${createdAt(2)}&createdTo=${new Date(createdAt(4)).toISOString()}`);
+    assert.deepStrictEqual(ids(result), ['job_4', 'job_3', 'job_2']);
+    assert.strictEqual((await list('?createdFrom=yesterday')).status, 400);
+    console.log('✅ Filters by created-at range');
+
+    result = await list('?limit=2&offset=1');
+    assert.deepStrictEqual(ids(result), ['job_5', 'job_4']);
+    assert.strictEqual(result.body.data.total, 6);
+    assert.strictEqual(result.body.data.limit, 2);
+    assert.strictEqual(result.body.data.offset, 1);
+    assert.deepStrictEqual(ids(await list('?limit=2&offset=6')), []);
+    console.log('✅ Paginates with limit and offset');
+
+    // Job data expires on its own TTL; its index entries go with it
+    await redisService.store.del('job:job_5', 'job:job_2');
+    result = await list();
+    assert.deepStrictEqual(ids(result), ['job_6', 'job_4', 'job_3', 'job_1']);
+    assert.strictEqual(result.body.data.total, 4);
+    result = await list('?tenant=acme&limit=1');
+    assert.deepStrictEqual(ids(result), ['job_6']);
+    assert.strictEqual(result.body.data.total, 2);
+    assert.deepStrictEqual(
+      await redisService.getIndexedIds('jobs:index:created', '-inf', '+inf'),
+      ['job_1', 'job_3', 'job_4', 'job_6']
+    );
+    console.log('✅ Expired jobs are pruned and not counted in total');
+
+    // A job kept alive by updates stays listed, however long ago it was created
+    const indexTtl = config.job.ttl + Math.ceil(config.job.timeout / 1000);
+    await redisService.createJob('job_old', {
+      tenantId: 'default',
+      segmentCount: 2,
+      createdAt: Date.now() - (indexTtl + 60) * 1000,
+    });
+    await jobStateMachine.transition('job_old', 'generating');
+    result = await list();
+    assert.deepStrictEqual(ids(result), ['job_6', 'job_4', 'job_3', 'job_1', 'job_old']);
+    assert.strictEqual(result.body.data.total, 5);
+    console.log('✅ Long-running jobs stay listed');
+
+    // Re-runs answer with the same absolute status URL as the listing
+    workflowService.restitchJob = async (jobId) => ({ ...(await redisService.getJob(jobId)), status: 'processing' });
+    workflowService.regenerateSegment = async (jobId) => ({
+      job: { ...(await redisService.getJob(jobId)), status: 'generating' },
+      taskId: 'task_regenerated',
+    });
+    const statusUrl = 'https://videos.example.com/api/job/job_4';
+    assert.strictEqual(result.body.data.jobs.find((job) => job.jobId === 'job_4').statusUrl, statusUrl);
+    for (const route of ['/job/job_4/restitch', '/job/job_4/regenerate-segment/2']) {
+      const response = await fetch(`${baseUrl}${route}`, { method: 'POST' });
+      assert.strictEqual(response.status, 202, route);
+      assert.strictEqual((await response.json()).data.statusUrl, statusUrl, route);
+    }
+    console.log('✅ Re-runs return an absolute status URL');
+
+    console.log('\n🎉 Job listing tests passed');
+  } finally {
+    server.close();
+  }
+}
+
+testJobListing()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,138 @@
+/**
+ * Test script for structured logging
+ * Captures log lines and checks their JSON shape, redaction of prompts and
+ * secrets, levels, and correlation IDs carried across async work
+ */
+
+const assert = require('assert');
+const Logger = require('./src/utils/logger');
+
+/**
+ * Run a function and return the log entries it wrote
+ * @param {Function} fn - Function to run
+ */
+async function captureLogs(fn) {
+  const lines = [];
+  const writes = { stdout: process.stdout.write, stderr: process.stderr.write };
+  const capture = (chunk) => {
+    lines.push(String(chunk));
+    return true;
+  };
+  process.stdout.write = capture;
+  process.stderr.write = capture;
+
+  try {
+    await fn();
+  } finally {
+    process.stdout.write = writes.stdout;
+    process.stderr.write = writes.stderr;
+  }
+
+  return lines.join('').split('\n').filter(Boolean).map((line) => JSON.parse(line));
+}
+
+async function testLogging() {
+  console.log('🧪 Testing structured logging...\n');
+
+  // One JSON object per line, with extra fields at the top level
+  const [entry] = await captureLogs(() => Logger.info('Job created', { jobId: 'job_1', segmentCount: 2 }));
+  assert.strictEqual(entry.level, 'info');
+  assert.strictEqual(entry.msg, 'Job created');
+  assert.strictEqual(entry.jobId, 'job_1');
+  assert.strictEqual(entry.segmentCount, 2);
+  assert.ok(!Number.isNaN(Date.parse(entry.time)));
+  console.log('✅ Single-line JSON entries');
+
+  // Prompts and secrets are redacted wherever they are nested; counts stay readable
+  const [redacted] = await captureLogs(() => Logger.info('Starting workflow', {
+    segments: [{ prompt: 'A cat on a skateboard', overlays: [] }],
+    voiceover: { script: 'Buy now' },
+    promptCount: 1,
+    headers: { authorization: 'Bearer sk_live', 'x-api-key': 'sk_live' },
+    callBackUrl: 'https://example.com/api/callback/sora/abc123secret',
+  }));
+  assert.strictEqual(redacted.segments[0].prompt, '[REDACTED]');
+  assert.strictEqual(redacted.voiceover, '[REDACTED]');
+  assert.strictEqual(redacted.promptCount, 1);
+  assert.strictEqual(redacted.headers.authorization, '[REDACTED]');
+  assert.strictEqual(redacted.headers['x-api-key'], '[REDACTED]');
+  assert.strictEqual(redacted.callBackUrl, 'https://example.com/api/callback/sora/[REDACTED]');
+  console.log('✅ Prompts, secrets and callback tokens redacted');
+
+  // Signed URLs are logged without their query string
+  const presigned = 'https://bucket.s3.amazonaws.com/videos/stitched_1.mp4?X-Amz-Credential=AKID&X-Amz-Signature=abc';
+  const [signed] = await captureLogs(() => Logger.info(`Fetching ${presigned}`, {
+    url: presigned,
+    fileUrl: 'https://videos.example.com/api/files/stitched_1.mp4?expires=1700000000&signature=abc',
+  }));
+  assert.strictEqual(signed.msg, 'Fetching https://bucket.s3.amazonaws.com/videos/stitched_1.mp4?[REDACTED]');
+  assert.strictEqual(signed.url, 'https://bucket.s3.amazonaws.com/videos/stitched_1.mp4?[REDACTED]');
+  assert.strictEqual(signed.fileUrl, 'https://videos.example.com/api/files/stitched_1.mp4?[REDACTED]');
+  console.log('✅ URL query strings redacted');
+
+  // Errors are serialized instead of logged as {}, and redacted like any other text
+  const [failure] = await captureLogs(() => Logger.error('Stitching failed', new Error('ffmpeg exited')));
+  assert.strictEqual(failure.level, 'error');
+  assert.strictEqual(failure.error.message, 'ffmpeg exited');
+  assert.match(failure.error.stack, /^Error: ffmpeg exited\n\s+at /);
+
+  const leaky = new Error(`Request to ${presigned} failed, callback https://example.com/api/callback/sora/abc123secret`);
+  for (const [logged] of [
+    await captureLogs(() => Logger.error('Upload failed', leaky)),
+    await captureLogs(() => Logger.warn('Upload failed', { error: leaky })),
+  ]) {
+    const serialized = logged.error;
+    for (const text of [serialized.message, serialized.stack]) {
+      assert.ok(!text.includes('X-Amz-Signature') && !text.includes('abc123secret'), text);
+      assert.ok(text.includes('stitched_1.mp4?[REDACTED]') && text.includes('/api/callback/sora/[REDACTED]'), text);
+    }
+  }
+  console.log('✅ Errors serialized with messages and stacks redacted');
+
+  // Levels below the minimum are dropped; unknown levels are rejected
+  const debugLines = await captureLogs(() => {
+    Logger.debug('Hidden');
+    Logger.setLevel('debug');
+    Logger.debug('Shown');
+    Logger.setLevel('info');
+  });
+  assert.deepStrictEqual(debugLines.map((line) => line.msg), ['Shown']);
+  assert.throws(() => Logger.setLevel('verbose'), /Unknown log level/);
+  assert.strictEqual(Logger.getLevel(), 'info');
+  console.log('✅ Log level changeable at runtime');
+
+  // Correlation fields follow the request into awaits, timers and later-added job IDs
+  const chain = await captureLogs(() => Logger.runWithContext({ requestId: 'req_1' }, async () => {
+    Logger.info('Callback received');
+    await Logger.runWithContext({ taskId: 'task_1' }, async () => {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      Logger.addContext({ jobId: 'job_1' });
+      await new Promise((resolve) => setImmediate(resolve));
+      Logger.info('Uploading final video');
+    });
+    Logger.info('Callback handled');
+  }));
+  assert.deepStrictEqual(chain.map(({ requestId, taskId, jobId }) => ({ requestId, taskId, jobId })), [
+    { requestId: 'req_1', taskId: undefined, jobId: undefined },
+    { requestId: 'req_1', taskId: 'task_1', jobId: 'job_1' },
+    { requestId: 'req_1', taskId: undefined, jobId: undefined },
+  ]);
+
+  // Queued work logs with the context of the job that queued it, not the one that runs it
+  let queued;
+  Logger.runWithContext({ jobId: 'job_queued' }, () => {
+    queued = Logger.bindContext(() => Logger.info('Processing queued operation'));
+  });
+  const [fromQueue] = await captureLogs(() => Logger.runWithContext({ jobId: 'job_running' }, queued));
+  assert.strictEqual(fromQueue.jobId, 'job_queued');
+  console.log('✅ Request and job IDs carried through async work');
+
+  console.log('\n🎉 Logging tests passed');
+}
+
+testLogging()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,139 @@
+/**
+ * Test script for the Prometheus metrics endpoint
+ * Drives jobs, Sora outcomes, queued stitch work and upstream failures
+ * through the services, then scrapes GET /metrics over HTTP
+ */
+
+const crypto = require('crypto');
+
+process.env.JOB_STORE = 'memory';
+process.env.API_AUTH_ENABLED = 'true';
+process.env.SORA_API_BASE_URL = 'http://127.0.0.1:9/api/v1';
+process.env.API_KEYS = JSON.stringify({
+  prometheus: {
+    hash: crypto.createHash('sha256').update('sk_test_prometheus').digest('hex'),
+    scopes: ['metrics'],
+  },
+  reader: {
+    hash: crypto.createHash('sha256').update('sk_test_reader').digest('hex'),
+    scopes: ['jobs:read'],
+  },
+});
+
+const assert = require('assert');
+const express = require('express');
+const redisService = require('./src/services/redisService');
+const jobStateMachine = require('./src/services/jobStateMachine');
+const segmentRetryService = require('./src/services/segmentRetryService');
+const soraService = require('./src/services/soraService');
+const videoService = require('./src/services/videoService');
+const metricsService = require('./src/services/metricsService');
+const metricsRoutes = require('./src/routes/metricsRoutes');
+
+/**
+ * Start the metrics route on a random port
+ */
+function startServer() {
+  const app = express();
+  app.use('/metrics', metricsRoutes);
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, () => resolve(server));
+  });
+}
+
+/**
+ * Value of one sample in Prometheus text format
+ * @param {string} text - Scraped metrics
+ * @param {string} sample - Metric name with labels, e.g. foo_total{status="failed"}
+ */
+function sampleValue(text, sample) {
+  const line = text.split('\n').find((candidate) => candidate.startsWith(`${sample} `));
+  return line ? Number(line.slice(sample.length + 1)) : undefined;
+}
+
+async function testMetrics() {
+  console.log('🧪 Testing Prometheus metrics...\n');
+
+  const server = await startServer();
+  const url = `http://127.0.0.1:${server.address().port}/metrics`;
+  const scrape = async () => {
+    const response = await fetch(url, { headers: { Authorization: 'Bearer sk_test_prometheus' } });
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain/);
+    return await response.text();
+  };
+
+  try {
+    // Terminal states are counted once per job reaching them
+    await redisService.createJob('job_metrics_1', { segmentCount: 2 });
+    await jobStateMachine.transition('job_metrics_1', 'generating');
+    await jobStateMachine.transition('job_metrics_1', 'failed', {}, { error: 'Sora failed' });
+    await redisService.createJob('job_metrics_2', { segmentCount: 2 });
+    await jobStateMachine.transition('job_metrics_2', 'cancelled');
+
+    let text = await scrape();
+    assert.strictEqual(sampleValue(text, 'sora_stitcher_jobs_finished_total{status="failed"}'), 1);
+    assert.strictEqual(sampleValue(text, 'sora_stitcher_jobs_finished_total{status="cancelled"}'), 1);
+    console.log('✅ Jobs counted by terminal state');
+
+    // Generation latency runs from the attempt's submission to its callback
+    const job = await redisService.getJob('job_metrics_1');
+    job.attempts1 = [{ taskId: 'task_slow', submittedAt: Date.now() - 200 * 1000 }];
+    await segmentRetryService.recordOutcome('job_metrics_1', job, 1, 'task_slow', { state: 'success' });
+
+    text = await scrape();
+    assert.strictEqual(sampleValue(text, 'sora_stitcher_sora_generation_seconds_count{outcome="success"}'), 1);
+    assert.strictEqual(sampleValue(text, 'sora_stitcher_sora_generation_seconds_bucket{le="180",outcome="success"}'), 0);
+    assert.strictEqual(sampleValue(text, 'sora_stitcher_sora_generation_seconds_bucket{le="240",outcome="success"}'), 1);
+    console.log('✅ Sora generation latency observed');
+
+    // The queue gauge reports the shared work queue, queued and running work alike
+    await redisService.enqueueWork('stitch:job_metrics_1', { type: 'stitch', jobId: 'job_metrics_1' });
+    await redisService.enqueueWork('stitch:job_metrics_2', { type: 'stitch', jobId: 'job_metrics_2' });
+    await redisService.claimWork('metrics-worker', 60);
+
+    text = await scrape();
+    assert.strictEqual(sampleValue(text, 'sora_stitcher_stitch_queue_length'), 2);
+    await redisService.completeWork('stitch:job_metrics_1');
+    await redisService.completeWork('stitch:job_metrics_2');
+    [1, 2].forEach(() => metricsService.startStage('stitch')());
+
+    text = await scrape();
+    assert.strictEqual(sampleValue(text, 'sora_stitcher_stitch_queue_length'), 0);
+    assert.strictEqual(sampleValue(text, 'sora_stitcher_stage_duration_seconds_count{stage="stitch"}'), 2);
+    console.log('✅ Stitch queue length and stage durations reported');
+
+    // Failed calls are counted per provider; a refused video host counts as a failed download
+    await assert.rejects(soraService.createTask('A prompt', 'landscape', 'https://example.com/cb'));
+    await assert.rejects(videoService.downloadVideo('https://not-allowed.invalid/video.mp4', 'video.mp4'));
+
+    text = await scrape();
+    assert.strictEqual(
+      sampleValue(text, 'sora_stitcher_upstream_errors_total{provider="sora",operation="createTask"}'),
+      1
+    );
+    assert.strictEqual(
+      sampleValue(text, 'sora_stitcher_upstream_errors_total{provider="video_host",operation="download"}'),
+      1
+    );
+    assert.ok(sampleValue(text, 'sora_stitcher_process_cpu_seconds_total') >= 0);
+    console.log('✅ Upstream errors counted by provider');
+
+    // Scraping needs a key with the metrics scope
+    assert.strictEqual((await fetch(url)).status, 401);
+    assert.strictEqual((await fetch(url, { headers: { 'X-API-Key': 'sk_test_reader' } })).status, 403);
+    console.log('✅ Metrics require the metrics scope');
+
+    console.log('\n🎉 Metrics tests passed');
+  } finally {
+    server.close();
+  }
+}
+
+testMetrics()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  });
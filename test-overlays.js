@@ -0,0 +1,119 @@
+/**
+ * Test script for text overlays
+ * Plans title, outro and caption events across segments and checks the
+ * drawtext filters built for them, and that overlays can't set filter
+ * options of their own
+ */
+
+const assert = require('assert');
+const overlayService = require('./src/services/overlayService');
+
+async function testOverlays() {
+  console.log('🧪 Testing text overlays...\n');
+
+  // Overlay timing is relative to its segment; captions follow the voiceover
+  const events = overlayService.planEvents(
+    [
+      [{ text: 'Top AI tools', style: 'title' }, { text: 'Late', start: 4, duration: 5 }],
+      [{ text: 'Mid', start: 1, duration: 2 }, { text: 'Try it', style: 'outro' }],
+    ],
+    [5, 10],
+    [null, { text: 'one two three four five six seven', duration: 3.5 }]
+  );
+  const timings = events.map(({ text, start, end }) => [text, start, end]);
+  assert.deepStrictEqual(timings, [
+    ['Top AI tools', 0, 2],
+    ['Late', 4, 5],
+    ['Mid', 6, 8],
+    ['Try it', 14, 15],
+    ['one two three', 5, 6.5],
+    ['four five six', 6.5, 8],
+    ['seven', 8, 8.5],
+  ]);
+  assert.strictEqual(events[0].style.position, 'top');
+  assert.strictEqual(events[4].style.position, 'bottom');
+  console.log('✅ Titles, outros and captions placed at their segment offsets');
+
+  // Captions never run past their segment, and overlays without text are skipped
+  const clipped = overlayService.planEvents(
+    [[{ text: '' }, { text: 'Outro', style: 'outro', from_end: 3 }]],
+    [2],
+    [{ text: 'a b c d', duration: 4 }]
+  );
+  assert.deepStrictEqual(clipped.map(({ text, start, end }) => [text, start, end]), [
+    ['Outro', 0, 2],
+    ['a b c', 0, 1.5],
+    ['d', 1.5, 2],
+  ]);
+  console.log('✅ Timings clamped to the segment');
+
+  // Filters take every option from the named style
+  assert.strictEqual(
+    overlayService.buildDrawtextFilter(events[0], '/tmp/title.txt'),
+    "drawtext=textfile='/tmp/title.txt':expansion=none:fontsize=56:fontcolor=white:" +
+      "x=(w-text_w)/2:y=h*0.08:borderw=3:bordercolor=black:enable='between(t,0.000,2.000)'"
+  );
+  assert.strictEqual(
+    overlayService.buildDrawtextFilter(events[3], '/tmp/outro.txt'),
+    "drawtext=textfile='/tmp/outro.txt':expansion=none:fontsize=56:fontcolor=white:" +
+      "x=(w-text_w)/2:y=(h-text_h)/2:box=1:boxcolor=black@0.6:boxborderw=24:enable='between(t,14.000,15.000)'"
+  );
+  console.log('✅ drawtext filters built from the style');
+
+  // Styling fields and bad timings on an overlay never reach the filter
+  const [injected] = overlayService.planEvents(
+    [[{
+      text: 'Top AI tools',
+      style: 'title',
+      font_color: 'white:textfile=/etc/passwd',
+      position: 'top,movie=/etc/passwd',
+      box_color: 'black,movie=/etc/passwd',
+      start: '1',
+      duration: -3,
+    }]],
+    [5]
+  );
+  assert.strictEqual(
+    overlayService.buildDrawtextFilter(injected, '/tmp/title.txt'),
+    overlayService.buildDrawtextFilter(events[0], '/tmp/title.txt')
+  );
+  assert.deepStrictEqual(overlayService.planEvents([[{ text: 'x', style: 'constructor' }]], [5])[0].style, {
+    position: 'center',
+    font_size: 48,
+    font_color: 'white',
+  });
+  console.log('✅ Overlay styling overrides ignored');
+
+  // Requests are told why an overlay was rejected
+  const valid = [
+    { text: 'Top AI tools' },
+    { text: 'Top AI tools', style: 'rank', start: 0.5, duration: 1 },
+    { text: 'Try it', style: 'outro', from_end: 0 },
+  ];
+  for (const overlay of valid) {
+    assert.strictEqual(overlayService.validateOverlay(overlay), null, JSON.stringify(overlay));
+  }
+  const invalid = [
+    [{ text: 'x', style: 'huge' }, /unknown style "huge"/],
+    [{ text: 'x', style: 'constructor' }, /unknown style "constructor"/],
+    [{ text: 'x', font_color: 'white:textfile=/etc/passwd' }, /font_color can't be set per overlay/],
+    [{ text: 'x', position: 'top' }, /position can't be set per overlay/],
+    [{ text: 'x', start: '5' }, /start must be a non-negative number of seconds/],
+    [{ text: 'x', duration: -1 }, /duration must be a non-negative number of seconds/],
+    [{ text: 'x', from_end: Infinity }, /from_end must be a non-negative number of seconds/],
+    [{ text: 'x', start: null }, /start must be a non-negative number of seconds/],
+  ];
+  for (const [overlay, pattern] of invalid) {
+    assert.match(overlayService.validateOverlay(overlay), pattern);
+  }
+  console.log('✅ Unknown styles, styling fields and bad timings rejected');
+
+  console.log('\n🎉 Overlay tests passed');
+}
+
+testOverlays()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,147 @@
+/**
+ * Test script for the job reconciler
+ * Leaves Sora callbacks undelivered and checks that stuck jobs are polled
+ * with queryTask, that finished tasks go through the callback path, and
+ * that jobs past the job timeout are failed
+ */
+
+process.env.JOB_STORE = 'memory';
+process.env.VIDEO_ALLOWED_HOSTS = 'example.com';
+process.env.RECONCILER_STUCK_AFTER = '60000';
+process.env.JOB_TIMEOUT = '600000';
+
+const assert = require('assert');
+const redisService = require('./src/services/redisService');
+const jobProcessor = require('./src/services/jobProcessor');
+const jobStateMachine = require('./src/services/jobStateMachine');
+const soraService = require('./src/services/soraService');
+const stitchWorker = require('./src/services/stitchWorker');
+const jobReconciler = require('./src/services/jobReconciler');
+
+/**
+ * Create a generating job with one mapped task per segment, started `age` ms ago
+ */
+async function createJob(jobId, segmentCount, age) {
+  await redisService.createJob(jobId, {
+    segmentCount,
+    segments: Array.from({ length: segmentCount }, (value, index) => ({ prompt: `Prompt ${index + 1}` })),
+  });
+
+  const taskFields = {};
+  for (let n = 1; n <= segmentCount; n++) {
+    const taskId = `${jobId}_task${n}`;
+    await redisService.mapTaskToJob(taskId, jobId, n);
+    taskFields[`taskId${n}`] = taskId;
+  }
+  await jobStateMachine.transition(jobId, 'generating', taskFields);
+  await redisService.updateJob(jobId, { createdAt: Date.now() - age });
+}
+
+/**
+ * Run all due stitch work, as the worker loop would
+ */
+async function drainWorkQueue() {
+  while (await stitchWorker.runOnce()) {
+    // Keep claiming until the queue is empty
+  }
+}
+
+async function testReconciler() {
+  console.log('🧪 Testing job reconciler...\n');
+
+  // Sora answers queryTask from this table; no callbacks are ever sent
+  const tasks = {};
+  const queried = [];
+  soraService.queryTask = async (taskId) => {
+    queried.push(taskId);
+    if (tasks[taskId] instanceof Error) {
+      throw tasks[taskId];
+    }
+    return tasks[taskId] || { taskId, state: 'generating' };
+  };
+  const succeed = (taskId, n) => {
+    tasks[taskId] = {
+      taskId,
+      state: 'success',
+      resultJson: JSON.stringify({ resultUrls: [`https://example.com/video${n}.mp4`] }),
+    };
+  };
+
+  // Stitching is replaced; only the job state is under test
+  jobProcessor.processStitching = async (jobId) => {
+    await jobStateMachine.transition(jobId, 'stitching');
+    await jobStateMachine.transition(jobId, 'completed', { completedAt: Date.now() });
+  };
+
+  const minutes = (n) => n * 60 * 1000;
+
+  // Jobs still within the stuck threshold are left to their callbacks
+  await createJob('job_young', 2, minutes(0));
+  await jobReconciler.reconcileJob('job_young');
+  assert.deepStrictEqual(queried, []);
+  console.log('✅ Recent jobs are not polled');
+
+  // A stuck job picks up finished tasks and keeps waiting for the rest
+  await createJob('job_stuck', 3, minutes(2));
+  succeed('job_stuck_task1', 1);
+  tasks.job_stuck_task3 = { taskId: 'job_stuck_task3', state: 'queuing' };
+  await jobReconciler.reconcileJob('job_stuck');
+  assert.deepStrictEqual(queried.sort(), ['job_stuck_task1', 'job_stuck_task2', 'job_stuck_task3']);
+  let job = await redisService.getJob('job_stuck');
+  assert.strictEqual(job.status, 'generating');
+  assert.deepStrictEqual(redisService.getVideoUrls(job), ['https://example.com/video1.mp4', null, null]);
+  console.log('✅ Finished tasks of stuck jobs fed through the callback path');
+
+  // Segments that already have a video aren't queried again
+  queried.length = 0;
+  succeed('job_stuck_task2', 2);
+  succeed('job_stuck_task3', 3);
+  await jobReconciler.reconcileJob('job_stuck');
+  assert.deepStrictEqual(queried.sort(), ['job_stuck_task2', 'job_stuck_task3']);
+  job = await redisService.getJob('job_stuck');
+  assert.strictEqual(job.status, 'processing');
+  await drainWorkQueue();
+  assert.strictEqual((await redisService.getJob('job_stuck')).status, 'completed');
+  console.log('✅ Job stitched once every task was recovered');
+
+  // A failure that isn't worth retrying fails the job, as its callback would
+  await createJob('job_rejected', 2, minutes(2));
+  tasks.job_rejected_task1 = { taskId: 'job_rejected_task1', state: 'fail', failCode: '400', failMsg: 'Prompt rejected' };
+  await jobReconciler.reconcileJob('job_rejected');
+  job = await redisService.getJob('job_rejected');
+  assert.strictEqual(job.status, 'failed');
+  assert.match(job.error, /Prompt rejected/);
+  console.log('✅ Failed tasks fail the job');
+
+  // Jobs past the job timeout are failed without asking Sora
+  queried.length = 0;
+  await createJob('job_timeout', 2, minutes(11));
+  await jobReconciler.reconcileJob('job_timeout');
+  assert.deepStrictEqual(queried, []);
+  job = await redisService.getJob('job_timeout');
+  assert.strictEqual(job.status, 'failed');
+  assert.match(job.error, /Job timed out after 600s in status "generating"/);
+  assert.strictEqual((await redisService.getActiveJobIds()).includes('job_timeout'), false);
+  console.log('✅ Jobs past JOB_TIMEOUT are failed');
+
+  // One job's Sora error doesn't stop the pass
+  await createJob('job_sora_down', 2, minutes(3));
+  await createJob('job_after', 2, minutes(3));
+  tasks.job_sora_down_task1 = new Error('Failed to query Sora task: 503');
+  succeed('job_after_task1', 1);
+  succeed('job_after_task2', 2);
+  await jobReconciler.runOnce();
+  assert.strictEqual((await redisService.getJob('job_sora_down')).status, 'generating');
+  assert.strictEqual((await redisService.getJob('job_after')).status, 'processing');
+  assert.strictEqual((await redisService.getJob('job_young')).status, 'generating');
+  console.log('✅ Query errors are isolated to their job');
+
+  console.log('\n🎉 Reconciler tests passed');
+}
+
+testReconciler()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,142 @@
+/**
+ * Test script for N-segment generation requests
+ * Posts segments[] and legacy prompt1/prompt2 bodies over HTTP, checks
+ * validation, and that every segment gets its own Sora task, mapping and
+ * status entry
+ */
+
+process.env.JOB_STORE = 'memory';
+process.env.API_AUTH_ENABLED = 'false';
+process.env.MAX_SEGMENTS = '5';
+
+const assert = require('assert');
+const express = require('express');
+const redisService = require('./src/services/redisService');
+const soraService = require('./src/services/soraService');
+const videoRoutes = require('./src/routes/videoRoutes');
+
+/**
+ * Start the API routes on a random port
+ */
+function startServer() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', videoRoutes);
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, () => resolve(server));
+  });
+}
+
+async function testSegments() {
+  console.log('🧪 Testing N-segment requests...\n');
+
+  // Sora tasks are recorded instead of created
+  const created = [];
+  soraService.createTask = async (prompt, aspectRatio, callbackUrl) => {
+    created.push({ prompt, aspectRatio, callbackUrl });
+    return `task_${created.length}`;
+  };
+
+  const server = await startServer();
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+  const generate = async (body) => {
+    const response = await fetch(`${baseUrl}/generate-video`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+  const getJob = async (jobId) => (await fetch(`${baseUrl}/job/${jobId}`)).json();
+
+  try {
+    // Strings and objects can be mixed; objects keep their voiceover and overlays
+    let result = await generate({
+      segments: [
+        'Hook',
+        { prompt: 'Problem', voiceover: 'Sound familiar?' },
+        { prompt: 'Product', overlays: [{ text: 'NEW', style: 'title' }] },
+      ],
+      aspectRatio: 'portrait',
+    });
+    assert.strictEqual(result.status, 202);
+    const { jobId, taskIds } = result.body.data;
+    assert.deepStrictEqual(taskIds, ['task_1', 'task_2', 'task_3']);
+    assert.strictEqual(result.body.data.taskId3, 'task_3');
+    assert.deepStrictEqual(created.map((task) => task.prompt), ['Hook', 'Problem', 'Product']);
+    assert.ok(created.every((task) => task.aspectRatio === 'portrait'));
+    assert.strictEqual(new Set(created.map((task) => task.callbackUrl)).size, 3, 'one callback token per task');
+
+    const job = await redisService.getJob(jobId);
+    assert.strictEqual(job.segmentCount, 3);
+    assert.deepStrictEqual(job.segments, [
+      { prompt: 'Hook' },
+      { prompt: 'Problem', voiceover: 'Sound familiar?' },
+      { prompt: 'Product', overlays: [{ text: 'NEW', style: 'title' }] },
+    ]);
+    for (let n = 1; n <= 3; n++) {
+      const mapping = await redisService.getJobFromTask(`task_${n}`);
+      assert.strictEqual(mapping.jobId, jobId);
+      assert.strictEqual(mapping.videoNumber, n);
+    }
+    console.log('✅ segments[] starts one mapped Sora task per segment');
+
+    // The status response lists every segment in order
+    await redisService.storeVideoUrl(jobId, 2, 'https://example.com/video2.mp4');
+    const status = (await getJob(jobId)).data;
+    assert.strictEqual(status.segmentCount, 3);
+    assert.deepStrictEqual(status.segments.map((segment) => segment.status), ['pending', 'ready', 'pending']);
+    assert.deepStrictEqual(status.segments.map((segment) => segment.taskId), ['task_1', 'task_2', 'task_3']);
+    assert.strictEqual(status.video2Status, 'ready');
+    console.log('✅ Status reports each segment');
+
+    // The legacy body becomes two segments
+    created.length = 0;
+    result = await generate({ prompt1: 'First', prompt2: 'Second' });
+    assert.strictEqual(result.status, 202);
+    assert.deepStrictEqual(created.map((task) => task.prompt), ['First', 'Second']);
+    assert.strictEqual((await redisService.getJob(result.body.data.jobId)).segmentCount, 2);
+    console.log('✅ Legacy prompt1/prompt2 bodies still accepted');
+
+    // Invalid bodies are rejected before any task is created
+    created.length = 0;
+    const invalid = [
+      [{}, /Either segments\[\] or both prompt1 and prompt2 are required/],
+      [{ prompt1: 'First' }, /Either segments\[\] or both prompt1 and prompt2 are required/],
+      [{ segments: ['Only one'] }, /Between 2 and 5 segments are required/],
+      [{ segments: ['1', '2', '3', '4', '5', '6'] }, /Between 2 and 5 segments are required/],
+      [{ segments: ['First', '  '] }, /Segment 2 is missing a prompt/],
+      [{ segments: ['First', { voiceover: 'No prompt' }] }, /Segment 2 is missing a prompt/],
+      [{ segments: ['First', null] }, /Segment 2 is missing a prompt/],
+      [{ segments: ['First', { prompt: 'Second', overlays: 'NEW' }] }, /Segment 2 overlays must be an array/],
+      [{ segments: [{ prompt: 'First', overlays: [{ style: 'title' }] }, 'Second'] }, /Segment 1 overlays must be an array/],
+      [{ segments: [{ prompt: 'First', overlays: [{ text: 'NEW', style: 'huge' }] }, 'Second'] }, /Segment 1 overlay 1: unknown style "huge"/],
+      [{ segments: ['First', { prompt: 'Second', overlays: [{ text: 'A' }, { text: 'B', start: '5' }] }] }, /Segment 2 overlay 2: start must be a non-negative number/],
+      [{ segments: ['First', { prompt: 'Second', overlays: [{ text: 'NEW', duration: -1 }] }] }, /duration must be a non-negative number/],
+      [{ segments: ['First', { prompt: 'Second', overlays: [{ text: 'NEW', font_color: 'white:textfile=/etc/passwd' }] }] }, /font_color can't be set per overlay/],
+      [{ segments: ['First', 'Second'], transition: 'fade' }, /transition must be an object/],
+      [{ segments: ['First', 'Second'], transition: { type: 'wipe' } }, /Unknown transition type: wipe/],
+      [{ segments: ['First', 'Second'], transition: { type: 'dip', duration: -1 } }, /positive number of seconds/],
+      [{ segments: ['First', 'Second'], transition: { type: 'crossfade', duration: 3 } }, /at most 2 seconds/],
+    ];
+    for (const [body, pattern] of invalid) {
+      result = await generate(body);
+      assert.strictEqual(result.status, 400, JSON.stringify(body));
+      assert.match(result.body.error, pattern);
+    }
+    assert.strictEqual(created.length, 0);
+    console.log('✅ Segment counts, prompts, overlays and transitions validated');
+
+    console.log('\n🎉 Segment tests passed');
+  } finally {
+    server.close();
+  }
+}
+
+testSegments()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,169 @@
+/**
+ * Test script for stitching
+ * Renders segments with different profiles with the real ffmpeg
+ * (FFMPEG_PATH / FFPROBE_PATH, or PATH) and checks probing, the copy and
+ * re-encode paths, and crossfade and dip transitions
+ */
+
+process.env.JOB_STORE = 'memory';
+process.env.NORMALIZE_FPS = '30';
+process.env.TRANSITION_TYPE = 'none';
+
+const assert = require('assert');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const videoService = require('./src/services/videoService');
+
+/**
+ * Render a test video with a test pattern and, optionally, a tone
+ * @param {string} outputPath - Where to write the video
+ * @param {Object} options
+ * @param {number} options.duration - Length in seconds
+ * @param {string} options.size - WIDTHxHEIGHT
+ * @param {number} options.rate - Frame rate
+ * @param {boolean} options.withAudio - Whether to add an audio track
+ */
+function renderVideo(outputPath, { duration, size = '320x240', rate = 30, withAudio = true }) {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg()
+      .input(`testsrc=duration=${duration}:size=${size}:rate=${rate}`)
+      .inputOptions(['-f', 'lavfi']);
+    if (withAudio) {
+      command.input(`sine=frequency=220:duration=${duration}`).inputOptions(['-f', 'lavfi']);
+    }
+
+    command
+      .outputOptions(['-c:v', 'libx264', '-preset', 'ultrafast', '-pix_fmt', 'yuv420p', '-c:a', 'aac', '-shortest'])
+      .on('end', () => resolve(outputPath))
+      .on('error', reject)
+      .save(outputPath);
+  });
+}
+
+/**
+ * Whether this ffmpeg build has a filter (xfade needs ffmpeg 4.3 or newer)
+ * @param {string} name - Filter name
+ */
+function hasFilter(name) {
+  return new Promise((resolve) => {
+    ffmpeg.getAvailableFilters((error, filters) => resolve(!error && Boolean(filters[name])));
+  });
+}
+
+/**
+ * Whether ffmpeg can be run
+ */
+function hasFfmpeg() {
+  return new Promise((resolve) => {
+    ffmpeg.getAvailableFormats((error) => resolve(!error));
+  });
+}
+
+async function testStitching() {
+  console.log('🧪 Testing stitching...\n');
+
+  // Transitions are shortened to fit the segments they join
+  const probes = [{ duration: 4 }, { duration: 1.2 }, { duration: 6 }];
+  assert.deepStrictEqual(videoService.fitTransition({ type: 'dip', duration: 0.5 }, probes), { type: 'dip', duration: 0.5 });
+  assert.deepStrictEqual(videoService.fitTransition({ type: 'crossfade', duration: 2 }, probes), { type: 'crossfade', duration: 0.6 });
+  assert.deepStrictEqual(videoService.fitTransition({ type: 'none', duration: 2 }, probes), { type: 'none', duration: 2 });
+  assert.throws(() => videoService.resolveTransition({ type: 'wipe' }), /Unknown transition type: wipe/);
+  console.log('✅ Transitions resolved and fitted to the segments');
+
+  if (!(await hasFfmpeg())) {
+    console.log('⚠️  Skipping ffmpeg checks: ffmpeg not found');
+    return;
+  }
+
+  const timestamp = Date.now();
+  const files = [];
+  const tempFile = (name) => {
+    const filePath = path.join(videoService.tempDir, `test_stitching_${timestamp}_${name}`);
+    files.push(filePath);
+    return filePath;
+  };
+  const output = (name) => path.basename(tempFile(name));
+  const near = (actual, expected, label) => {
+    assert.ok(Math.abs(actual - expected) < 0.3, `${label}: ${actual}s, expected about ${expected}s`);
+  };
+
+  // Count which path each stitch takes
+  const paths = [];
+  const { concatCopy, concatReencode } = videoService;
+  videoService.concatCopy = function (...args) {
+    paths.push('copy');
+    return concatCopy.apply(this, args);
+  };
+  videoService.concatReencode = function (...args) {
+    paths.push('reencode');
+    return concatReencode.apply(this, args);
+  };
+
+  try {
+    const first = await renderVideo(tempFile('first.mp4'), { duration: 2 });
+    const second = await renderVideo(tempFile('second.mp4'), { duration: 3 });
+    const large = await renderVideo(tempFile('large.mp4'), { duration: 2, size: '640x480', rate: 25 });
+    const silent = await renderVideo(tempFile('silent.mp4'), { duration: 2, withAudio: false });
+
+    const firstProbe = await videoService.probeMedia(first);
+    near(firstProbe.duration, 2, 'first');
+    assert.strictEqual(firstProbe.hasAudio, true);
+    assert.strictEqual(firstProbe.video.width, 320);
+    assert.strictEqual((await videoService.probeMedia(silent)).hasAudio, false);
+    await assert.rejects(videoService.probeMedia(tempFile('missing.mp4')), /Failed to probe media/);
+    console.log('✅ Probes duration, streams and resolution');
+
+    // Matching segments are joined without re-encoding
+    let stitched = await videoService.stitchVideos([first, second, first], output('copy.mp4'));
+    assert.deepStrictEqual(paths, ['copy']);
+    near((await videoService.probeMedia(stitched)).duration, 7, 'copied');
+    console.log('✅ Matching segments use the copy path');
+
+    // Different resolution, frame rate and a missing audio track are normalized to the first segment
+    paths.length = 0;
+    stitched = await videoService.stitchVideos([first, large, silent], output('reencode.mp4'));
+    assert.deepStrictEqual(paths, ['reencode']);
+    let probe = await videoService.probeMedia(stitched);
+    near(probe.duration, 6, 're-encoded');
+    assert.strictEqual(probe.hasAudio, true);
+    assert.strictEqual(probe.video.width, 320);
+    assert.strictEqual(probe.video.height, 240);
+    assert.strictEqual(probe.video.r_frame_rate, '30/1');
+    console.log('✅ Mismatched segments re-encoded to a common profile');
+
+    // Dip to black keeps the length; an oversized request is shortened instead of failing
+    paths.length = 0;
+    stitched = await videoService.stitchVideos([first, second, silent], output('dip.mp4'), {
+      transition: { type: 'dip', duration: 5 },
+    });
+    assert.deepStrictEqual(paths, ['reencode']);
+    probe = await videoService.probeMedia(stitched);
+    near(probe.duration, 7, 'dip');
+    assert.strictEqual(probe.hasAudio, true);
+    console.log('✅ Dip transitions re-encode without changing the length');
+
+    // Crossfades overlap neighbouring segments by the transition duration
+    if (await hasFilter('xfade')) {
+      stitched = await videoService.stitchVideos([first, second, silent], output('crossfade.mp4'), {
+        transition: { type: 'crossfade', duration: 0.5 },
+      });
+      near((await videoService.probeMedia(stitched)).duration, 6, 'crossfade');
+      console.log('✅ Crossfades overlap the segments');
+    } else {
+      console.log('⚠️  Skipping crossfade: this ffmpeg has no xfade filter (needs 4.3+)');
+    }
+
+    console.log('\n🎉 Stitching tests passed');
+  } finally {
+    videoService.concatCopy = concatCopy;
+    videoService.concatReencode = concatReencode;
+    await videoService.deleteFiles(files);
+  }
+}
+
+testStitching()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,167 @@
+/**
+ * Test script for the storage backends
+ * Stores a video on local disk and fetches it over HTTP through its signed
+ * URL, checks that tampered, expired and path-escaping URLs are refused,
+ * and checks the keys and presigned URLs the S3 backend builds
+ */
+
+process.env.JOB_STORE = 'memory';
+process.env.API_AUTH_ENABLED = 'false';
+process.env.STORAGE_BACKEND = 'local';
+process.env.STORAGE_LOCAL_DIR = `./temp/test_storage_${Date.now()}`;
+process.env.STORAGE_SIGNING_SECRET = 'test-signing-secret';
+process.env.STORAGE_URL_TTL = '600';
+process.env.PUBLIC_URL = 'https://videos.example.com';
+
+const assert = require('assert');
+const express = require('express');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./src/config/config');
+const storageService = require('./src/services/storageService');
+const LocalDiskStorage = require('./src/services/storage/localDiskStorage');
+const S3Storage = require('./src/services/storage/s3Storage');
+const videoRoutes = require('./src/routes/videoRoutes');
+
+/**
+ * Start the API routes on a random port
+ */
+function startServer() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', videoRoutes);
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, () => resolve(server));
+  });
+}
+
+/**
+ * Create an S3 backend whose uploads are recorded instead of sent
+ * @param {Object} options - S3Storage options
+ */
+function createS3Storage(options) {
+  const storage = new S3Storage({ accessKeyId: 'AKIDTEST', secretAccessKey: 'test-secret', urlTtl: 600, ...options });
+  storage.sent = [];
+  storage.client.send = async (command) => {
+    storage.sent.push(command);
+    return { ETag: '"etag"' };
+  };
+  return storage;
+}
+
+async function testStorage() {
+  console.log('🧪 Testing storage backends...\n');
+
+  const dir = config.storage.local.dir;
+  const sourcePath = path.join(config.video.tempDir, `test_storage_${Date.now()}.mp4`);
+  await fs.outputFile(sourcePath, 'not really a video');
+
+  const server = await startServer();
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  // Stored URLs point at PUBLIC_URL; fetch them from the test server instead
+  const fetchStored = (url) => fetch(url.replace(config.publicUrl, baseUrl));
+
+  try {
+    // A stored file is served under its signed URL until it expires
+    const before = Math.floor(Date.now() / 1000);
+    const { key, url } = await storageService.save(sourcePath, 'stitched_1.mp4');
+    assert.strictEqual(key, 'stitched_1.mp4');
+    const signed = new URL(url);
+    assert.strictEqual(`${signed.origin}${signed.pathname}`, 'https://videos.example.com/api/files/stitched_1.mp4');
+    const expires = Number(signed.searchParams.get('expires'));
+    assert.ok(expires >= before + 600 && expires <= Math.floor(Date.now() / 1000) + 600);
+    assert.match(signed.searchParams.get('signature'), /^[0-9a-f]{64}$/);
+
+    let response = await fetchStored(url);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(await response.text(), 'not really a video');
+    console.log('✅ Local files served under their signed URL');
+
+    // Signatures cover the key and the expiry
+    const backend = storageService.getBackend();
+    const signature = signed.searchParams.get('signature');
+    await storageService.save(sourcePath, 'stitched_2.mp4');
+    const refused = [
+      url.replace(/signature=[0-9a-f]+/, `signature=${'0'.repeat(64)}`),
+      url.replace(/signature=[0-9a-f]+/, 'signature=short'),
+      url.replace('stitched_1.mp4', 'stitched_2.mp4'),
+      url.replace(/expires=\d+/, `expires=${expires + 60}`),
+      `${config.publicUrl}/api/files/stitched_1.mp4?expires=${expires}`,
+    ];
+    for (const refusedUrl of refused) {
+      response = await fetchStored(refusedUrl);
+      assert.strictEqual(response.status, 403, refusedUrl);
+    }
+    assert.strictEqual(backend.resolveSignedPath(key, expires, signature), path.resolve(dir, key));
+    console.log('✅ Tampered URLs refused');
+
+    // Expired URLs are refused even with a valid signature
+    const expired = Math.floor(Date.now() / 1000) - 1;
+    assert.strictEqual(backend.resolveSignedPath(key, expired, backend.sign(key, expired)), null);
+    response = await fetchStored(`${config.publicUrl}/api/files/${key}?expires=${expired}&signature=${backend.sign(key, expired)}`);
+    assert.strictEqual(response.status, 403);
+    console.log('✅ Expired URLs refused');
+
+    // Keys can't reach outside the storage directory, signed or not
+    const escaping = '../package.json';
+    assert.strictEqual(backend.resolveSignedPath(escaping, expires, backend.sign(escaping, expires)), null);
+    console.log('✅ Keys outside the storage directory refused');
+
+    // A per-process secret would break URLs across restarts, so none is made up
+    assert.throws(
+      () => new LocalDiskStorage({ dir, publicUrl: config.publicUrl, urlTtl: 600 }),
+      /STORAGE_SIGNING_SECRET is required/
+    );
+
+    // Files are removed once their URLs have expired
+    const old = new Date(Date.now() - 601 * 1000);
+    await fs.utimes(path.join(dir, 'stitched_2.mp4'), old, old);
+    await storageService.cleanupExpired();
+    assert.deepStrictEqual(await fs.readdir(dir), ['stitched_1.mp4']);
+    console.log('✅ Expired files cleaned up');
+
+    // S3 keys get the prefix; MinIO-style endpoints use path-style URLs
+    const minio = createS3Storage({
+      bucket: 'videos',
+      region: 'us-east-1',
+      endpoint: 'http://127.0.0.1:9000',
+      forcePathStyle: true,
+      prefix: 'videos/',
+    });
+    const stored = await minio.save(sourcePath, 'stitched_1.mp4');
+    assert.strictEqual(stored.key, 'videos/stitched_1.mp4');
+    assert.strictEqual(minio.sent.length, 1);
+    assert.strictEqual(minio.sent[0].input.Bucket, 'videos');
+    assert.strictEqual(minio.sent[0].input.Key, 'videos/stitched_1.mp4');
+    assert.strictEqual(minio.sent[0].input.ContentType, 'video/mp4');
+
+    let presigned = new URL(stored.url);
+    assert.strictEqual(`${presigned.origin}${presigned.pathname}`, 'http://127.0.0.1:9000/videos/videos/stitched_1.mp4');
+    assert.strictEqual(presigned.searchParams.get('X-Amz-Expires'), '600');
+    assert.match(presigned.searchParams.get('X-Amz-Credential'), /^AKIDTEST\/\d{8}\/us-east-1\/s3\/aws4_request$/);
+    assert.match(presigned.searchParams.get('X-Amz-Signature'), /^[0-9a-f]{64}$/);
+    console.log('✅ S3 keys and path-style presigned URLs');
+
+    // AWS itself gets virtual-hosted URLs
+    const aws = createS3Storage({ bucket: 'video-bucket', region: 'eu-west-1', prefix: '' });
+    presigned = new URL((await aws.save(sourcePath, 'stitched_1.mp4')).url);
+    assert.strictEqual(`${presigned.origin}${presigned.pathname}`, 'https://video-bucket.s3.eu-west-1.amazonaws.com/stitched_1.mp4');
+    assert.match(presigned.searchParams.get('X-Amz-Credential'), /\/eu-west-1\/s3\//);
+    assert.throws(() => new S3Storage({ region: 'us-east-1' }), /S3_BUCKET is required/);
+    console.log('✅ S3 virtual-hosted presigned URLs');
+
+    console.log('\n🎉 Storage tests passed');
+  } finally {
+    server.close();
+    await fs.remove(sourcePath);
+    await fs.remove(dir);
+  }
+}
+
+testStorage()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,132 @@
+/**
+ * Test script for the memory and file job stores
+ * Checks TTL expiry and the sweep of expired keys, and that the file store
+ * coalesces writes, flushes on demand and reloads what it saved
+ */
+
+const assert = require('assert');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const MemoryStore = require('./src/services/store/memoryStore');
+const FileStore = require('./src/services/store/fileStore');
+
+const realNow = Date.now;
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function testStores() {
+  console.log('🧪 Testing memory and file stores...\n');
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'stores-'));
+  let now = realNow();
+  Date.now = () => now;
+
+  try {
+    // Keys expire after their TTL, whether set with ex or expire
+    const memory = new MemoryStore();
+    assert.strictEqual(memory.sweepTimer.hasRef(), false, 'the sweep timer never keeps the process alive');
+    await memory.set('lock', '1', { ex: 10 });
+    assert.strictEqual(await memory.set('lock', '2', { ex: 10, nx: true }), null);
+    await memory.hset('job', { status: 'generating' });
+    await memory.expire('job', 20);
+    await memory.zadd('index', { score: 1, member: 'job' });
+    await memory.sadd('active', 'job');
+    await memory.incr('counter');
+
+    now += 10 * 1000;
+    assert.strictEqual(await memory.get('lock'), null);
+    assert.strictEqual(await memory.set('lock', '2', { ex: 10, nx: true }), 'OK');
+    assert.deepStrictEqual(await memory.hgetall('job'), { status: 'generating' });
+    now += 10 * 1000;
+    assert.strictEqual(await memory.hgetall('job'), null);
+    assert.strictEqual(await memory.exists('lock', 'job', 'index', 'active', 'counter'), 3);
+    console.log('✅ Keys expire after their TTL');
+
+    // The sweep drops expired keys nobody reads again, and only those
+    await memory.set('unread', 'x', { ex: 5 });
+    await memory.hset('unreadHash', { a: '1' });
+    await memory.expire('unreadHash', 5);
+    await memory.set('kept', 'x', { ex: 60 });
+    now += 5 * 1000;
+    assert.strictEqual(memory.entries.has('unread'), true);
+    assert.strictEqual(memory.sweepExpired(), 2);
+    assert.deepStrictEqual([...memory.entries.keys()].sort(), ['active', 'counter', 'index', 'kept']);
+    assert.strictEqual(memory.sweepExpired(), 0);
+    console.log('✅ Expired keys swept');
+
+    // Writes close together are saved in one go
+    const filePath = path.join(dir, 'jobs.json');
+    const file = new FileStore({ filePath });
+    let writes = 0;
+    const write = file.write.bind(file);
+    file.write = () => {
+      writes++;
+      return write();
+    };
+
+    await file.hset('job:1', { status: 'generating', segmentCount: 2 });
+    await file.sadd('active', 'job:1', 'job:2');
+    await file.zadd('created', { score: 1, member: 'job:1' }, { score: 2, member: 'job:2' });
+    await file.set('lock', '1', { ex: 30 });
+    await file.set('stale', '1', { ex: 1 });
+    assert.strictEqual(await fs.pathExists(filePath), false, 'nothing written before the delay');
+    await sleep(250);
+    assert.strictEqual(writes, 1);
+    assert.deepStrictEqual(Object.keys(await fs.readJson(filePath)).sort(), ['active', 'created', 'job:1', 'lock', 'stale']);
+    console.log('✅ Writes coalesced into one save');
+
+    // flush saves pending writes at once, and is a no-op when nothing is pending
+    await file.incr('counter');
+    await file.flush();
+    assert.strictEqual(writes, 2);
+    assert.strictEqual((await fs.readJson(filePath)).counter.value, '1');
+    await file.flush();
+    assert.strictEqual(writes, 2);
+    await sleep(150);
+    assert.strictEqual(writes, 2, 'a flushed write is not repeated');
+    assert.strictEqual(await fs.pathExists(`${filePath}.tmp`), false);
+    console.log('✅ flush() saves pending writes immediately');
+
+    // Saves skip expired keys; a new store reloads the rest with their TTLs
+    now += 2 * 1000;
+    await file.hset('job:1', { status: 'processing' });
+    await file.flush();
+    assert.strictEqual('stale' in (await fs.readJson(filePath)), false);
+
+    const reloaded = new FileStore({ filePath });
+    assert.deepStrictEqual(await reloaded.hgetall('job:1'), { status: 'processing', segmentCount: 2 });
+    assert.deepStrictEqual((await reloaded.smembers('active')).sort(), ['job:1', 'job:2']);
+    assert.deepStrictEqual(await reloaded.zrange('created', '-inf', '+inf', { byScore: true }), ['job:1', 'job:2']);
+    assert.strictEqual(await reloaded.get('lock'), '1');
+    now += 30 * 1000;
+    assert.strictEqual(await reloaded.get('lock'), null);
+    console.log('✅ Saved entries reloaded with their TTLs');
+
+    // A corrupt file is logged and the store starts empty
+    await fs.writeFile(filePath, '{ not json');
+    const logged = [];
+    const writeErr = process.stderr.write;
+    process.stderr.write = (chunk) => logged.push(String(chunk));
+    let corrupt;
+    try {
+      corrupt = new FileStore({ filePath });
+    } finally {
+      process.stderr.write = writeErr;
+    }
+    assert.strictEqual(corrupt.entries.size, 0);
+    assert.match(logged.join(''), /Could not read job store file, starting empty/);
+    console.log('✅ Corrupt store file starts empty');
+
+    console.log('\n🎉 Store tests passed');
+  } finally {
+    Date.now = realNow;
+    await fs.remove(dir);
+  }
+}
+
+testStores()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,151 @@
+/**
+ * Test script for the tenants file
+ * Loads tenants with env references, checks that entries named default or
+ * missing an Airtable or Sora key are left out, and that each tenant gets
+ * clients with its own credentials
+ */
+
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tenants-'));
+const tenantsPath = path.join(dir, 'tenants.json');
+
+process.env.JOB_STORE = 'memory';
+process.env.AIRTABLE_API_KEY = 'pat_default';
+process.env.AIRTABLE_BASE_ID = 'appDefault';
+process.env.AIRTABLE_TABLE_NAME = 'Videos';
+process.env.SORA_API_KEY = 'sora_default';
+process.env.ACME_AIRTABLE_API_KEY = 'pat_acme';
+process.env.ACME_SORA_API_KEY = 'sora_acme';
+process.env.TENANTS_CONFIG_PATH = tenantsPath;
+delete process.env.UNSET_TENANT_KEY;
+
+const assert = require('assert');
+const config = require('./src/config/config');
+const tenantService = require('./src/services/tenantService');
+const airtableService = require('./src/services/airtableService');
+const soraService = require('./src/services/soraService');
+
+const airtable = (baseId, apiKey) => ({ apiKey, baseId, tableName: 'Video Generation' });
+
+/**
+ * Run a function and return the log entries it wrote
+ * @param {Function} fn - Function to run
+ */
+function captureLogs(fn) {
+  const lines = [];
+  const writes = { stdout: process.stdout.write, stderr: process.stderr.write };
+  const capture = (chunk) => {
+    lines.push(String(chunk));
+    return true;
+  };
+  process.stdout.write = capture;
+  process.stderr.write = capture;
+
+  try {
+    fn();
+  } finally {
+    process.stdout.write = writes.stdout;
+    process.stderr.write = writes.stderr;
+  }
+
+  return lines.join('').split('\n').filter(Boolean).map((line) => JSON.parse(line));
+}
+
+async function testTenants() {
+  console.log('🧪 Testing tenants file...\n');
+
+  try {
+    await fs.writeJson(tenantsPath, {
+      acme: {
+        airtable: airtable('appAcme', 'env:ACME_AIRTABLE_API_KEY'),
+        sora: { apiKey: 'env:ACME_SORA_API_KEY' },
+      },
+      globex: {
+        airtable: airtable('appGlobex', 'pat_globex'),
+        sora: { apiKey: 'sora_globex', baseUrl: 'https://sora.globex.example.com' },
+      },
+      default: {
+        airtable: airtable('appHijack', 'pat_hijack'),
+        sora: { apiKey: 'sora_hijack' },
+      },
+      noAirtableKey: {
+        airtable: airtable('appNoKey', 'env:UNSET_TENANT_KEY'),
+        sora: { apiKey: 'sora_nokey' },
+      },
+      noSoraSection: {
+        airtable: airtable('appNoSora', 'pat_nosora'),
+      },
+      noSoraKey: {
+        airtable: airtable('appNoSoraKey', 'pat_nosorakey'),
+        sora: { apiKey: 'env:UNSET_TENANT_KEY' },
+      },
+    });
+
+    // Invalid entries are logged and left out; the rest load
+    const logs = captureLogs(() => tenantService.loadTenants());
+    assert.deepStrictEqual(tenantService.getTenantIds(), ['default', 'acme', 'globex']);
+    const skipped = logs.filter((entry) => entry.msg === 'Invalid tenant in tenants file, skipping it');
+    assert.deepStrictEqual(skipped.map((entry) => entry.error), [
+      'Tenant "default" is reserved for the env-configured settings',
+      'Tenant "noAirtableKey" has no Airtable API key (UNSET_TENANT_KEY is not set)',
+      'Tenant "noSoraSection" has no sora.apiKey',
+      'Tenant "noSoraKey" has no Sora API key (UNSET_TENANT_KEY is not set)',
+    ]);
+    assert.ok(skipped.every((entry) => entry.level === 'error'));
+    console.log('✅ Entries named default or missing a key skipped');
+
+    // The env settings stay the default tenant
+    assert.strictEqual(tenantService.getTenant().airtable.baseId, 'appDefault');
+    assert.strictEqual(tenantService.getAirtableService('default'), airtableService);
+    assert.strictEqual(tenantService.getSoraService(), soraService);
+    assert.strictEqual(soraService.apiKey, 'sora_default');
+    console.log('✅ Default tenant taken from env settings');
+
+    // Each tenant gets clients with its own credentials, created once
+    const acmeAirtable = tenantService.getAirtableService('acme');
+    assert.strictEqual(acmeAirtable.apiKey, 'pat_acme');
+    assert.strictEqual(acmeAirtable.baseId, 'appAcme');
+    assert.strictEqual(acmeAirtable.tableName, 'Video Generation');
+    assert.strictEqual(tenantService.getAirtableService('acme'), acmeAirtable);
+
+    const acmeSora = tenantService.getSoraService('acme');
+    assert.strictEqual(acmeSora.apiKey, 'sora_acme');
+    assert.strictEqual(acmeSora.baseUrl, config.sora.baseUrl);
+    assert.strictEqual(tenantService.getSoraService('acme'), acmeSora);
+
+    const globexSora = tenantService.getSoraService('globex');
+    assert.strictEqual(globexSora.apiKey, 'sora_globex');
+    assert.strictEqual(globexSora.baseUrl, 'https://sora.globex.example.com');
+    console.log('✅ Per-tenant Airtable and Sora clients');
+
+    // Skipped and unknown tenants are unknown
+    for (const tenantId of ['noSoraSection', 'noSoraKey', 'nobody']) {
+      assert.strictEqual(tenantService.hasTenant(tenantId), false);
+      assert.throws(() => tenantService.getSoraService(tenantId), new RegExp(`Unknown tenant: ${tenantId}`));
+    }
+    assert.strictEqual(tenantService.hasTenant('constructor'), false);
+    console.log('✅ Skipped tenants rejected as unknown');
+
+    // An unreadable tenants file leaves the default tenant working
+    await fs.writeFile(tenantsPath, '{ not json');
+    const fresh = new tenantService.constructor();
+    const failed = captureLogs(() => fresh.loadTenants());
+    assert.deepStrictEqual(fresh.getTenantIds(), ['default']);
+    assert.strictEqual(failed[0].msg, 'Could not load tenants file');
+    console.log('✅ Unreadable tenants file falls back to the default tenant');
+
+    console.log('\n🎉 Tenant tests passed');
+  } finally {
+    await fs.remove(dir);
+  }
+}
+
+testTenants()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,119 @@
+/**
+ * Test script for voiceovers
+ * Synthesizes speech with the offline stub provider and lays it over a
+ * generated video with the real ffmpeg (FFMPEG_PATH / FFPROBE_PATH, or PATH)
+ */
+
+// Blank counts as unset and keeps a local .env from enabling voiceovers
+process.env.VOICEOVER_ENABLED = '';
+process.env.TTS_PROVIDER = 'stub';
+
+const assert = require('assert');
+const fs = require('fs-extra');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const config = require('./src/config/config');
+const ttsService = require('./src/services/ttsService');
+const videoService = require('./src/services/videoService');
+
+/**
+ * Render a test video with a test pattern and, optionally, a tone
+ * @param {string} outputPath - Where to write the video
+ * @param {number} duration - Length in seconds
+ * @param {boolean} withAudio - Whether to add an audio track
+ */
+function renderVideo(outputPath, duration, withAudio) {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg()
+      .input(`testsrc=duration=${duration}:size=320x240:rate=30`)
+      .inputOptions(['-f', 'lavfi']);
+    if (withAudio) {
+      command.input(`sine=frequency=220:duration=${duration}`).inputOptions(['-f', 'lavfi']);
+    }
+
+    command
+      .outputOptions(['-c:v', 'libx264', '-preset', 'ultrafast', '-pix_fmt', 'yuv420p', '-c:a', 'aac', '-shortest'])
+      .on('end', () => resolve(outputPath))
+      .on('error', reject)
+      .save(outputPath);
+  });
+}
+
+/**
+ * Whether ffmpeg can be run
+ */
+function hasFfmpeg() {
+  return new Promise((resolve) => {
+    ffmpeg.getAvailableFormats((error) => resolve(!error));
+  });
+}
+
+async function testVoiceover() {
+  console.log('🧪 Testing voiceovers...\n');
+
+  // Synthesis costs money with the default provider, so it is opt-in
+  assert.strictEqual(config.tts.enabled, false);
+  console.log('✅ Voiceovers are off unless VOICEOVER_ENABLED=true');
+
+  if (!(await hasFfmpeg())) {
+    console.log('⚠️  Skipping ffmpeg checks: ffmpeg not found');
+    return;
+  }
+
+  const timestamp = Date.now();
+  const files = [];
+  const tempFile = (name) => {
+    const filePath = path.join(videoService.tempDir, `test_voiceover_${timestamp}_${name}`);
+    files.push(filePath);
+    return filePath;
+  };
+
+  try {
+    // The stub speaks for as long as the words would take (2.5 words per second)
+    const speech = await ttsService.synthesize('one two three four five', `test_voiceover_${timestamp}_speech.mp3`);
+    files.push(speech);
+    const speechProbe = await videoService.probeMedia(speech);
+    assert.ok(speechProbe.hasAudio);
+    assert.ok(Math.abs(speechProbe.duration - 2) < 0.2, `speech lasts ${speechProbe.duration}s`);
+    console.log('✅ Stub provider renders audio sized to the text');
+
+    // Mixed over the original audio, one voiceover per segment; segment 2 has none
+    const withAudio = await renderVideo(tempFile('with_audio.mp4'), 6, true);
+    const mixed = await videoService.applyVoiceovers(withAudio, ['Hello there', null], [3, 3], timestamp);
+    files.push(mixed.videoPath);
+
+    const mixedProbe = await videoService.probeMedia(mixed.videoPath);
+    assert.ok(mixedProbe.video);
+    assert.ok(mixedProbe.hasAudio);
+    assert.ok(Math.abs(mixedProbe.duration - 6) < 0.3, `voiced video lasts ${mixedProbe.duration}s`);
+    assert.strictEqual(mixed.spokenDurations[1], null);
+    assert.ok(Math.abs(mixed.spokenDurations[0] - 1) < 0.2);
+    console.log('✅ Voiceovers mixed into a video with audio');
+
+    // A silent video gets the voiceovers as its only audio
+    const silent = await renderVideo(tempFile('silent.mp4'), 4, false);
+    assert.strictEqual((await videoService.probeMedia(silent)).hasAudio, false);
+    const voiced = await videoService.applyVoiceovers(silent, [null, 'Second segment speaks'], [2, 2], timestamp + 1);
+    files.push(voiced.videoPath);
+
+    const voicedProbe = await videoService.probeMedia(voiced.videoPath);
+    assert.ok(voicedProbe.hasAudio);
+    assert.ok(voicedProbe.duration <= 4.3, `voiced video lasts ${voicedProbe.duration}s`);
+    console.log('✅ Voiceovers added to a silent video without extending it');
+
+    // Synthesized audio is temporary
+    assert.strictEqual(await fs.pathExists(path.join(videoService.tempDir, `voiceover1_${timestamp}.mp3`)), false);
+    console.log('✅ Voiceover audio cleaned up');
+
+    console.log('\n🎉 Voiceover tests passed');
+  } finally {
+    await videoService.deleteFiles(files);
+  }
+}
+
+testVoiceover()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Test failed:', error);
+    process.exit(1);
+  });